@@ -1,7 +1,19 @@
-import { useState } from 'react';
-import reactLogo from './assets/react.svg';
+import { useRef, useState } from 'react';
+import { Toolbar } from 'primereact/toolbar';
+import { FileUpload } from 'primereact/fileupload';
 import { Button } from 'primereact/button';
-import { InputText } from 'primereact/inputtext';
+import { Tag } from 'primereact/tag';
+import { Toast } from 'primereact/toast';
+import { TabView, TabPanel } from 'primereact/tabview';
+import MetamodelEvolutionManager from './Model/MetamodelEvolutionManager.js';
+import MetamodelLayout from './Model/MetamodelLayout.js';
+import MetamodelTree from './Components/MetamodelTree.jsx';
+import ElementDetails from './Components/ElementDetails.jsx';
+import ClassDiagram from './Components/ClassDiagram.jsx';
+import AmbiguityWizard from './Components/AmbiguityWizard.jsx';
+import InstanceEditor from './Components/InstanceEditor.jsx';
+import EvolutionHistory from './Components/EvolutionHistory.jsx';
+import sampleMetamodel from './test_files/People.ecore?raw';
 
 import 'primereact/resources/themes/lara-light-indigo/theme.css'; //theme
 import 'primereact/resources/primereact.min.css'; //core css
@@ -9,44 +21,335 @@ import 'primeicons/primeicons.css'; //icons
 import 'primeflex/primeflex.css'; // flex
 import './App.css';
 
+const SAMPLE_FILE = 'People.ecore';
+const NO_SELECTION = { key: null, element: null };
+
 function App() {
-  const [count, setCount] = useState(0);
+  const [manager] = useState(() => new MetamodelEvolutionManager());
+  const [fileName, setFileName] = useState(null);
+  const [report, setReport] = useState(null);
+  const [positions, setPositions] = useState({});
+  const [selection, setSelection] = useState(NO_SELECTION);
+  const [loadCount, setLoadCount] = useState(0);
+  const [history, setHistory] = useState({ canUndo: false, canRedo: false });
+  const [queue, setQueue] = useState({ pending: 0, ambiguities: 0 });
+  const [wizardVisible, setWizardVisible] = useState(false);
+  const [instance, setInstance] = useState(null); // { fileName, root } of the instance in the Instance tab
+  const layoutHints = useRef(new Map()); // Operation -> layout hint of the diagram gesture that created it
+  const toast = useRef(null);
+  const storage = manager.loader.storage;
+
+  const showError = (summary, detail) => toast.current.show({ severity: 'error', summary, detail, life: 6000 });
+  const syncQueue = () => setQueue({ pending: manager.pendingChanges.length, ambiguities: manager.ambiguities.length });
+
+  // Show the current state of the metamodel, keeping the positions of the diagram boxes
+  const refresh = (knownPositions) => {
+    const newReport = manager.loader.generateMetamodelReport();
+    setReport(newReport);
+    setPositions(MetamodelLayout.layout(newReport, knownPositions));
+    setSelection(NO_SELECTION);
+    setHistory({ canUndo: manager.canUndo(), canRedo: manager.canRedo() });
+    syncQueue();
+  };
+
+  const loadMetamodel = (name) => {
+    try {
+      manager.loadMetamodel(name);
+    } catch (error) {
+      showError(`Cannot load ${name}`, error.message);
+      return;
+    }
+
+    let savedPositions = {};
+    try {
+      savedPositions = MetamodelLayout.load(storage, name);
+    } catch (error) {
+      showError('Cannot load the diagram layout', error.message);
+    }
+
+    layoutHints.current.clear();
+    setFileName(name);
+    setLoadCount((count) => count + 1);
+    refresh(savedPositions);
+  };
+
+  // Layout files uploaded along with a metamodel are picked up by MetamodelLayout.load
+  const openFiles = async (event) => {
+    const files = [...event.files];
+    event.options.clear();
+
+    const names = [];
+    for (const file of files) {
+      names.push(await storage.addFile(file));
+    }
+    const metamodelName = names.find((name) => !MetamodelLayout.isLayoutFile(name));
+    if (metamodelName) {
+      loadMetamodel(metamodelName);
+    }
+  };
+
+  const openSample = () => {
+    storage.addContent(SAMPLE_FILE, sampleMetamodel);
+    loadMetamodel(SAMPLE_FILE);
+  };
+
+  /**
+   * Interpret a model change made in the diagram, applying it right away when it is the only queued change
+   *
+   * Other queued changes, such as proposals from the Instance tab, are left for the Apply button,
+   * so a gesture never commits them along with its own change.
+   *
+   * @param {Object} modelChange - { type, element, details } for interpretModelChange
+   * @param {Object} [layoutHint] - { key, position } of a new class or { from, to } of a renamed one
+   */
+  const applyModelChange = (modelChange, layoutHint = null) => {
+    const operation = manager.interpretModelChange(modelChange);
+    if (layoutHint) {
+      layoutHints.current.set(operation, layoutHint);
+    }
+
+    if (manager.ambiguities.length === 0 && manager.pendingChanges.length === 1) {
+      applyPending();
+      return;
+    }
+
+    syncQueue();
+    if (operation.ambiguous) {
+      setWizardVisible(true);
+    } else {
+      toast.current.show({
+        severity: 'info',
+        summary: 'Change queued',
+        detail:
+          manager.ambiguities.length > 0
+            ? 'It is applied once the open decisions are made'
+            : 'Apply it together with the other queued changes',
+        life: 4000,
+      });
+    }
+  };
+
+  // Box positions after applying operations, following the names the operations ended up with
+  const positionsAfter = (operations) => {
+    let knownPositions = positions;
+    operations.forEach((operation) => {
+      const hint = layoutHints.current.get(operation);
+      const metamodelOp = operation.metamodelOperation;
+      if (!hint) {
+        return;
+      }
+      if (hint.from) {
+        const packagePrefix = hint.from.slice(0, hint.from.lastIndexOf('.') + 1);
+        knownPositions = MetamodelLayout.renameNode(knownPositions, hint.from, `${packagePrefix}${metamodelOp.newName}`);
+      } else if (hint.position && !metamodelOp.merge) {
+        const packagePrefix = hint.key.slice(0, hint.key.lastIndexOf('.') + 1);
+        knownPositions = { ...knownPositions, [`${packagePrefix}${metamodelOp.className}`]: hint.position };
+      }
+    });
+    return knownPositions;
+  };
+
+  // Apply the pending changes; applyPendingChanges refuses while ambiguities are open
+  const applyPending = () => {
+    const result = manager.applyPendingChanges();
+    if (!result.success) {
+      showError('Changes not applied', result.errors.join('\n'));
+      syncQueue();
+      return;
+    }
+
+    const knownPositions = positionsAfter(result.appliedChanges);
+    layoutHints.current.clear();
+    refresh(knownPositions);
+    if (result.queuedChanges.length > 0) {
+      showQueued(result.queuedChanges, 'Next step queued', 0);
+    }
+  };
+
+  // Report queued operations and open the wizard if some of them need a decision
+  const showQueued = (operations, summary, deferred) => {
+    const detail =
+      deferred > 0 ? `${operations.length} changes; ${deferred} more follow once they are applied` : `${operations.length} changes`;
+    toast.current.show({ severity: 'info', summary, detail, life: 4000 });
+    if (operations.some((operation) => operation.ambiguous)) {
+      setWizardVisible(true);
+    }
+  };
+
+  const queueInstanceChanges = (root) => {
+    const { operations, deferred } = manager.queueInstanceChanges(root);
+    syncQueue();
+    showQueued(operations, 'Changes queued', deferred);
+  };
+
+  const onAmbiguityResolved = (operation) => {
+    syncQueue();
+    if (manager.ambiguities.length === 0) {
+      toast.current.show({
+        severity: 'success',
+        summary: 'All decisions made',
+        detail:
+          operation.status === 'cancelled' && manager.pendingChanges.length === 0
+            ? 'Nothing left to apply'
+            : 'Apply the pending changes to update the metamodel',
+        life: 4000,
+      });
+    }
+  };
+
+  // Undo and redo interpret the queued changes again against the restored metamodel
+  const undo = () => showRestored(manager.undo(), 'Undo failed');
+
+  const redo = () => showRestored(manager.redo(), 'Redo failed');
+
+  const showRestored = (result, failedSummary) => {
+    if (!result.success) {
+      showError(failedSummary, result.errors.join('\n'));
+      return;
+    }
+    refresh(positions);
+    if (result.requeued.length > 0) {
+      showQueued(result.requeued, 'Queued changes checked again', 0);
+    }
+  };
+
+  const saveMetamodel = () => {
+    manager.saveEvolvedMetamodel(fileName, fileName.toLowerCase().endsWith('.json') ? 'json' : 'xmi');
+  };
+
+  const saveLayout = () => {
+    const layoutPath = MetamodelLayout.save(storage, fileName, positions);
+    toast.current.show({ severity: 'success', summary: 'Layout saved', detail: storage.baseName(layoutPath), life: 3000 });
+  };
+
+  const toolbarStart = (
+    <div className="flex align-items-center gap-2">
+      <i className="pi pi-sitemap text-2xl text-primary" />
+      <span className="text-xl font-semibold">Metamodel explorer</span>
+      {fileName && <Tag value={fileName} severity="info" />}
+    </div>
+  );
+
+  const toolbarEnd = (
+    <div className="flex flex-wrap gap-2">
+      {report && (
+        <>
+          <Button
+            label="Decisions"
+            icon="pi pi-question-circle"
+            severity="warning"
+            outlined
+            disabled={queue.ambiguities === 0}
+            onClick={() => setWizardVisible(true)}
+            badge={queue.ambiguities > 0 ? String(queue.ambiguities) : null}
+            badgeClassName="p-badge-warning"
+          />
+          <Button
+            label="Apply"
+            icon="pi pi-check"
+            disabled={queue.ambiguities > 0 || queue.pending === 0}
+            tooltip={queue.ambiguities > 0 ? 'Make the open decisions first' : null}
+            tooltipOptions={{ showOnDisabled: true }}
+            onClick={applyPending}
+            badge={queue.pending > 0 ? String(queue.pending) : null}
+          />
+          <Button icon="pi pi-undo" tooltip="Undo" outlined disabled={!history.canUndo} onClick={undo} />
+          <Button icon="pi pi-replay" tooltip="Redo" outlined disabled={!history.canRedo} onClick={redo} />
+          <Button label="Save metamodel" icon="pi pi-save" outlined onClick={saveMetamodel} />
+          <Button label="Save layout" icon="pi pi-th-large" outlined onClick={saveLayout} />
+        </>
+      )}
+      <FileUpload
+        mode="basic"
+        accept=".ecore,.xmi,.xml,.json"
+        multiple
+        chooseLabel="Open metamodel"
+        auto
+        customUpload
+        uploadHandler={openFiles}
+      />
+      <Button label="Open sample" icon="pi pi-book" outlined onClick={openSample} />
+    </div>
+  );
 
   return (
     <div className="App">
-      <div>
-        <a href="https://vitejs.dev" target="_blank">
-          <img src="/vite.svg" className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://reactjs.org" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + PrimeReact</h1>
-      <div>
-        <h2>PrimeReact Typescript Issue Template</h2>
-        <p>
-          Please create a test case and attach the link to the to your github
-          issue report.
-        </p>
-      </div>
-      <div className="card">
-        <Button
-          icon="pi pi-plus"
-          className="mr-2"
-          label="Increment"
-          onClick={() => setCount((count) => count + 1)}
-        ></Button>
-        <InputText value={count} />
-        <p>
-          Edit <code>src/App.tsx</code> and save to test PrimeReact
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
+      <Toast ref={toast} />
+      <AmbiguityWizard
+        manager={manager}
+        visible={wizardVisible}
+        onHide={() => setWizardVisible(false)}
+        onResolved={onAmbiguityResolved}
+      />
+      <Toolbar start={toolbarStart} end={toolbarEnd} className="mb-3" />
+      {report ? (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            <Tag value={`${report.packages.length} packages`} />
+            <Tag value={`${report.classes.length} classes`} />
+            <Tag value={`${report.enums.length} enums`} />
+            <Tag value={`${report.dataTypes.length} datatypes`} />
+          </div>
+          <TabView>
+            <TabPanel header="Explorer" leftIcon="pi pi-list mr-2">
+              <div className="grid">
+                <div className="col-12 md:col-4">
+                  <MetamodelTree
+                    key={loadCount}
+                    report={report}
+                    selectedKey={selection.key}
+                    onSelect={(key, element) => setSelection({ key, element })}
+                  />
+                </div>
+                <div className="col-12 md:col-8">
+                  <ElementDetails element={selection.element} />
+                </div>
+              </div>
+            </TabPanel>
+            <TabPanel header="Diagram" leftIcon="pi pi-share-alt mr-2">
+              <div className="grid">
+                <div className="col-12 lg:col-9">
+                  <ClassDiagram
+                    report={report}
+                    positions={positions}
+                    selectedKey={selection.key}
+                    onSelect={(key, element) => setSelection({ key, element })}
+                    onPositionsChange={setPositions}
+                    onModelChange={applyModelChange}
+                  />
+                </div>
+                <div className="col-12 lg:col-3">
+                  <ElementDetails element={selection.element} />
+                </div>
+              </div>
+            </TabPanel>
+            <TabPanel header="Instance" leftIcon="pi pi-table mr-2">
+              <InstanceEditor
+                manager={manager}
+                report={report}
+                queue={queue}
+                instance={instance}
+                onInstanceChange={setInstance}
+                onQueue={queueInstanceChanges}
+                onError={showError}
+              />
+            </TabPanel>
+            <TabPanel header="History" leftIcon="pi pi-history mr-2">
+              <EvolutionHistory manager={manager} />
+            </TabPanel>
+          </TabView>
+        </>
+      ) : (
+        <div className="text-center text-color-secondary p-6">
+          <i className="pi pi-upload text-4xl mb-3" />
+          <p>
+            Open an Ecore metamodel (.ecore or .json) to explore its packages, classes and features. Select its
+            .layout.json file too to restore the diagram layout.
+          </p>
+        </div>
+      )}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { Dialog } from 'primereact/dialog';
+import { Button } from 'primereact/button';
+import { RadioButton } from 'primereact/radiobutton';
+import { Dropdown } from 'primereact/dropdown';
+import { InputText } from 'primereact/inputtext';
+import { Message } from 'primereact/message';
+import MetamodelChangeDescriber from '../Model/MetamodelChangeDescriber.js';
+import ImpactTag from './ImpactTag.jsx';
+
+// Option parameters that name a class of the metamodel
+const CLASS_PARAMETERS = ['retargetTo'];
+
+/**
+ * Preview the dependent changes of a cascading class removal option
+ * @param {Object} manager - The MetamodelEvolutionManager
+ * @param {Object} operation - The ambiguous removeClass operation
+ * @param {Object} resolution - Fields the option sets, including the entered parameters
+ * @returns {Array} - Descriptions of the dependent changes
+ */
+function previewCascade(manager, operation, resolution) {
+  if (!resolution.cascade || (resolution.cascade === 'retarget' && !resolution.retargetTo)) {
+    return [];
+  }
+  try {
+    return manager.planClassRemoval(operation.metamodelOperation.className, resolution).map((change) => change.description);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * A resolution option with its parameter inputs and, for cascading removals, the changes it implies
+ */
+function ResolutionOption({ option, selected, onSelect, values, onValueChange, classNames, preview }) {
+  const inputId = `resolution-${option.id}`;
+
+  return (
+    <div className={`resolution-option p-3 border-round ${selected ? 'selected' : ''}`} onClick={selected ? undefined : onSelect}>
+      <div className="flex align-items-start gap-2">
+        <RadioButton inputId={inputId} checked={selected} onChange={onSelect} />
+        <label htmlFor={inputId} className="flex-1 cursor-pointer">
+          <div className="font-semibold">{option.label}</div>
+          <div className="text-color-secondary text-sm">{option.description}</div>
+        </label>
+      </div>
+      {selected &&
+        option.parameters.map((parameter) =>
+          CLASS_PARAMETERS.includes(parameter) ? (
+            <Dropdown
+              key={parameter}
+              className="w-full mt-2"
+              value={values[parameter] ?? null}
+              options={classNames}
+              onChange={(e) => onValueChange(parameter, e.value)}
+              placeholder="Choose a class"
+              filter
+            />
+          ) : (
+            <InputText
+              key={parameter}
+              className="w-full mt-2"
+              value={values[parameter] ?? ''}
+              onChange={(e) => onValueChange(parameter, e.target.value)}
+              placeholder={parameter}
+            />
+          )
+        )}
+      {selected && preview.length > 0 && (
+        <ul className="mt-2 mb-0 text-sm">
+          {preview.map((description) => (
+            <li key={description}>{description}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Dialog that walks through the ambiguous operations of a MetamodelEvolutionManager
+ *
+ * Each ambiguity is explained in domain terms with the resolution options of
+ * MetamodelResolutionAdvisor; the chosen option is passed to resolveAmbiguity.
+ *
+ * @param {Object} props
+ * @param {Object} props.manager - The MetamodelEvolutionManager holding the ambiguities
+ * @param {boolean} props.visible - Whether the dialog is shown
+ * @param {Function} props.onHide - Called when the dialog is closed
+ * @param {Function} props.onResolved - Called with the operation after each resolution
+ */
+function AmbiguityWizard({ manager, visible, onHide, onResolved }) {
+  const [index, setIndex] = useState(0);
+  const [choice, setChoice] = useState({ operation: null, optionId: null, values: {} });
+  const [error, setError] = useState(null);
+
+  const ambiguities = manager.ambiguities;
+  const current = Math.min(index, ambiguities.length - 1);
+  const operation = ambiguities[current] || null;
+
+  // Start each ambiguity with its preferred option and the suggested parameter values
+  const options = operation ? operation.resolutionOptions : [];
+  const active =
+    choice.operation === operation
+      ? choice
+      : { operation, optionId: options.length > 0 ? options[0].id : null, values: options.length > 0 ? { ...options[0].resolution } : {} };
+  const selectedOption = options.find((option) => option.id === active.optionId) || null;
+
+  const selectOption = (option) => {
+    setChoice({ operation, optionId: option.id, values: { ...option.resolution } });
+    setError(null);
+  };
+
+  const go = (newIndex) => {
+    setIndex(newIndex);
+    setError(null);
+  };
+
+  const resolve = () => {
+    const parameters = Object.fromEntries(selectedOption.parameters.map((parameter) => [parameter, active.values[parameter]]));
+    try {
+      manager.resolveAmbiguity(manager.evolutionOperations.indexOf(operation), { optionId: selectedOption.id, ...parameters });
+    } catch (resolveError) {
+      setError(resolveError.message);
+      return;
+    }
+
+    setError(null);
+    onResolved(operation);
+    if (manager.ambiguities.length === 0) {
+      onHide();
+    }
+  };
+
+  if (!operation) {
+    return (
+      <Dialog header="Decisions" visible={visible} onHide={onHide} style={{ width: '36rem' }}>
+        <p>There are no open decisions. Apply the pending changes to update the metamodel.</p>
+      </Dialog>
+    );
+  }
+
+  const { summary, reason, explanation, consequences } = MetamodelChangeDescriber.explain(operation);
+  const classNames = manager.loader
+    .getAllClasses()
+    .map((cls) => cls.get('name'))
+    .filter((name) => !operation.metamodelOperation || name !== operation.metamodelOperation.className);
+  const preview = selectedOption ? previewCascade(manager, operation, { ...selectedOption.resolution, ...active.values }) : [];
+  const missingParameter = selectedOption && selectedOption.parameters.some((parameter) => !active.values[parameter]);
+
+  const footer = (
+    <div className="flex justify-content-between">
+      <div className="flex gap-2">
+        <Button label="Previous" icon="pi pi-chevron-left" text disabled={current === 0} onClick={() => go(current - 1)} />
+        <Button
+          label="Next"
+          icon="pi pi-chevron-right"
+          iconPos="right"
+          text
+          disabled={current >= ambiguities.length - 1}
+          onClick={() => go(current + 1)}
+        />
+      </div>
+      <Button
+        label={selectedOption && selectedOption.cancel ? 'Drop this change' : 'Resolve'}
+        icon="pi pi-check"
+        severity={selectedOption && selectedOption.cancel ? 'secondary' : undefined}
+        disabled={!selectedOption || missingParameter}
+        onClick={resolve}
+      />
+    </div>
+  );
+
+  return (
+    <Dialog
+      header={`Decision ${current + 1} of ${ambiguities.length}`}
+      visible={visible}
+      onHide={onHide}
+      footer={footer}
+      style={{ width: '40rem' }}
+      breakpoints={{ '640px': '95vw' }}
+    >
+      <h3 className="mt-0 mb-2">{summary}</h3>
+      <Message
+        severity="warn"
+        className="w-full justify-content-start mb-3"
+        content={
+          <div>
+            {explanation && <div>{explanation}</div>}
+            <div className={explanation ? 'text-sm mt-1' : ''}>{reason}</div>
+          </div>
+        }
+      />
+      {consequences.length > 0 && (
+        <div className="mb-3">
+          <div className="flex align-items-center gap-2 mb-1">
+            <span className="font-semibold">If you go ahead</span>
+            <ImpactTag impact={operation.impact} />
+          </div>
+          <ul className="mt-0 mb-0">
+            {consequences.map((consequence) => (
+              <li key={consequence}>{consequence}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div className="font-semibold mb-2">How should this be resolved?</div>
+      <div className="flex flex-column gap-2">
+        {options.map((option) => (
+          <ResolutionOption
+            key={option.id}
+            option={option}
+            selected={option === selectedOption}
+            onSelect={() => selectOption(option)}
+            values={active.values}
+            onValueChange={(parameter, value) =>
+              setChoice({ operation, optionId: active.optionId, values: { ...active.values, [parameter]: value } })
+            }
+            classNames={classNames}
+            preview={option === selectedOption ? preview : []}
+          />
+        ))}
+      </div>
+      {error && <Message severity="error" text={error} className="w-full mt-3" />}
+    </Dialog>
+  );
+}
+
+export default AmbiguityWizard;
@@ -0,0 +1,506 @@
+import { useMemo, useRef, useState } from 'react';
+import { SelectButton } from 'primereact/selectbutton';
+import { Button } from 'primereact/button';
+import { Dialog } from 'primereact/dialog';
+import { InputText } from 'primereact/inputtext';
+import { Checkbox } from 'primereact/checkbox';
+import MetamodelLayout from '../Model/MetamodelLayout.js';
+import MetamodelFormat from '../Model/MetamodelFormat.js';
+
+// Gestures of a drag that starts on a class: move it or draw an arrow to another class
+const TOOLS = [
+  { value: 'move', icon: 'pi pi-arrows-alt', label: 'Move' },
+  { value: 'reference', icon: 'pi pi-arrow-right', label: 'Reference' },
+  { value: 'containment', icon: 'pi pi-sitemap', label: 'Containment' },
+  { value: 'inheritance', icon: 'pi pi-angle-double-up', label: 'Inheritance' },
+];
+
+const MARGIN = 20;
+
+/**
+ * Get the point where the line from the center of a box toward a point leaves the box
+ * @param {Object} box - { x, y, width, height }
+ * @param {Object} toward - { x, y }
+ * @returns {Object} - { x, y } on the border of the box
+ */
+function borderPoint(box, toward) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const dx = toward.x - cx;
+  const dy = toward.y - cy;
+  if (dx === 0 && dy === 0) {
+    return { x: cx, y: cy };
+  }
+
+  const scale = Math.min(Math.abs(box.width / 2 / dx), Math.abs(box.height / 2 / dy));
+  return { x: cx + dx * scale, y: cy + dy * scale };
+}
+
+const centerOf = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+const lowerFirst = (name) => name.charAt(0).toLowerCase() + name.slice(1);
+
+/**
+ * Build the boxes, edges and selectable elements of the diagram
+ * @param {Object} report - Report from MetamodelLoader.generateMetamodelReport
+ * @param {Object} positions - Box positions by qualified name
+ * @returns {Object} - { boxes, edges, elements } with elements mapping keys to { kind, entry, owner }
+ */
+function buildDiagram(report, positions) {
+  const elements = new Map();
+  const boxes = MetamodelLayout.boxes(report)
+    .filter((box) => positions[box.key])
+    .map((box) => ({ ...box, ...positions[box.key], content: MetamodelLayout.boxContent(box.entry, box.kind) }));
+  const boxByEntry = new Map(boxes.map((box) => [box.entry, box]));
+
+  // Names used in model changes; qualified only where a simple name is ambiguous
+  const simpleNameCount = new Map();
+  [...report.classes, ...report.enums].forEach((entry) => {
+    simpleNameCount.set(entry.name, (simpleNameCount.get(entry.name) || 0) + 1);
+  });
+  const changeName = (entry) => (simpleNameCount.get(entry.name) > 1 ? MetamodelFormat.qualifiedName(entry) : entry.name);
+
+  const edges = [];
+  boxes.forEach((box) => {
+    const { entry } = box;
+    box.changeName = changeName(entry);
+    elements.set(`${box.kind}:${box.key}`, { kind: box.kind, entry, owner: null });
+
+    if (box.kind === 'enum') {
+      entry.literals.forEach((literal) => elements.set(`literal:${box.key}.${literal.name}`, { kind: 'literal', entry: literal, owner: entry }));
+      return;
+    }
+
+    entry.attributes.forEach((attribute) => elements.set(`attribute:${box.key}.${attribute.name}`, { kind: 'attribute', entry: attribute, owner: entry }));
+    (entry.operations || []).forEach((operation) => elements.set(`operation:${box.key}.${operation.name}`, { kind: 'operation', entry: operation, owner: entry }));
+
+    entry.superTypes.forEach((superTypeName) => {
+      const target = boxByEntry.get(MetamodelLayout.findClassEntry(report, superTypeName, entry.package));
+      if (target) {
+        const key = `inheritance:${box.key}>${target.key}`;
+        elements.set(key, { kind: 'inheritance', entry: { name: `${entry.name} → ${target.entry.name}`, subClass: entry.name, superClass: target.entry.name }, owner: entry });
+        edges.push({ key, kind: 'inheritance', source: box, target, superTypeName });
+      }
+    });
+
+    entry.references.forEach((reference) => {
+      const target = boxByEntry.get(MetamodelLayout.findClassEntry(report, reference.type, entry.package));
+      const key = `reference:${box.key}.${reference.name}`;
+      elements.set(key, { kind: 'reference', entry: reference, owner: entry });
+      if (target) {
+        edges.push({ key, kind: reference.containment ? 'containment' : 'reference', source: box, target, reference });
+      }
+    });
+  });
+
+  return { boxes, edges, elements };
+}
+
+/**
+ * Dialog asking for the name of a new or renamed element
+ * @param {Object} props
+ * @param {Object} props.prompt - { title, name, many, onSubmit } or null when closed; many is shown as a checkbox if defined
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+function NamePrompt({ prompt, onClose }) {
+  const [name, setName] = useState('');
+  const [many, setMany] = useState(false);
+
+  const submit = () => {
+    if (name.trim()) {
+      prompt.onSubmit(name.trim(), many);
+      onClose();
+    }
+  };
+
+  return (
+    <Dialog
+      header={prompt ? prompt.title : ''}
+      visible={!!prompt}
+      onShow={() => {
+        setName(prompt.name || '');
+        setMany(!!prompt.many);
+      }}
+      onHide={onClose}
+      style={{ width: '24rem' }}
+      footer={<Button label="OK" icon="pi pi-check" onClick={submit} disabled={!name.trim()} />}
+    >
+      <div className="flex flex-column gap-3">
+        <InputText value={name} onChange={(e) => setName(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && submit()} autoFocus />
+        {prompt && prompt.many !== undefined && (
+          <div className="flex align-items-center gap-2">
+            <Checkbox inputId="prompt-many" checked={many} onChange={(e) => setMany(e.checked)} />
+            <label htmlFor="prompt-many">Many (upper bound *)</label>
+          </div>
+        )}
+      </div>
+    </Dialog>
+  );
+}
+
+/**
+ * Editable SVG class diagram of a metamodel
+ *
+ * Gestures are turned into model changes for MetamodelEvolutionManager.interpretModelChange:
+ * drawing an arrow between classes adds a reference or a super type, double-clicking an
+ * element renames it, double-clicking the canvas adds a class and Delete removes the
+ * selected element.
+ *
+ * @param {Object} props
+ * @param {Object} props.report - Report from MetamodelLoader.generateMetamodelReport
+ * @param {Object} props.positions - Box positions by qualified name (see MetamodelLayout)
+ * @param {string} props.selectedKey - Key of the selected element (same keys as MetamodelTree)
+ * @param {Function} props.onSelect - Called with (key, element) when an element is selected
+ * @param {Function} props.onPositionsChange - Called with the new positions after moving boxes
+ * @param {Function} props.onModelChange - Called with (modelChange, layoutHint); the hint is
+ *   { key, position } for a new class or { from, to } for a renamed one
+ */
+function ClassDiagram({ report, positions, selectedKey, onSelect, onPositionsChange, onModelChange }) {
+  const svgRef = useRef(null);
+  const [tool, setTool] = useState('move');
+  const [moving, setMoving] = useState(null); // { key, x, y, offsetX, offsetY, moved }
+  const [connecting, setConnecting] = useState(null); // { tool, source, point }
+  const [prompt, setPrompt] = useState(null);
+
+  const { boxes, edges, elements } = useMemo(
+    () => buildDiagram(report, moving ? { ...positions, [moving.key]: { x: moving.x, y: moving.y } } : positions),
+    [report, positions, moving]
+  );
+
+  const width = Math.max(600, ...boxes.map((box) => box.x + box.width)) + MARGIN;
+  const height = Math.max(400, ...boxes.map((box) => box.y + box.height)) + MARGIN;
+
+  const toPoint = (event) => {
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return { x: point.x, y: point.y };
+  };
+  const boxAt = (point) =>
+    boxes.find((box) => point.x >= box.x && point.x <= box.x + box.width && point.y >= box.y && point.y <= box.y + box.height);
+  const select = (key) => onSelect(key, elements.get(key) || null);
+
+  const startDrag = (event, box) => {
+    event.stopPropagation();
+    svgRef.current.focus();
+    select(`${box.kind}:${box.key}`);
+
+    const point = toPoint(event);
+    if (tool === 'move') {
+      setMoving({ key: box.key, x: box.x, y: box.y, offsetX: point.x - box.x, offsetY: point.y - box.y, moved: false });
+    } else if (box.kind === 'class') {
+      setConnecting({ tool, source: box, point });
+    }
+  };
+
+  const drag = (event) => {
+    if (moving) {
+      const point = toPoint(event);
+      setMoving({ ...moving, x: Math.max(0, Math.round(point.x - moving.offsetX)), y: Math.max(0, Math.round(point.y - moving.offsetY)), moved: true });
+    } else if (connecting) {
+      setConnecting({ ...connecting, point: toPoint(event) });
+    }
+  };
+
+  const endDrag = (event) => {
+    if (moving) {
+      if (moving.moved) {
+        onPositionsChange({ ...positions, [moving.key]: { x: moving.x, y: moving.y } });
+      }
+      setMoving(null);
+    } else if (connecting) {
+      const target = boxAt(toPoint(event));
+      setConnecting(null);
+      if (target && target.kind === 'class') {
+        connect(connecting.tool, connecting.source, target);
+      }
+    }
+  };
+
+  const connect = (connectTool, source, target) => {
+    if (connectTool === 'inheritance') {
+      if (source !== target && !source.entry.superTypes.includes(target.entry.name)) {
+        onModelChange({ type: 'modify', element: 'class', details: { name: source.changeName, newSuperTypes: [...source.entry.superTypes, target.changeName] } });
+      }
+      return;
+    }
+
+    const containment = connectTool === 'containment';
+    setPrompt({
+      title: `New ${containment ? 'containment' : 'reference'} from ${source.entry.name} to ${target.entry.name}`,
+      name: lowerFirst(target.entry.name),
+      many: containment,
+      onSubmit: (name, many) =>
+        onModelChange({
+          type: 'add',
+          element: 'reference',
+          details: { sourceClassName: source.changeName, targetClassName: target.changeName, name, containment, upperBound: many ? -1 : 1 },
+        }),
+    });
+  };
+
+  const rename = (key) => {
+    const element = elements.get(key);
+    if (!element) {
+      return;
+    }
+
+    const { kind, entry, owner } = element;
+    const box = boxes.find((candidate) => candidate.entry === (owner || entry));
+    const onSubmit = (newName) => {
+      if (newName === entry.name) {
+        return;
+      }
+      switch (kind) {
+        case 'class':
+          onModelChange(
+            { type: 'modify', element: 'class', details: { name: box.changeName, newName } },
+            { from: box.key, to: MetamodelFormat.qualifiedName({ name: newName, package: entry.package }) }
+          );
+          break;
+        case 'enum':
+          onModelChange(
+            { type: 'modify', element: 'enum', details: { name: box.changeName, newName } },
+            { from: box.key, to: MetamodelFormat.qualifiedName({ name: newName, package: entry.package }) }
+          );
+          break;
+        case 'literal':
+          onModelChange({ type: 'modify', element: 'literal', details: { enumName: box.changeName, name: entry.name, newName } });
+          break;
+        case 'attribute':
+        case 'reference':
+        case 'operation':
+          onModelChange({ type: 'modify', element: kind, details: { className: box.changeName, name: entry.name, newName } });
+          break;
+        default:
+          break;
+      }
+    };
+
+    if (kind !== 'inheritance') {
+      setPrompt({ title: `Rename ${kind} ${entry.name}`, name: entry.name, onSubmit });
+    }
+  };
+
+  const addClass = (event) => {
+    const point = toPoint(event);
+    setPrompt({
+      title: 'New class',
+      name: '',
+      onSubmit: (name) =>
+        onModelChange(
+          { type: 'add', element: 'class', details: { name } },
+          { key: MetamodelFormat.qualifiedName({ name, package: report.packageName }), position: { x: Math.round(point.x), y: Math.round(point.y) } }
+        ),
+    });
+  };
+
+  const removeSelected = () => {
+    const element = elements.get(selectedKey);
+    if (!element) {
+      return;
+    }
+
+    const { kind, entry, owner } = element;
+    const box = boxes.find((candidate) => candidate.entry === (owner || entry));
+    switch (kind) {
+      case 'class':
+      case 'enum':
+        onModelChange({ type: 'remove', element: kind, details: { name: box.changeName } });
+        break;
+      case 'literal':
+        onModelChange({ type: 'remove', element: 'literal', details: { enumName: box.changeName, name: entry.name } });
+        break;
+      case 'attribute':
+      case 'reference':
+      case 'operation':
+        onModelChange({ type: 'remove', element: kind, details: { className: box.changeName, name: entry.name } });
+        break;
+      case 'inheritance':
+        onModelChange({
+          type: 'modify',
+          element: 'class',
+          details: { name: box.changeName, newSuperTypes: owner.superTypes.filter((superType) => superType !== entry.superClass) },
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const onKeyDown = (event) => {
+    if ((event.key === 'Delete' || event.key === 'Backspace') && selectedKey) {
+      event.preventDefault();
+      removeSelected();
+    }
+  };
+
+  // Press and double-click handlers of an element inside a box or on an edge
+  const elementHandlers = (key) => ({
+    onPointerDown: (event) => {
+      event.stopPropagation();
+      svgRef.current.focus();
+      select(key);
+    },
+    onDoubleClick: (event) => {
+      event.stopPropagation();
+      rename(key);
+    },
+  });
+
+  const { LINE_HEIGHT, HEADER_HEIGHT, PADDING } = MetamodelLayout.METRICS;
+
+  const renderBox = (box) => {
+    const boxKey = `${box.kind}:${box.key}`;
+    const { header, stereotype, compartments } = box.content;
+    const lineKinds = box.kind === 'enum' ? ['literal'] : ['attribute', 'operation'];
+    const lineEntries = box.kind === 'enum' ? [box.entry.literals] : [box.entry.attributes, box.entry.operations || []];
+
+    let y = HEADER_HEIGHT;
+    return (
+      <g
+        key={boxKey}
+        transform={`translate(${box.x},${box.y})`}
+        className={`diagram-box diagram-${box.kind}${selectedKey === boxKey ? ' selected' : ''}`}
+      >
+        <rect width={box.width} height={box.height} rx={4} onPointerDown={(event) => startDrag(event, box)} />
+        <g onPointerDown={(event) => startDrag(event, box)} onDoubleClick={(event) => { event.stopPropagation(); rename(boxKey); }}>
+          <rect className="diagram-header" width={box.width} height={HEADER_HEIGHT} rx={4} />
+          {stereotype && (
+            <text className="diagram-stereotype" x={box.width / 2} y={14} textAnchor="middle">
+              {stereotype}
+            </text>
+          )}
+          <text className="diagram-name" x={box.width / 2} y={stereotype ? 31 : 25} textAnchor="middle">
+            {header}
+          </text>
+        </g>
+        {compartments.map((lines, compartmentIndex) => {
+          const top = y;
+          y += Math.max(lines.length, 1) * LINE_HEIGHT + PADDING;
+          return (
+            <g key={compartmentIndex}>
+              <line x1={0} x2={box.width} y1={top} y2={top} />
+              {lines.map((line, lineIndex) => {
+                const key = `${lineKinds[compartmentIndex]}:${box.key}.${lineEntries[compartmentIndex][lineIndex].name}`;
+                return (
+                  <text
+                    key={key}
+                    className={`diagram-line${selectedKey === key ? ' selected' : ''}`}
+                    x={PADDING}
+                    y={top + (lineIndex + 1) * LINE_HEIGHT - 4}
+                    {...elementHandlers(key)}
+                  >
+                    {line}
+                  </text>
+                );
+              })}
+            </g>
+          );
+        })}
+      </g>
+    );
+  };
+
+  const renderEdge = (edge) => {
+    const selected = selectedKey === edge.key;
+    const className = `diagram-edge diagram-${edge.kind}${selected ? ' selected' : ''}`;
+    const markers = {
+      inheritance: { markerEnd: 'url(#diagram-triangle)' },
+      containment: { markerStart: 'url(#diagram-diamond)', markerEnd: 'url(#diagram-arrow)' },
+      reference: { markerEnd: 'url(#diagram-arrow)' },
+    }[edge.kind];
+
+    let path;
+    let labelPoint;
+    if (edge.source === edge.target) {
+      // Self reference: a loop over the top right corner
+      const { x, y, width } = edge.source;
+      path = `M ${x + width - 30} ${y} C ${x + width - 30} ${y - 40}, ${x + width + 40} ${y - 40}, ${x + width} ${y + 20}`;
+      labelPoint = { x: x + width + 10, y: y - 30 };
+    } else {
+      const start = borderPoint(edge.source, centerOf(edge.target));
+      const end = borderPoint(edge.target, centerOf(edge.source));
+      path = `M ${start.x} ${start.y} L ${end.x} ${end.y}`;
+      labelPoint = { x: start.x + (end.x - start.x) * 0.7, y: start.y + (end.y - start.y) * 0.7 - 6 };
+    }
+
+    return (
+      <g key={edge.key} className={className} {...elementHandlers(edge.key)}>
+        <path className="diagram-edge-hit" d={path} />
+        <path d={path} {...markers} />
+        {edge.reference && (
+          <text x={labelPoint.x} y={labelPoint.y} textAnchor="middle">
+            {`${edge.reference.name} ${MetamodelFormat.bounds(edge.reference.lowerBound, edge.reference.upperBound)}`}
+          </text>
+        )}
+      </g>
+    );
+  };
+
+  return (
+    <div className="class-diagram">
+      <div className="flex flex-wrap align-items-center gap-3 mb-2">
+        <SelectButton
+          value={tool}
+          options={TOOLS}
+          optionValue="value"
+          allowEmpty={false}
+          onChange={(e) => setTool(e.value)}
+          itemTemplate={(option) => (
+            <span>
+              <i className={`${option.icon} mr-2`} />
+              {option.label}
+            </span>
+          )}
+        />
+        <Button label="Auto layout" icon="pi pi-th-large" outlined onClick={() => onPositionsChange(MetamodelLayout.autoLayout(report))} />
+        <small className="text-color-secondary">
+          Drag between classes to add an arrow, double-click to rename or add a class, press Delete to remove.
+        </small>
+      </div>
+      <div className="class-diagram-canvas">
+        <svg
+          ref={svgRef}
+          width={width}
+          height={height}
+          tabIndex={0}
+          onPointerMove={drag}
+          onPointerUp={endDrag}
+          onPointerLeave={endDrag}
+          onKeyDown={onKeyDown}
+        >
+          <defs>
+            <marker id="diagram-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="10" markerHeight="10" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10" className="diagram-marker-open" />
+            </marker>
+            <marker id="diagram-triangle" viewBox="0 0 12 12" refX="12" refY="6" markerWidth="14" markerHeight="14" orient="auto-start-reverse">
+              <path d="M 0 0 L 12 6 L 0 12 Z" className="diagram-marker-hollow" />
+            </marker>
+            <marker id="diagram-diamond" viewBox="0 0 16 10" refX="16" refY="5" markerWidth="16" markerHeight="10" orient="auto-start-reverse">
+              <path d="M 0 5 L 8 0 L 16 5 L 8 10 Z" className="diagram-marker-filled" />
+            </marker>
+          </defs>
+          <rect
+            className="diagram-background"
+            width={width}
+            height={height}
+            onPointerDown={() => select(null)}
+            onDoubleClick={addClass}
+          />
+          {edges.map(renderEdge)}
+          {boxes.map(renderBox)}
+          {connecting && (
+            <line
+              className={`diagram-rubber-band diagram-${connecting.tool}`}
+              x1={centerOf(connecting.source).x}
+              y1={centerOf(connecting.source).y}
+              x2={connecting.point.x}
+              y2={connecting.point.y}
+            />
+          )}
+        </svg>
+      </div>
+      <NamePrompt prompt={prompt} onClose={() => setPrompt(null)} />
+    </div>
+  );
+}
+
+export default ClassDiagram;
@@ -0,0 +1,204 @@
+import { Card } from 'primereact/card';
+import { DataTable } from 'primereact/datatable';
+import { Column } from 'primereact/column';
+import { Tag } from 'primereact/tag';
+import MetamodelFormat from '../Model/MetamodelFormat.js';
+
+// Attribute flags shown as tags when they differ from the EMF default
+const ATTRIBUTE_FLAGS = [
+  ['iD', true, 'ID'],
+  ['derived', true, 'derived'],
+  ['transient', true, 'transient'],
+  ['volatile', true, 'volatile'],
+  ['unsettable', true, 'unsettable'],
+  ['changeable', false, 'read-only'],
+  ['ordered', false, 'unordered'],
+  ['unique', false, 'non-unique'],
+];
+
+const boundsBody = (row) => MetamodelFormat.bounds(row.lowerBound, row.upperBound);
+const checkBody = (field) => (row) => (row[field] ? <i className="pi pi-check" /> : null);
+
+function AttributeFlags({ attribute }) {
+  return ATTRIBUTE_FLAGS.filter(([field, value]) => attribute[field] === value).map(([field, , label]) => (
+    <Tag key={field} value={label} severity="secondary" className="mr-1" />
+  ));
+}
+
+/**
+ * Name and value rows of a detail card
+ * @param {Object} props
+ * @param {Array} props.rows - [label, value] pairs; rows without a value are skipped
+ */
+function PropertyList({ rows }) {
+  return (
+    <table className="details-properties">
+      <tbody>
+        {rows
+          .filter(([, value]) => value !== null && value !== undefined && value !== '')
+          .map(([label, value]) => (
+            <tr key={label}>
+              <th>{label}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ClassDetails({ cls }) {
+  return (
+    <>
+      <PropertyList
+        rows={[
+          ['Package', cls.package],
+          ['Kind', cls.interface ? 'interface' : cls.abstract ? 'abstract class' : 'class'],
+          ['Supertypes', cls.superTypes.join(', ')],
+        ]}
+      />
+      <h4>Attributes</h4>
+      <DataTable value={cls.attributes} size="small" emptyMessage="No attributes" dataKey="name">
+        <Column field="name" header="Name" />
+        <Column field="type" header="Type" />
+        <Column header="Bounds" body={boundsBody} />
+        <Column field="defaultValueLiteral" header="Default" />
+        <Column header="Properties" body={(attribute) => <AttributeFlags attribute={attribute} />} />
+      </DataTable>
+      <h4>References</h4>
+      <DataTable value={cls.references} size="small" emptyMessage="No references" dataKey="name">
+        <Column field="name" header="Name" />
+        <Column field="type" header="Type" />
+        <Column header="Bounds" body={boundsBody} />
+        <Column header="Containment" body={checkBody('containment')} />
+        <Column field="opposite" header="Opposite" />
+      </DataTable>
+      {cls.operations && cls.operations.length > 0 && (
+        <>
+          <h4>Operations</h4>
+          <DataTable value={cls.operations} size="small" dataKey="name">
+            <Column header="Signature" body={(operation) => MetamodelFormat.signature(operation)} />
+          </DataTable>
+        </>
+      )}
+    </>
+  );
+}
+
+function AttributeDetails({ attribute, owner }) {
+  return (
+    <PropertyList
+      rows={[
+        ['Class', owner.name],
+        ['Type', attribute.type],
+        ['Bounds', boundsBody(attribute)],
+        ['Default', attribute.defaultValueLiteral],
+        ['Properties', <AttributeFlags key="flags" attribute={attribute} />],
+      ]}
+    />
+  );
+}
+
+function ReferenceDetails({ reference, owner }) {
+  return (
+    <PropertyList
+      rows={[
+        ['Class', owner.name],
+        ['Type', reference.type],
+        ['Bounds', boundsBody(reference)],
+        ['Containment', reference.containment ? 'yes (contains its targets)' : 'no (cross reference)'],
+        ['Opposite', reference.opposite ? `${reference.type}.${reference.opposite}` : null],
+      ]}
+    />
+  );
+}
+
+function OperationDetails({ operation, owner }) {
+  return (
+    <>
+      <PropertyList
+        rows={[
+          ['Class', owner.name],
+          ['Returns', operation.returnType ? `${operation.returnType} ${boundsBody(operation)}` : 'nothing'],
+        ]}
+      />
+      <h4>Parameters</h4>
+      <DataTable value={operation.parameters} size="small" emptyMessage="No parameters" dataKey="name">
+        <Column field="name" header="Name" />
+        <Column field="type" header="Type" />
+        <Column header="Bounds" body={boundsBody} />
+      </DataTable>
+    </>
+  );
+}
+
+function EnumDetails({ eEnum }) {
+  return (
+    <>
+      <PropertyList rows={[['Package', eEnum.package]]} />
+      <h4>Literals</h4>
+      <DataTable value={eEnum.literals} size="small" emptyMessage="No literals" dataKey="name">
+        <Column field="name" header="Name" />
+        <Column field="value" header="Value" />
+        <Column field="literal" header="Literal" />
+      </DataTable>
+    </>
+  );
+}
+
+/**
+ * Detail panel of the element selected in the metamodel tree or class diagram
+ * @param {Object} props
+ * @param {Object} props.element - { kind, entry, owner } of the selected element, or null
+ */
+function ElementDetails({ element }) {
+  if (!element) {
+    return (
+      <Card title="Details">
+        <p className="text-color-secondary">Select an element to see its details.</p>
+      </Card>
+    );
+  }
+
+  const { kind, entry, owner } = element;
+  let content;
+  switch (kind) {
+    case 'package':
+      content = <PropertyList rows={[['Namespace URI', entry.nsURI], ['Namespace prefix', entry.nsPrefix]]} />;
+      break;
+    case 'class':
+      content = <ClassDetails cls={entry} />;
+      break;
+    case 'attribute':
+      content = <AttributeDetails attribute={entry} owner={owner} />;
+      break;
+    case 'reference':
+      content = <ReferenceDetails reference={entry} owner={owner} />;
+      break;
+    case 'operation':
+      content = <OperationDetails operation={entry} owner={owner} />;
+      break;
+    case 'enum':
+      content = <EnumDetails eEnum={entry} />;
+      break;
+    case 'datatype':
+      content = <PropertyList rows={[['Package', entry.package], ['Instance class', entry.instanceClassName]]} />;
+      break;
+    case 'literal':
+      content = <PropertyList rows={[['Enum', owner.name], ['Value', entry.value], ['Literal', entry.literal]]} />;
+      break;
+    case 'inheritance':
+      content = <PropertyList rows={[['Subclass', entry.subClass], ['Super type', entry.superClass]]} />;
+      break;
+    default:
+      content = null;
+  }
+
+  return (
+    <Card title={entry.name} subTitle={kind}>
+      {content}
+    </Card>
+  );
+}
+
+export default ElementDetails;
@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { Card } from 'primereact/card';
+import { Timeline } from 'primereact/timeline';
+import { DataTable } from 'primereact/datatable';
+import { Column } from 'primereact/column';
+import { Tag } from 'primereact/tag';
+import { Message } from 'primereact/message';
+import { Checkbox } from 'primereact/checkbox';
+import MetamodelChangeDescriber from '../Model/MetamodelChangeDescriber.js';
+import MetamodelDiffView from './MetamodelDiffView.jsx';
+import ImpactTag from './ImpactTag.jsx';
+
+// Marker icon and tag severity of each batch and operation status
+const STATUSES = {
+  applied: { icon: 'pi pi-check', severity: 'success' },
+  undone: { icon: 'pi pi-undo', severity: 'secondary' },
+  failed: { icon: 'pi pi-times', severity: 'danger' },
+  pending: { icon: 'pi pi-clock', severity: 'warning' },
+  cancelled: { icon: 'pi pi-ban', severity: 'secondary' },
+  error: { icon: 'pi pi-exclamation-triangle', severity: 'danger' },
+};
+
+const StatusTag = ({ status }) => <Tag value={status} severity={(STATUSES[status] || STATUSES.pending).severity} />;
+
+// Whether an operation changed an element picked in the diff, or the classifier holding it
+function changes(operation, element) {
+  return MetamodelChangeDescriber.subjects(operation).some(
+    (subject) =>
+      subject.classifier === element.classifier &&
+      (element.feature === null || subject.feature === null || subject.feature === element.feature)
+  );
+}
+
+function entryTitle(entry) {
+  return entry.status === 'pending' ? 'Queued changes' : `Batch ${entry.index + 1}`;
+}
+
+/**
+ * The ambiguity an operation had and how it was resolved
+ */
+function Decision({ operation }) {
+  if (operation.ambiguous) {
+    return <span className="text-sm">Open: {operation.ambiguityReason}</span>;
+  }
+  if (!operation.resolvedAmbiguityReason) {
+    return null;
+  }
+
+  const fields = Object.entries(operation.resolution || {})
+    .map(([field, value]) => `${field}: ${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+  return (
+    <div className="text-sm">
+      <div className="text-color-secondary">{operation.resolvedAmbiguityReason}</div>
+      <div>
+        <i className="pi pi-arrow-right mr-1 text-xs" />
+        {operation.resolutionLabel || operation.resolutionOptionId || 'Resolved'}
+        {fields && <span className="text-color-secondary"> ({fields})</span>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Timeline of the applied, undone, failed and queued batches of an evolution
+ *
+ * Selecting a batch shows the metamodel before and after it side by side. Clicking an
+ * element of the diff picks out the operations that changed it; selecting an operation
+ * outlines the elements it changed.
+ *
+ * @param {Object} props
+ * @param {Object} props.manager - The MetamodelEvolutionManager whose history is shown
+ */
+function EvolutionHistory({ manager }) {
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [focus, setFocus] = useState(null); // { element } picked in the diff or { operation } picked in the list
+  const [onlyChanges, setOnlyChanges] = useState(true);
+
+  const timeline = manager.getEvolutionTimeline();
+  if (timeline.length === 0) {
+    return (
+      <div className="text-center text-color-secondary p-6">
+        <i className="pi pi-history text-4xl mb-3" />
+        <p>No changes yet. Applied, failed and queued batches of changes are listed here.</p>
+      </div>
+    );
+  }
+
+  // The latest entry is shown until another one is picked
+  const entry = timeline.find((candidate) => candidate.index === selectedIndex) || timeline[timeline.length - 1];
+  // The manager caches comparisons until its next change
+  let comparison = null;
+  let comparisonError = null;
+  try {
+    comparison = manager.compareTimelineEntry(entry.index);
+  } catch (error) {
+    comparisonError = error.message;
+  }
+
+  const focusedElements =
+    focus && focus.operation ? MetamodelChangeDescriber.subjects(focus.operation) : focus ? [focus.element] : [];
+  const linkedOperations =
+    focus && focus.element ? entry.operations.filter((operation) => changes(operation, focus.element)) : [];
+
+  const select = (index) => {
+    setSelectedIndex(index);
+    setFocus(null);
+  };
+
+  return (
+    <div className="grid">
+      <div className="col-12 lg:col-3">
+        <Card title="Timeline">
+          <Timeline
+            value={timeline}
+            marker={(item) => (
+              <span className={`timeline-marker timeline-${item.status}`}>
+                <i className={STATUSES[item.status].icon} />
+              </span>
+            )}
+            content={(item) => (
+              <div className={`timeline-entry ${item === entry ? 'selected' : ''}`} onClick={() => select(item.index)}>
+                <div className="font-semibold">{entryTitle(item)}</div>
+                <div className="text-sm text-color-secondary">
+                  {item.time ? `${new Date(item.time).toLocaleString()} · ` : ''}
+                  {item.operations.length} {item.operations.length === 1 ? 'operation' : 'operations'}
+                </div>
+              </div>
+            )}
+          />
+        </Card>
+      </div>
+      <div className="col-12 lg:col-9">
+        <Card
+          title={
+            <div className="flex align-items-center gap-2">
+              {entryTitle(entry)}
+              <StatusTag status={entry.status} />
+            </div>
+          }
+          subTitle={entry.status === 'pending' ? 'Preview of the pending changes' : 'Metamodel before and after the batch'}
+        >
+          {entry.errors.map((error) => (
+            <Message key={error} severity="error" text={error} className="w-full justify-content-start mb-2" />
+          ))}
+          <div className="flex align-items-center gap-2 mb-3">
+            <Checkbox inputId="history-only-changes" checked={onlyChanges} onChange={(e) => setOnlyChanges(e.checked)} />
+            <label htmlFor="history-only-changes">Only show changed classifiers</label>
+          </div>
+          {comparison ? (
+            <MetamodelDiffView
+              comparison={comparison}
+              onlyChanges={onlyChanges}
+              focus={focusedElements}
+              onSelect={(element) => setFocus({ element })}
+            />
+          ) : (
+            <Message
+              severity="error"
+              text={`Cannot compare the metamodel before and after: ${comparisonError}`}
+              className="w-full justify-content-start"
+            />
+          )}
+
+          <h4>Operations</h4>
+          {focus && focus.element && (
+            <Message
+              severity="info"
+              className="w-full justify-content-start mb-2"
+              text={`${linkedOperations.length} ${linkedOperations.length === 1 ? 'operation' : 'operations'} of this batch changed ${
+                focus.element.feature ? `${focus.element.classifier}.${focus.element.feature}` : focus.element.classifier
+              }`}
+            />
+          )}
+          <DataTable
+            value={entry.operations}
+            size="small"
+            selectionMode="single"
+            selection={focus && focus.operation ? focus.operation : null}
+            onSelectionChange={(e) => setFocus(e.value ? { operation: e.value } : null)}
+            rowClassName={(operation) => ({ 'linked-operation': linkedOperations.includes(operation) })}
+          >
+            <Column header="Operation" body={(operation) => MetamodelChangeDescriber.describe(operation)} />
+            <Column header="Status" body={(operation) => <StatusTag status={operation.status} />} />
+            <Column header="Impact" body={(operation) => <ImpactTag impact={operation.impact} />} />
+            <Column header="Decision" body={(operation) => <Decision operation={operation} />} />
+          </DataTable>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+export default EvolutionHistory;
@@ -0,0 +1,23 @@
+import { Tag } from 'primereact/tag';
+import MetamodelImpactClassifier from '../Model/MetamodelImpactClassifier.js';
+
+const { IMPACT } = MetamodelImpactClassifier;
+
+// Tag severity and label of each impact class
+const IMPACT_TAGS = {
+  [IMPACT.NON_BREAKING]: { severity: 'success', label: 'Existing data stays valid' },
+  [IMPACT.RESOLVABLE]: { severity: 'warning', label: 'Existing data is migrated' },
+  [IMPACT.UNRESOLVABLE]: { severity: 'danger', label: 'Existing data needs manual fixes' },
+};
+
+/**
+ * Tag showing how an operation affects existing instances
+ * @param {Object} props
+ * @param {string} props.impact - Impact class from MetamodelImpactClassifier, or null
+ */
+function ImpactTag({ impact }) {
+  const tag = IMPACT_TAGS[impact];
+  return tag ? <Tag severity={tag.severity} value={tag.label} /> : null;
+}
+
+export default ImpactTag;
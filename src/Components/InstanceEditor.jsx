@@ -0,0 +1,376 @@
+import { useMemo, useState } from 'react';
+import { Card } from 'primereact/card';
+import { DataTable } from 'primereact/datatable';
+import { Column } from 'primereact/column';
+import { InputText } from 'primereact/inputtext';
+import { Dropdown } from 'primereact/dropdown';
+import { Button } from 'primereact/button';
+import { Tag } from 'primereact/tag';
+import { BreadCrumb } from 'primereact/breadcrumb';
+import { FileUpload } from 'primereact/fileupload';
+import InstanceLoader from '../Instance/InstanceLoader.js';
+import InstanceWalker from '../Instance/InstanceWalker.js';
+import InstanceProposals from './InstanceProposals.jsx';
+import sampleInstance from '../test_files/instance.xmi?raw';
+
+const SAMPLE_FILE = 'instance.xmi';
+
+// Names of new fields, columns and lists; they become metamodel names
+const NAME_PATTERN = /^[A-Za-z]\w*$/;
+
+/**
+ * Describe the attributes of a class for editing
+ * @param {Object} eClass - The EClass, or null for objects of unknown type
+ * @returns {Array} - [{ name, type, literals }] with the literal names of enum types, otherwise null
+ */
+function attributesOf(eClass) {
+  if (!eClass) {
+    return [];
+  }
+  return eClass.get('eAllAttributes').map((attribute) => {
+    const eType = attribute.get('eType');
+    const isEnum = eType && eType.isTypeOf('EEnum');
+    return {
+      name: attribute.get('name'),
+      type: eType ? eType.get('name') : null,
+      literals: isEnum ? eType.get('eLiterals').map((literal) => literal.get('name')) : null,
+    };
+  });
+}
+
+// Set a plain value of an object, clearing it for empty input
+function setValue(object, name, value) {
+  if (value === '') {
+    delete object[name];
+  } else {
+    object[name] = value;
+  }
+}
+
+// Add an empty object to a list, creating the list if it does not exist yet
+function addObject(parent, feature) {
+  if (!parent[feature]) {
+    parent[feature] = [];
+    parent._children.push(feature);
+  }
+  parent[feature].push({ _type: feature, _id: null, _children: [] });
+}
+
+const unique = (names) => [...new Set(names)];
+
+function ValueInput({ value, literals, onChange }) {
+  return literals ? (
+    <Dropdown value={value ?? ''} options={literals} editable onChange={(e) => onChange(e.value ?? '')} className="w-full" />
+  ) : (
+    <InputText value={value ?? ''} onChange={(e) => onChange(e.target.value)} className="w-full p-inputtext-sm" />
+  );
+}
+
+/**
+ * Text box for naming a new field, column or list
+ * @param {Object} props
+ * @param {string} props.placeholder - Hint shown in the empty text box
+ * @param {Function} props.onAdd - Called with the entered name
+ */
+function NewNameInput({ placeholder, onAdd }) {
+  const [name, setName] = useState('');
+  const valid = NAME_PATTERN.test(name);
+
+  const submit = () => {
+    if (valid) {
+      onAdd(name);
+      setName('');
+    }
+  };
+
+  return (
+    <div className="p-inputgroup instance-new-name">
+      <InputText
+        value={name}
+        placeholder={placeholder}
+        className="p-inputtext-sm"
+        onChange={(e) => setName(e.target.value.trim())}
+        onKeyDown={(e) => e.key === 'Enter' && submit()}
+      />
+      <Button icon="pi pi-plus" size="small" outlined disabled={!valid} onClick={submit} aria-label={placeholder} />
+    </div>
+  );
+}
+
+const NewTag = () => <Tag value="new" severity="warning" className="ml-2" />;
+
+/**
+ * Editable table of the objects in a list, with a column per field
+ *
+ * Columns added here exist only in the table until a value is entered; the value
+ * then proposes a new attribute of the objects' class.
+ */
+function ObjectTable({ walker, objects, eType, onOpen, onAddRow, onEdit }) {
+  const [newColumns, setNewColumns] = useState([]);
+
+  const attributes = attributesOf(eType);
+  const known = attributes.map((attribute) => attribute.name);
+  const columns = unique([...known, ...objects.flatMap((object) => walker.attributeNames(object)), ...newColumns]);
+
+  const header = (
+    <div className="flex justify-content-between gap-2">
+      <NewNameInput placeholder="New column" onAdd={(name) => setNewColumns((names) => unique([...names, name]))} />
+      <Button label="Add row" icon="pi pi-plus" size="small" text onClick={onAddRow} />
+    </div>
+  );
+
+  return (
+    <DataTable value={objects} size="small" header={header} emptyMessage="No objects" scrollable>
+      {columns.map((column) => (
+        <Column
+          key={column}
+          header={
+            <span>
+              {column}
+              {!known.includes(column) && <NewTag />}
+            </span>
+          }
+          body={(object) => (
+            <ValueInput
+              value={object[column]}
+              literals={(attributes.find((attribute) => attribute.name === column) || {}).literals}
+              onChange={(value) => onEdit(() => setValue(object, column, value))}
+            />
+          )}
+        />
+      ))}
+      <Column
+        body={(object) => (
+          <Button icon="pi pi-arrow-right" text rounded size="small" tooltip="Open" onClick={() => onOpen(object)} />
+        )}
+      />
+    </DataTable>
+  );
+}
+
+/**
+ * Card with the fields, lists and links of one object
+ */
+function ObjectCard({ walker, object, eClass, title, labelOf, onOpen, onEdit }) {
+  const [newFields, setNewFields] = useState([]);
+
+  const attributes = attributesOf(eClass);
+  const known = attributes.map((attribute) => attribute.name);
+  const fields = unique([...known, ...walker.attributeNames(object), ...newFields]);
+
+  // Lists of nested objects: containment features of the class, then lists only the instance has
+  const containments = eClass ? eClass.get('eAllContainments') : [];
+  const lists = unique([
+    ...containments.map((feature) => feature.get('name')),
+    ...(object._children || []).filter((key) => walker.containedObjects(object, key).length > 0),
+  ]);
+  const links = (object._children || []).filter((key) => !lists.includes(key));
+
+  return (
+    <Card title={title} subTitle={eClass ? eClass.get('name') : `Unknown type ${walker.localName(object._type)}`}>
+      <h4 className="mt-0">Fields</h4>
+      <table className="details-properties instance-fields">
+        <tbody>
+          {fields.map((name) => {
+            const attribute = attributes.find((candidate) => candidate.name === name);
+            return (
+              <tr key={name}>
+                <th>
+                  {name}
+                  {attribute ? <span className="text-color-secondary font-normal ml-2">{attribute.type}</span> : <NewTag />}
+                </th>
+                <td>
+                  <ValueInput
+                    value={object[name]}
+                    literals={attribute ? attribute.literals : null}
+                    onChange={(value) => onEdit(() => setValue(object, name, value))}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="mt-2">
+        <NewNameInput placeholder="New field" onAdd={(name) => setNewFields((names) => unique([...names, name]))} />
+      </div>
+
+      {lists.map((name) => {
+        const feature = eClass ? walker.findFeature(eClass, name) : null;
+        return (
+          <div key={name}>
+            <h4>
+              {name}
+              {!feature && <NewTag />}
+            </h4>
+            <ObjectTable
+              walker={walker}
+              objects={walker.containedObjects(object, name)}
+              eType={feature ? feature.get('eType') : null}
+              onOpen={onOpen}
+              onAddRow={() => onEdit(() => addObject(object, name))}
+              onEdit={onEdit}
+            />
+          </div>
+        );
+      })}
+      <div className="mt-3">
+        <NewNameInput placeholder="New list" onAdd={(name) => onEdit(() => addObject(object, name))} />
+      </div>
+
+      {links.length > 0 && (
+        <>
+          <h4>Links</h4>
+          <table className="details-properties">
+            <tbody>
+              {links.map((feature) => (
+                <tr key={feature}>
+                  <th>{feature}</th>
+                  <td>
+                    {object[feature]
+                      .map((value) => (value._resolvedReference ? labelOf(value._target) : value._href))
+                      .join(', ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </Card>
+  );
+}
+
+/**
+ * Editor for the objects of an XMI instance
+ *
+ * Domain experts edit objects instead of the metamodel: values entered in fields, columns
+ * or lists the metamodel does not have yet are turned into metamodel changes by
+ * InstanceChangeInferrer and can be queued in the MetamodelEvolutionManager.
+ * Objects are edited in place; each edit passes a new wrapper to onInstanceChange.
+ *
+ * @param {Object} props
+ * @param {Object} props.manager - The MetamodelEvolutionManager holding the metamodel
+ * @param {Object} props.report - Report of the current metamodel; objects are typed again when it changes
+ * @param {Object} props.queue - { pending, ambiguities } counts of the manager
+ * @param {Object} props.instance - { fileName, root } of the edited instance, or null
+ * @param {Function} props.onInstanceChange - Called with the new wrapper after loading or editing
+ * @param {Function} props.onQueue - Called with the root object to queue the proposed changes
+ * @param {Function} props.onError - Called with (summary, detail) when a file cannot be loaded
+ */
+function InstanceEditor({ manager, report, queue, instance, onInstanceChange, onQueue, onError }) {
+  const [trail, setTrail] = useState([]); // Opened objects below the root
+  const storage = manager.loader.storage;
+  const walker = useMemo(() => new InstanceWalker(manager.loader), [manager]);
+
+  // Each edit passes a new instance wrapper and each metamodel change a new report, so both are only redone then
+  const entries = useMemo(
+    () =>
+      report && instance ? new Map(walker.collectObjects(instance.root).map((entry) => [entry.object, entry])) : new Map(),
+    [walker, report, instance]
+  );
+  const inference = useMemo(
+    () => (report && instance ? manager.inferChangesFromInstance(instance.root) : null),
+    [manager, report, instance]
+  );
+
+  const loadInstance = (name, content) => {
+    let root;
+    try {
+      root = InstanceLoader.loadFromString(content);
+    } catch (error) {
+      onError(`Cannot load ${name}`, error.message);
+      return;
+    }
+
+    setTrail([]);
+    onInstanceChange({ fileName: name, root });
+  };
+
+  const openFiles = async (event) => {
+    const [file] = event.files;
+    event.options.clear();
+
+    const name = await storage.addFile(file);
+    loadInstance(name, storage.readText(name));
+  };
+
+  const saveInstance = () =>
+    InstanceLoader.saveToFile(instance.root, instance.fileName, storage).catch((error) =>
+      onError(`Cannot save ${instance.fileName}`, error.message)
+    );
+
+  const edit = (change) => {
+    change();
+    onInstanceChange({ ...instance });
+  };
+
+  // Objects are named by their name attribute, or by their position in the list holding them
+  const labelOf = (object) => {
+    const entry = entries.get(object);
+    if (object.name) {
+      return object.name;
+    }
+    if (!entry || !entry.parent) {
+      return walker.localName(object._type);
+    }
+    return `${entry.feature} ${entry.parent[entry.feature].indexOf(object) + 1}`;
+  };
+
+  const toolbar = (
+    <div className="flex flex-wrap align-items-center gap-2 mb-3">
+      <FileUpload mode="basic" accept=".xmi,.xml" chooseLabel="Open instance" auto customUpload uploadHandler={openFiles} />
+      <Button label="Open sample instance" icon="pi pi-book" outlined onClick={() => loadInstance(SAMPLE_FILE, sampleInstance)} />
+      {instance && <Button label="Save instance" icon="pi pi-save" outlined onClick={saveInstance} />}
+      {instance && <Tag value={instance.fileName} severity="info" />}
+    </div>
+  );
+
+  if (!instance) {
+    return (
+      <>
+        {toolbar}
+        <div className="text-center text-color-secondary p-6">
+          <i className="pi pi-table text-4xl mb-3" />
+          <p>
+            Open an XMI instance of the metamodel to edit its objects. Values entered in new fields, columns or lists
+            are proposed as changes to the metamodel.
+          </p>
+        </div>
+      </>
+    );
+  }
+
+  const current = trail.length > 0 ? trail[trail.length - 1] : instance.root;
+  const currentEntry = entries.get(current);
+
+  return (
+    <>
+      {toolbar}
+      <div className="grid">
+        <div className="col-12 xl:col-7">
+          <BreadCrumb
+            className="mb-3"
+            home={{ label: labelOf(instance.root), command: () => setTrail([]) }}
+            model={trail.map((object, index) => ({ label: labelOf(object), command: () => setTrail(trail.slice(0, index + 1)) }))}
+          />
+          <ObjectCard
+            key={`${instance.fileName}:${currentEntry ? currentEntry.path : '/'}`}
+            walker={walker}
+            object={current}
+            eClass={currentEntry ? currentEntry.eClass : null}
+            title={labelOf(current)}
+            labelOf={labelOf}
+            onOpen={(object) => setTrail([...trail, object])}
+            onEdit={edit}
+          />
+        </div>
+        <div className="col-12 xl:col-5">
+          <InstanceProposals manager={manager} inference={inference} queue={queue} onQueue={() => onQueue(instance.root)} />
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default InstanceEditor;
@@ -0,0 +1,151 @@
+import { useMemo } from 'react';
+import { Card } from 'primereact/card';
+import { DataTable } from 'primereact/datatable';
+import { Column } from 'primereact/column';
+import { Button } from 'primereact/button';
+import { Tag } from 'primereact/tag';
+import { Message } from 'primereact/message';
+
+// Labels of the model changes InstanceChangeInferrer proposes, by type and element
+const PROPOSAL_LABELS = {
+  add_class: (details) => `New class ${details.name}`,
+  add_attribute: (details) => `New field ${details.className}.${details.name} (${details.type})`,
+  add_reference: (details) =>
+    `New ${details.containment ? 'list' : 'link'} ${details.sourceClassName}.${details.name} of ${details.targetClassName || '?'}`,
+  add_literal: (details) => `New value ${details.name} of ${details.enumName}`,
+  modify_reference: (details) => `Allow several ${details.className}.${details.name}`,
+};
+
+function proposalLabel(proposal) {
+  const label = PROPOSAL_LABELS[`${proposal.type}_${proposal.element}`];
+  return label ? label(proposal.details) : `${proposal.type} ${proposal.element}`;
+}
+
+/**
+ * Summarize a report diff in one line per classifier
+ * @param {Object} diff - Diff from MetamodelReportDiff.diff
+ * @returns {Array} - Lines such as "Person: new attributes phone, mobile"
+ */
+function diffLines(diff) {
+  const names = (entries) => entries.map((entry) => entry.name).join(', ');
+  const sectionLines = (name, sections) => {
+    const parts = sections.filter(([entries]) => entries.length > 0).map(([entries, label]) => `${label} ${names(entries)}`);
+    return parts.length > 0 ? [`${name}: ${parts.join('; ')}`] : [];
+  };
+
+  return [
+    ...diff.addedClasses.map((cls) => `New class ${cls.name}`),
+    ...diff.removedClasses.map((cls) => `Removed class ${cls.name}`),
+    ...diff.changedClasses.flatMap((cls) =>
+      sectionLines(cls.name, [
+        [cls.addedAttributes, 'new attributes'],
+        [cls.addedReferences, 'new references'],
+        [cls.changedAttributes, 'changed attributes'],
+        [cls.changedReferences, 'changed references'],
+        [cls.removedAttributes, 'removed attributes'],
+        [cls.removedReferences, 'removed references'],
+      ])
+    ),
+    ...diff.addedEnums.map((eEnum) => `New enum ${eEnum.name}`),
+    ...diff.changedEnums.flatMap((eEnum) =>
+      sectionLines(eEnum.name, [
+        [eEnum.addedLiterals, 'new values'],
+        [eEnum.removedLiterals, 'removed values'],
+      ])
+    ),
+  ];
+}
+
+function StatusTag({ row }) {
+  if (row.queued) {
+    return <Tag value="queued" severity="info" />;
+  }
+  if (row.step > 1) {
+    return <Tag value={`after step ${row.step - 1}`} severity="secondary" />;
+  }
+  return row.proposal.ambiguous ? <Tag value="needs a decision" severity="warning" /> : <Tag value="proposed" severity="success" />;
+}
+
+/**
+ * Metamodel changes inferred from an edited instance, and a preview of the queued ones
+ *
+ * Proposals come in steps: changes that use a new class can only be interpreted once
+ * the class exists, so MetamodelEvolutionManager queues each step after the previous
+ * one is applied.
+ *
+ * @param {Object} props
+ * @param {Object} props.manager - The MetamodelEvolutionManager
+ * @param {Object} props.inference - Result of manager.inferChangesFromInstance, or null
+ * @param {Object} props.queue - { pending, ambiguities } counts of the manager; a new object after every change
+ * @param {Function} props.onQueue - Called to queue the proposals of the first step
+ */
+function InstanceProposals({ manager, inference, queue, onQueue }) {
+  const preview = useMemo(() => (queue.pending > 0 ? manager.previewPendingChanges() : null), [manager, queue]);
+
+  const rows = inference
+    ? inference.phases.flatMap((phase, index) =>
+        phase.map((proposal) => ({ proposal, step: index + 1, queued: Boolean(manager.findQueuedOperation(proposal)) }))
+      )
+    : [];
+  const queueable = rows.some((row) => row.step === 1 && !row.queued);
+  const previewLines = preview ? diffLines(preview.diff) : [];
+
+  return (
+    <Card title="Proposed metamodel changes" subTitle="Inferred from the values entered in the instance">
+      <DataTable
+        value={rows}
+        size="small"
+        emptyMessage="The instance fits the metamodel. Enter values in a new field, column or list to propose changes."
+      >
+        <Column field="step" header="Step" />
+        <Column
+          header="Change"
+          body={(row) => (
+            <>
+              <div>{proposalLabel(row.proposal)}</div>
+              {row.proposal.ambiguous && <div className="text-sm text-color-secondary">{row.proposal.ambiguityReason}</div>}
+            </>
+          )}
+        />
+        <Column
+          header="Seen in"
+          body={(row) => (
+            <span title={row.proposal.evidence.join('\n')}>
+              {row.proposal.evidence.length} {row.proposal.evidence.length === 1 ? 'object' : 'objects'}
+            </span>
+          )}
+        />
+        <Column header="Status" body={(row) => <StatusTag row={row} />} />
+      </DataTable>
+      <div className="flex justify-content-end mt-3">
+        <Button label="Queue changes" icon="pi pi-send" disabled={!queueable} onClick={onQueue} />
+      </div>
+
+      {(preview || queue.ambiguities > 0) && <h4>Preview of the pending changes</h4>}
+      {queue.ambiguities > 0 && (
+        <Message
+          severity="warn"
+          className="w-full justify-content-start mb-2"
+          text={`${queue.ambiguities} ${queue.ambiguities === 1 ? 'decision is' : 'decisions are'} open; changes can be applied once they are made`}
+        />
+      )}
+      {preview && preview.errors.map((error) => <Message key={error} severity="error" text={error} className="w-full mb-2" />)}
+      {preview && !preview.validation.valid && (
+        <Message
+          severity="warn"
+          className="w-full justify-content-start mb-2"
+          text={`The metamodel would have ${preview.validation.errors} well-formedness error(s)`}
+        />
+      )}
+      {previewLines.length > 0 && (
+        <ul className="mt-0 mb-0">
+          {previewLines.map((line) => (
+            <li key={line}>{line}</li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+export default InstanceProposals;
@@ -0,0 +1,147 @@
+import MetamodelFormat from '../Model/MetamodelFormat.js';
+
+/**
+ * Index the differences of a report diff by element
+ * @param {Object} diff - Diff from MetamodelReportDiff.diff
+ * @returns {Map} - 'package.Name' or 'package.Name.feature' -> 'added', 'removed' or 'changed'
+ */
+function diffStatuses(diff) {
+  const statuses = new Map();
+  const mark = (entries, status, prefix = null) =>
+    entries.forEach((entry) =>
+      statuses.set(prefix ? `${prefix}${entry.name}` : MetamodelFormat.qualifiedName(entry), status)
+    );
+
+  [
+    [diff.addedClasses, diff.addedEnums, diff.addedDataTypes, 'added'],
+    [diff.removedClasses, diff.removedEnums, diff.removedDataTypes, 'removed'],
+    [diff.changedClasses, diff.changedEnums, diff.changedDataTypes, 'changed'],
+  ].forEach(([classes, enums, dataTypes, status]) => [classes, enums, dataTypes].forEach((entries) => mark(entries, status)));
+
+  diff.changedClasses.forEach((cls) => {
+    const prefix = `${MetamodelFormat.qualifiedName(cls)}.`;
+    mark([...cls.addedAttributes, ...cls.addedReferences, ...cls.addedOperations], 'added', prefix);
+    mark([...cls.removedAttributes, ...cls.removedReferences, ...cls.removedOperations], 'removed', prefix);
+    mark([...cls.changedAttributes, ...cls.changedReferences, ...cls.changedOperations], 'changed', prefix);
+  });
+  diff.changedEnums.forEach((eEnum) => {
+    const prefix = `${MetamodelFormat.qualifiedName(eEnum)}.`;
+    mark(eEnum.addedLiterals, 'added', prefix);
+    mark(eEnum.removedLiterals, 'removed', prefix);
+    mark(eEnum.changedLiterals, 'changed', prefix);
+  });
+
+  return statuses;
+}
+
+/**
+ * Lines of a classifier box: its features, or its literals for enums
+ * @returns {Array} - [{ name, text }]
+ */
+function classifierLines(kind, entry) {
+  switch (kind) {
+    case 'class':
+      return [
+        ...entry.attributes.map((attribute) => ({ name: attribute.name, text: MetamodelFormat.typed(attribute) })),
+        ...entry.references.map((reference) => ({
+          name: reference.name,
+          text: `${reference.containment ? '◆ ' : '→ '}${MetamodelFormat.typed(reference)}`,
+        })),
+        ...(entry.operations || []).map((operation) => ({ name: operation.name, text: MetamodelFormat.signature(operation) })),
+      ];
+    case 'enum':
+      return entry.literals.map((literal) => ({ name: literal.name, text: `${literal.name} = ${literal.value}` }));
+    default:
+      return entry.instanceClassName ? [{ name: null, text: entry.instanceClassName }] : [];
+  }
+}
+
+/**
+ * One side of the diff: the classifiers of a report with their differences highlighted
+ */
+function ReportSide({ title, report, statuses, onlyChanges, isFocused, onSelect }) {
+  const classifiers = [
+    ...report.classes.map((entry) => ({ kind: entry.interface ? 'interface' : entry.abstract ? 'abstract class' : 'class', entry })),
+    ...report.enums.map((entry) => ({ kind: 'enum', entry })),
+    ...report.dataTypes.map((entry) => ({ kind: 'datatype', entry })),
+  ].filter(({ entry }) => !onlyChanges || statuses.has(MetamodelFormat.qualifiedName(entry)));
+
+  return (
+    <div>
+      <h4 className="mt-0">{title}</h4>
+      {classifiers.length === 0 && <p className="text-color-secondary">No differences</p>}
+      {classifiers.map(({ kind, entry }) => {
+        const qualifiedName = MetamodelFormat.qualifiedName(entry);
+        const status = statuses.get(qualifiedName) || 'same';
+        const lineKind = kind.endsWith('class') || kind === 'interface' ? 'class' : kind;
+        return (
+          <div key={qualifiedName} className={`diff-classifier diff-${status}`}>
+            <div
+              className={`diff-classifier-header ${isFocused(entry.name, null) ? 'focused' : ''}`}
+              onClick={() => onSelect({ classifier: entry.name, feature: null })}
+            >
+              <span className="font-semibold">{entry.name}</span>
+              <span className="text-sm text-color-secondary ml-2">{kind}</span>
+            </div>
+            {classifierLines(lineKind, entry).map((line) => (
+              <div
+                key={line.text}
+                className={`diff-line diff-${statuses.get(`${qualifiedName}.${line.name}`) || 'same'} ${
+                  isFocused(entry.name, line.name) ? 'focused' : ''
+                }`}
+                onClick={() => onSelect({ classifier: entry.name, feature: line.name })}
+              >
+                {line.text}
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Side-by-side view of a metamodel before and after a change
+ *
+ * Added elements are highlighted on the right, removed ones on the left and changed ones
+ * on both sides. Renamed elements show up as removed under the old name and added under the new one.
+ *
+ * @param {Object} props
+ * @param {Object} props.comparison - { before, after, diff } from MetamodelEvolutionManager.compareTimelineEntry
+ * @param {boolean} props.onlyChanges - Whether to hide classifiers without differences
+ * @param {Array} props.focus - [{ classifier, feature }] elements to outline, e.g. the subjects of an operation
+ * @param {Function} props.onSelect - Called with { classifier, feature } when an element is clicked
+ */
+function MetamodelDiffView({ comparison, onlyChanges, focus, onSelect }) {
+  const statuses = diffStatuses(comparison.diff);
+  const isFocused = (classifier, feature) =>
+    focus.some((subject) => subject.classifier === classifier && subject.feature === feature);
+
+  return (
+    <div className="grid">
+      <div className="col-12 md:col-6">
+        <ReportSide
+          title="Before"
+          report={comparison.before}
+          statuses={statuses}
+          onlyChanges={onlyChanges}
+          isFocused={isFocused}
+          onSelect={onSelect}
+        />
+      </div>
+      <div className="col-12 md:col-6">
+        <ReportSide
+          title="After"
+          report={comparison.after}
+          statuses={statuses}
+          onlyChanges={onlyChanges}
+          isFocused={isFocused}
+          onSelect={onSelect}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default MetamodelDiffView;
@@ -0,0 +1,106 @@
+import { useMemo, useState } from 'react';
+import { Tree } from 'primereact/tree';
+import MetamodelFormat from '../Model/MetamodelFormat.js';
+
+/**
+ * Build the tree nodes of a metamodel report
+ * Packages are nested by qualified name and hold their classes, enums and datatypes;
+ * classes hold their attributes, references and operations.
+ * @param {Object} report - Report from MetamodelLoader.generateMetamodelReport
+ * @returns {Object} - { nodes, elements } with elements mapping node keys to { kind, entry, owner }
+ */
+function buildNodes(report) {
+  const elements = new Map();
+  const packageNodes = new Map();
+
+  const addNode = (key, label, icon, kind, entry, owner = null) => {
+    elements.set(key, { kind, entry, owner });
+    return { key, label, icon, data: { kind }, children: [] };
+  };
+
+  report.packages.forEach((pkg) => {
+    packageNodes.set(pkg.name, addNode(`package:${pkg.name}`, pkg.name.split('.').pop(), 'pi pi-folder', 'package', pkg));
+  });
+
+  const roots = [];
+  report.packages.forEach((pkg) => {
+    const parentName = pkg.name.includes('.') ? pkg.name.slice(0, pkg.name.lastIndexOf('.')) : null;
+    const parent = parentName ? packageNodes.get(parentName) : null;
+    (parent ? parent.children : roots).push(packageNodes.get(pkg.name));
+  });
+
+  const addClassifier = (node, entry) => {
+    const parent = packageNodes.get(entry.package);
+    (parent ? parent.children : roots).push(node);
+  };
+
+  report.classes.forEach((cls) => {
+    const qualifiedName = MetamodelFormat.qualifiedName(cls);
+    const icon = cls.interface ? 'pi pi-circle' : cls.abstract ? 'pi pi-stop' : 'pi pi-box';
+    const classNode = addNode(`class:${qualifiedName}`, cls.name, icon, 'class', cls);
+
+    cls.attributes.forEach((attribute) => {
+      classNode.children.push(
+        addNode(`attribute:${qualifiedName}.${attribute.name}`, MetamodelFormat.typed(attribute), 'pi pi-tag', 'attribute', attribute, cls)
+      );
+    });
+    cls.references.forEach((reference) => {
+      const icon = reference.containment ? 'pi pi-sitemap' : 'pi pi-arrow-right';
+      classNode.children.push(
+        addNode(`reference:${qualifiedName}.${reference.name}`, MetamodelFormat.typed(reference), icon, 'reference', reference, cls)
+      );
+    });
+    (cls.operations || []).forEach((operation) => {
+      classNode.children.push(
+        addNode(`operation:${qualifiedName}.${operation.name}`, MetamodelFormat.signature(operation), 'pi pi-cog', 'operation', operation, cls)
+      );
+    });
+
+    addClassifier(classNode, cls);
+  });
+
+  report.enums.forEach((eEnum) => {
+    const enumNode = addNode(`enum:${MetamodelFormat.qualifiedName(eEnum)}`, eEnum.name, 'pi pi-list', 'enum', eEnum);
+    eEnum.literals.forEach((literal) => {
+      enumNode.children.push({ key: `${enumNode.key}.${literal.name}`, label: literal.name, icon: 'pi pi-minus', selectable: false });
+    });
+    addClassifier(enumNode, eEnum);
+  });
+
+  report.dataTypes.forEach((dataType) => {
+    addClassifier(addNode(`datatype:${MetamodelFormat.qualifiedName(dataType)}`, dataType.name, 'pi pi-hashtag', 'datatype', dataType), dataType);
+  });
+
+  return { nodes: roots, elements };
+}
+
+/**
+ * Tree of the packages, classifiers and features of a metamodel
+ * @param {Object} props
+ * @param {Object} props.report - Report from MetamodelLoader.generateMetamodelReport
+ * @param {string} props.selectedKey - Key of the selected node
+ * @param {Function} props.onSelect - Called with (key, element) when a node is selected
+ */
+function MetamodelTree({ report, selectedKey, onSelect }) {
+  const { nodes, elements } = useMemo(() => buildNodes(report), [report]);
+  const [expandedKeys, setExpandedKeys] = useState(() =>
+    Object.fromEntries(report.packages.map((pkg) => [`package:${pkg.name}`, true]))
+  );
+
+  return (
+    <Tree
+      value={nodes}
+      selectionMode="single"
+      selectionKeys={selectedKey}
+      onSelectionChange={(e) => onSelect(e.value, elements.get(e.value) || null)}
+      expandedKeys={expandedKeys}
+      onToggle={(e) => setExpandedKeys(e.value)}
+      filter
+      filterMode="lenient"
+      filterPlaceholder="Filter elements"
+      className="w-full"
+    />
+  );
+}
+
+export default MetamodelTree;
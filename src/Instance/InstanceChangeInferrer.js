@@ -0,0 +1,370 @@
+/**
+ * InstanceChangeInferrer.js
+ * A class for inferring metamodel changes from an edited instance model
+ *
+ * Domain experts edit objects rather than the metamodel. This class compares an
+ * instance parsed by InstanceLoader with the loaded metamodel and proposes the model
+ * changes (in the format of MetamodelEvolutionManager.interpretModelChange) that
+ * would make the instance conform:
+ * - Unknown XML attributes become new attributes, with a type guessed from the values
+ * - Unknown child elements become new references, and new classes where needed
+ * - Values outside an EEnum become new literals
+ * - Repeated values of single-valued references widen the upper bound
+ */
+
+import InstanceWalker from "./InstanceWalker.js";
+import InstanceMigrator from "./InstanceMigrator.js";
+import MetamodelComparator from "../Model/MetamodelComparator.js";
+
+// Datatypes tried when guessing the type of a new attribute, most specific first
+const GUESSABLE_TYPES = ["EBoolean", "EInt", "EDouble", "EDate"];
+
+// Only ISO-like values are taken as dates, since Date.parse accepts plain numbers too
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+class InstanceChangeInferrer {
+  /**
+   * @param {MetamodelLoader} loader - Loader holding the metamodel the instance should conform to
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.walker = new InstanceWalker(loader);
+  }
+
+  /**
+   * Infer model changes from an instance
+   *
+   * Proposals are grouped in phases like MetamodelComparator results: new classes
+   * must be applied before the features that use them are interpreted.
+   *
+   * @param {Object} instance - Root object parsed by InstanceLoader
+   * @returns {Object} - { findings, phases, proposals }
+   */
+  infer(instance) {
+    this.findings = [];
+    this.classProposals = [];
+    this.featureProposals = [];
+    this.newClassNames = new Set();
+
+    const objects = this.walker.collectObjects(instance);
+    const knownObjects = objects.filter(({ eClass }) => eClass);
+
+    this._inferAttributes(knownObjects);
+    this._inferFeatures(objects, knownObjects);
+
+    const phases = [this.classProposals, this.featureProposals].filter((phase) => phase.length > 0);
+
+    return {
+      findings: this.findings,
+      phases,
+      proposals: phases.flat(),
+    };
+  }
+
+  /**
+   * Check the XML attributes of known objects: unknown names and enum values
+   */
+  _inferAttributes(knownObjects) {
+    const unknownAttributes = new Map(); // 'Class.attribute' -> { className, name, values, paths }
+    const unknownLiterals = new Map(); // 'Enum.value' -> { enumName, value, paths }
+
+    knownObjects.forEach(({ object, path, eClass }) => {
+      this.walker.attributeNames(object).forEach((name) => {
+        const feature = this.walker.findFeature(eClass, name);
+        const value = object[name];
+
+        if (!feature) {
+          this.findings.push({ kind: "unknownAttribute", path, className: eClass.get("name"), feature: name, value });
+          const declaringClass = eClass.get("name");
+          const key = `${declaringClass}.${name}`;
+          if (!unknownAttributes.has(key)) {
+            unknownAttributes.set(key, { className: declaringClass, name, values: [], paths: [] });
+          }
+          unknownAttributes.get(key).values.push(value);
+          unknownAttributes.get(key).paths.push(path);
+          return;
+        }
+
+        const eType = feature.get("eType");
+        if (eType && eType.isTypeOf("EEnum") && !this._isLiteralOf(eType, value)) {
+          this.findings.push({ kind: "unknownLiteral", path, className: eClass.get("name"), feature: name, value });
+          const key = `${eType.get("name")}.${value}`;
+          if (!unknownLiterals.has(key)) {
+            unknownLiterals.set(key, { enumName: eType.get("name"), value, paths: [] });
+          }
+          unknownLiterals.get(key).paths.push(path);
+        }
+      });
+    });
+
+    unknownAttributes.forEach(({ className, name, values, paths }) => {
+      this.featureProposals.push(this._attributeProposal(className, name, values, paths));
+    });
+
+    const nextValues = new Map(); // enum name -> next free literal value
+    unknownLiterals.forEach(({ enumName, value, paths }) => {
+      const literals = this.loader.getEnumLiterals(enumName);
+      if (!nextValues.has(enumName)) {
+        nextValues.set(enumName, literals.reduce((max, literal) => Math.max(max, literal.value), -1) + 1);
+      }
+      const similar = literals.find((literal) => MetamodelComparator.nameSimilarity(literal.name, value) >= 0.7);
+      const proposal = {
+        type: "add",
+        element: "literal",
+        details: {
+          enumName,
+          name: value,
+          value: nextValues.get(enumName),
+        },
+        ambiguous: false,
+        ambiguityReason: null,
+        evidence: paths,
+      };
+      if (similar) {
+        proposal.ambiguous = true;
+        proposal.ambiguityReason = `Value ${value} is close to existing literal ${similar.name} of ${enumName}; it may be a typo`;
+      }
+      nextValues.set(enumName, nextValues.get(enumName) + 1);
+      this.featureProposals.push(proposal);
+    });
+  }
+
+  /**
+   * Check the child elements of known objects: unknown features and multiplicities
+   */
+  _inferFeatures(objects, knownObjects) {
+    const unknownFeatures = new Map(); // 'Class.feature' -> { className, name, values, paths, maxCount }
+    const widenedReferences = new Map(); // 'Class.reference' -> { className, name, paths }
+
+    knownObjects.forEach(({ object, path, eClass }) => {
+      for (const key of object._children || []) {
+        const feature = this.walker.findFeature(eClass, key);
+        const values = object[key] || [];
+
+        if (!feature) {
+          this.findings.push({ kind: "unknownFeature", path, className: eClass.get("name"), feature: key });
+          const mapKey = `${eClass.get("name")}.${key}`;
+          if (!unknownFeatures.has(mapKey)) {
+            unknownFeatures.set(mapKey, { className: eClass.get("name"), name: key, values: [], paths: [], maxCount: 0 });
+          }
+          const entry = unknownFeatures.get(mapKey);
+          entry.values.push(...values);
+          entry.paths.push(path);
+          entry.maxCount = Math.max(entry.maxCount, values.length);
+        } else if (Number(feature.get("upperBound")) === 1 && values.length > 1) {
+          this.findings.push({ kind: "multiplicity", path, className: eClass.get("name"), feature: key, count: values.length });
+          const declaringClass = feature.eContainer.get("name");
+          const mapKey = `${declaringClass}.${key}`;
+          if (!widenedReferences.has(mapKey)) {
+            widenedReferences.set(mapKey, { className: declaringClass, name: key, paths: [] });
+          }
+          widenedReferences.get(mapKey).paths.push(path);
+        }
+      }
+    });
+
+    unknownFeatures.forEach(({ className, name, values, paths, maxCount }) => {
+      this._referenceProposals(objects, className, name, values, paths, maxCount);
+    });
+
+    widenedReferences.forEach(({ className, name, paths }) => {
+      this.featureProposals.push({
+        type: "modify",
+        element: "reference",
+        details: { className, name, newUpperBound: -1 },
+        ambiguous: false,
+        ambiguityReason: null,
+        evidence: paths,
+      });
+    });
+  }
+
+  /**
+   * Propose a reference for an unknown child element, creating its target class if needed
+   */
+  _referenceProposals(objects, className, name, values, paths, maxCount) {
+    const references = values.filter((value) => this.walker.isReference(value));
+    const contained = values.filter((value) => !this.walker.isReference(value));
+    const proposal = {
+      type: "add",
+      element: "reference",
+      details: {
+        sourceClassName: className,
+        targetClassName: null,
+        name,
+        containment: contained.length > 0,
+        lowerBound: 0,
+        upperBound: maxCount > 1 ? -1 : 1,
+      },
+      ambiguous: false,
+      ambiguityReason: null,
+      evidence: paths,
+    };
+
+    if (contained.length > 0 && references.length > 0) {
+      proposal.ambiguous = true;
+      proposal.ambiguityReason = `Element ${name} holds both nested objects and references`;
+    }
+
+    const targetNames = new Set(values.map((value) => this._targetClassName(objects, value)).filter(Boolean));
+    if (targetNames.size === 1) {
+      proposal.details.targetClassName = [...targetNames][0];
+    } else if (targetNames.size > 1) {
+      proposal.details.targetClassName = [...targetNames][0];
+      proposal.ambiguous = true;
+      proposal.ambiguityReason = `Values of ${name} have different types: ${[...targetNames].join(", ")}`;
+    } else if (contained.length > 0) {
+      // Nested objects without a known type describe a new class
+      const newClassName = this._classNameFor(name);
+      proposal.details.targetClassName = newClassName;
+      if (this.loader.findClassByName(newClassName)) {
+        proposal.ambiguous = true;
+        proposal.ambiguityReason = `Assumed that ${name} holds existing ${newClassName} objects`;
+      } else {
+        this._newClassProposals(objects, newClassName, contained, paths);
+      }
+    } else {
+      proposal.ambiguous = true;
+      proposal.ambiguityReason = `Target class of reference ${name} could not be determined`;
+    }
+
+    this.featureProposals.push(proposal);
+  }
+
+  /**
+   * Propose a new class, its attributes and its nested references from example objects
+   */
+  _newClassProposals(objects, className, examples, paths) {
+    if (this.newClassNames.has(className)) {
+      return;
+    }
+    this.newClassNames.add(className);
+
+    this.classProposals.push({
+      type: "add",
+      element: "class",
+      details: { name: className, abstract: false },
+      ambiguous: false,
+      ambiguityReason: null,
+      evidence: paths,
+    });
+
+    const attributes = new Map();
+    const children = new Map(); // feature name -> { values, maxCount }
+    examples.forEach((example) => {
+      this.walker.attributeNames(example).forEach((name) => {
+        if (!attributes.has(name)) {
+          attributes.set(name, []);
+        }
+        attributes.get(name).push(example[name]);
+      });
+      for (const key of example._children || []) {
+        if (!children.has(key)) {
+          children.set(key, { values: [], maxCount: 0 });
+        }
+        const values = example[key] || [];
+        children.get(key).values.push(...values);
+        children.get(key).maxCount = Math.max(children.get(key).maxCount, values.length);
+      }
+    });
+
+    attributes.forEach((values, name) => {
+      this.featureProposals.push(this._attributeProposal(className, name, values, paths));
+    });
+    children.forEach(({ values, maxCount }, name) => {
+      this._referenceProposals(objects, className, name, values, paths, maxCount);
+    });
+  }
+
+  /**
+   * Propose a new attribute, guessing its type from the example values
+   */
+  _attributeProposal(className, name, values, paths) {
+    const { type, candidates } = this._guessType(values);
+    const proposal = {
+      type: "add",
+      element: "attribute",
+      details: { className, name, type, lowerBound: 0, upperBound: 1 },
+      ambiguous: false,
+      ambiguityReason: null,
+      evidence: paths,
+    };
+
+    if (candidates.length > 1) {
+      const examples = [...new Set(values)].slice(0, 3).join(", ");
+      proposal.ambiguous = true;
+      proposal.ambiguityReason = `Type of ${className}.${name} guessed as ${type} from values ${examples}; could also be ${candidates
+        .filter((candidate) => candidate !== type)
+        .join(" or ")}`;
+    }
+
+    return proposal;
+  }
+
+  /**
+   * Guess the datatype of a set of serialized values
+   * @returns {Object} - { type, candidates } where candidates lists every plausible type
+   */
+  _guessType(values) {
+    const candidates = [];
+
+    // Values that all name literals of one enum suggest that enum
+    this.loader.getAllEnums().forEach((eEnum) => {
+      if (values.every((value) => this._isLiteralOf(eEnum, value))) {
+        candidates.push(eEnum.get("name"));
+      }
+    });
+
+    GUESSABLE_TYPES.forEach((typeName) => {
+      const fits = (value) =>
+        InstanceMigrator.isValidLiteral(value, typeName) && (typeName !== "EDate" || DATE_PATTERN.test(value));
+      if (values.every(fits)) {
+        candidates.push(typeName);
+      }
+    });
+
+    // Any value can be kept as text; the first candidate is the most specific guess
+    candidates.push("EString");
+    return { type: candidates[0], candidates };
+  }
+
+  /**
+   * Determine the class of a nested object or reference target, if known
+   */
+  _targetClassName(objects, value) {
+    if (value._resolvedReference) {
+      const entry = objects.find(({ object }) => object === value._target);
+      if (entry && entry.eClass) {
+        return entry.eClass.get("name");
+      }
+    }
+    // References carry their xsi:type in _type; nested objects keep it as an attribute
+    const typeName = this.walker.isReference(value) ? value._type : value["xsi:type"];
+    const eClass = typeName ? this.loader.findClassByName(this.walker.localName(typeName)) : null;
+    return eClass ? eClass.get("name") : null;
+  }
+
+  /**
+   * Check whether a value names a literal of an enum
+   */
+  _isLiteralOf(eEnum, value) {
+    return Boolean(
+      eEnum.get("eLiterals").find((literal) => literal.get("name") === value || literal.get("literal") === value)
+    );
+  }
+
+  /**
+   * Derive a class name from a feature name (e.g. 'projects' -> 'Project')
+   */
+  _classNameFor(featureName) {
+    let singular = featureName;
+    if (/ies$/.test(singular)) {
+      singular = `${singular.slice(0, -3)}y`;
+    } else if (/[^s]s$/.test(singular)) {
+      singular = singular.slice(0, -1);
+    }
+    return singular.charAt(0).toUpperCase() + singular.slice(1);
+  }
+}
+
+export default InstanceChangeInferrer;
@@ -3,6 +3,8 @@
  * A module for loading and parsing XMI instance files for domain-specific models
  */
 
+import FileStorage from '../Storage/FileStorage.js';
+
 class InstanceLoader {
     /**
      * Load an XMI instance file from a string or file path
@@ -29,35 +31,35 @@ class InstanceLoader {
     }
     
     /**
-     * Load an XMI instance file from a file path
-     * @param {string} filePath - Path to the XMI file
+     * Load an XMI instance file through a storage backend
+     * @param {string} filePath - Location of the XMI file in the storage
+     * @param {Object} [storage] - Storage backend to read from (see FileStorage)
      * @returns {Promise<Object>} - Parsed instance as a JavaScript object
      */
-    static async loadFromFile(filePath) {
+    static async loadFromFile(filePath, storage = FileStorage.getDefault()) {
       try {
-        // For Node.js environment
-        if (typeof window === 'undefined') {
-          const fs = await import('fs/promises');
-          const xmiContent = await fs.readFile(filePath, 'utf8');
-          
-          // Use node-based XML parser
-          const { DOMParser } = await import('xmldom');
-          const parser = new DOMParser();
-          const xmlDoc = parser.parseFromString(xmiContent, "application/xml");
-          
-          return this.parseXmlDocument(xmlDoc);
-        } 
-        // For browser environment
-        else {
-          const response = await fetch(filePath);
-          const xmiContent = await response.text();
+        const xmiContent = storage.readText(filePath);
+
+        // Node.js has no DOMParser of its own
+        const xmlImpl = await this.getNodeXmlImplementation();
+        if (!xmlImpl) {
           return this.loadFromString(xmiContent);
         }
+        const xmlDoc = new xmlImpl.DOMParser().parseFromString(xmiContent, "application/xml");
+        return this.parseXmlDocument(xmlDoc);
       } catch (error) {
         console.error(`Error loading XMI file from ${filePath}:`, error);
         throw error;
       }
     }
+
+    /**
+     * Get the DOM implementation to use outside the browser
+     * @returns {Promise<Object|null>} - The @xmldom/xmldom module in Node.js, null in the browser
+     */
+    static async getNodeXmlImplementation() {
+      return typeof window === 'undefined' ? import('@xmldom/xmldom') : null;
+    }
     
     /**
      * Parse an XML document into a JavaScript object structure
@@ -76,7 +78,7 @@ class InstanceLoader {
       rootObject._schemaLocation = null;
       
       // Extract namespace information
-      for (const attr of rootElement.attributes) {
+      for (const attr of Array.from(rootElement.attributes)) {
         const name = attr.name;
         const value = attr.value;
         
@@ -107,7 +109,7 @@ class InstanceLoader {
       };
       
       // Process attributes
-      for (const attr of element.attributes) {
+      for (const attr of Array.from(element.attributes)) {
         // Skip xmi namespace attributes
         if (attr.name.startsWith('xmlns:') || attr.name.startsWith('xmi:') || attr.name === 'xsi:schemaLocation') {
           continue;
@@ -118,11 +120,16 @@ class InstanceLoader {
       }
       
       // Process child elements
-      for (const childNode of element.childNodes) {
+      for (const childNode of Array.from(element.childNodes)) {
         if (childNode.nodeType === 1) { // Element node
           const childElement = childNode;
           const childName = childElement.nodeName;
           
+          // Remember the feature order once, for serialization
+          if (!result[childName]) {
+            result._children.push(childName);
+          }
+          
           // Check if this is a reference
           const href = childElement.getAttribute('href');
           if (href) {
@@ -145,7 +152,6 @@ class InstanceLoader {
             }
             
             result[childName].push(childObj);
-            result._children.push(childName);
           }
         }
       }
@@ -179,14 +185,14 @@ class InstanceLoader {
         referenceMap.set(`#${obj._id}`, obj);
       }
       
-      // Add this object to the reference map by path
-      referenceMap.set(path, obj);
+      // Add this object to the reference map by its XMI fragment (e.g. #//@employees.0)
+      referenceMap.set(`#/${path}`, obj);
       
-      // Process all properties that are arrays of objects
+      // Process all properties that are arrays of contained objects
       for (const key of Object.keys(obj)) {
         if (Array.isArray(obj[key])) {
           obj[key].forEach((item, index) => {
-            if (item && typeof item === 'object') {
+            if (item && typeof item === 'object' && !item._isReference && !item._resolvedReference) {
               this.buildReferenceMap(item, `${path}/@${key}.${index}`, referenceMap);
             }
           });
@@ -235,17 +241,26 @@ class InstanceLoader {
     /**
      * Save the model back to XMI format
      * @param {Object} model - The model object to serialize
+     * @param {Object} [xmlImpl] - DOM implementation and XMLSerializer to use (defaults to the browser's)
      * @returns {string} - The XMI content as a string
      */
-    static saveToXMI(model) {
+    static saveToXMI(model, xmlImpl = null) {
       // Create a serializer
-      const serializer = new XMLSerializer();
-      const doc = document.implementation.createDocument(null, null, null);
+      const serializer = xmlImpl ? new xmlImpl.XMLSerializer() : new XMLSerializer();
+      const implementation = xmlImpl ? new xmlImpl.DOMImplementation() : document.implementation;
+      const doc = implementation.createDocument(null, null, null);
+      
+      // Index object paths so that references follow moved or removed objects
+      const pathMap = new Map();
+      this.buildPathMap(model, '', pathMap);
       
       // Create the root element
       const rootName = model._type;
       const rootEl = doc.createElement(rootName);
       
+      // Add xmi version
+      rootEl.setAttribute('xmi:version', '2.0');
+      
       // Add namespaces
       if (model._namespaces) {
         for (const prefix in model._namespaces) {
@@ -253,9 +268,6 @@ class InstanceLoader {
         }
       }
       
-      // Add xmi version
-      rootEl.setAttribute('xmi:version', '2.0');
-      
       // Add schema location if available
       if (model._schemaLocation) {
         rootEl.setAttribute('xsi:schemaLocation', model._schemaLocation);
@@ -269,31 +281,72 @@ class InstanceLoader {
       }
       
       // Add child elements
-      this.serializeObjectChildren(doc, rootEl, model);
+      this.serializeObjectChildren(doc, rootEl, model, pathMap);
       
       doc.appendChild(rootEl);
       return serializer.serializeToString(doc);
     }
     
+    /**
+     * Save the model to an XMI file through a storage backend
+     * @param {Object} model - The model object to serialize
+     * @param {string} filePath - Location of the XMI file to write
+     * @param {Object} [storage] - Storage backend to write to (see FileStorage)
+     * @returns {Promise<string>} - The written XMI content
+     */
+    static async saveToFile(model, filePath, storage = FileStorage.getDefault()) {
+      try {
+        const xmiContent = this.saveToXMI(model, await this.getNodeXmlImplementation());
+        storage.writeText(filePath, `<?xml version="1.0" encoding="UTF-8"?>\n${xmiContent}`, 'application/xml');
+        return xmiContent;
+      } catch (error) {
+        console.error(`Error saving XMI file to ${filePath}:`, error);
+        throw error;
+      }
+    }
+    
+    /**
+     * Build a map from every contained object to its XMI fragment path
+     * @param {Object} obj - The current object to process
+     * @param {string} path - The current path to this object
+     * @param {Map} pathMap - The map to populate with paths
+     */
+    static buildPathMap(obj, path, pathMap) {
+      pathMap.set(obj, `#/${path}`);
+      
+      for (const key of obj._children || []) {
+        if (Array.isArray(obj[key])) {
+          obj[key]
+            .filter(item => !item._isReference && !item._resolvedReference)
+            .forEach((item, index) => {
+              this.buildPathMap(item, `${path}/@${key}.${index}`, pathMap);
+            });
+        }
+      }
+    }
+    
     /**
      * Serialize child elements of an object
      * @param {Document} doc - The document being created
      * @param {Element} parentEl - The parent element
      * @param {Object} obj - The object whose children to serialize
+     * @param {Map} pathMap - Paths of all contained objects, used for href values
      */
-    static serializeObjectChildren(doc, parentEl, obj) {
+    static serializeObjectChildren(doc, parentEl, obj, pathMap) {
       for (const key of obj._children || []) {
         if (Array.isArray(obj[key])) {
           for (const child of obj[key]) {
-            if (child._resolvedReference) {
-              // Handle resolved references
+            if (child._resolvedReference || child._isReference) {
+              // Handle references, pointing path-based hrefs at the target's current position
               const el = doc.createElement(key);
-              el.setAttribute('href', child._href);
+              const targetPath = child._resolvedReference ? pathMap.get(child._target) : null;
+              const href = targetPath && child._href.startsWith('#//') ? targetPath : child._href;
               if (child._type) {
                 el.setAttribute('xsi:type', child._type);
               }
+              el.setAttribute('href', href);
               parentEl.appendChild(el);
-            } else if (!child._isReference) {
+            } else {
               // Handle regular child elements
               const el = doc.createElement(key);
               
@@ -305,7 +358,7 @@ class InstanceLoader {
               }
               
               // Add nested children
-              this.serializeObjectChildren(doc, el, child);
+              this.serializeObjectChildren(doc, el, child, pathMap);
               
               parentEl.appendChild(el);
             }
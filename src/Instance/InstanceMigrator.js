@@ -0,0 +1,620 @@
+/**
+ * InstanceMigrator.js
+ * A class for migrating parsed XMI instances along metamodel evolution operations
+ *
+ * The migrator works on the plain object tree produced by InstanceLoader. Each
+ * operation must be migrated while the loader still holds the metamodel the
+ * instance conforms to, i.e. before the operation is applied to that loader.
+ */
+
+import InstanceWalker from "./InstanceWalker.js";
+
+class InstanceMigrator {
+  /**
+   * @param {MetamodelLoader} loader - Loader holding the metamodel the instance currently conforms to
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.walker = new InstanceWalker(loader);
+    this.objectReports = new Map(); // Map of instance object -> report entry
+  }
+
+  /**
+   * Migrate an instance along a single metamodel operation
+   * @param {Object} instance - Root object parsed by InstanceLoader
+   * @param {Object} metamodelOp - The metamodel operation (as created by MetamodelEvolutionManager)
+   */
+  migrate(instance, metamodelOp) {
+    const objects = this.collectObjects(instance);
+
+    switch (metamodelOp.action) {
+      case "addClass":
+        // New classes have no instances yet
+        break;
+      case "addAttribute":
+        this._fillDefaultValues(objects, metamodelOp);
+        this._checkRequiredFeature(objects, metamodelOp.className, metamodelOp.attributeName, metamodelOp.lowerBound);
+        break;
+      case "addReference":
+        this._checkRequiredFeature(objects, metamodelOp.sourceClassName, metamodelOp.referenceName, metamodelOp.lowerBound);
+        break;
+      case "removeClass":
+        this._migrateRemoveClass(instance, objects, metamodelOp);
+        break;
+      case "removeAttribute":
+        this._migrateRemoveAttribute(objects, metamodelOp);
+        break;
+      case "removeReference":
+        this._migrateRemoveReference(instance, objects, metamodelOp);
+        break;
+      case "modifyClass":
+        this._migrateModifyClass(instance, objects, metamodelOp);
+        break;
+      case "modifyAttribute":
+        this._migrateModifyAttribute(objects, metamodelOp);
+        break;
+      case "modifyReference":
+        this._migrateModifyReference(objects, metamodelOp);
+        break;
+      case "addEnum":
+      case "modifyEnum":
+      case "addLiteral":
+        // Instances store literals by name, so these leave existing values valid
+        break;
+      case "removeEnum":
+        this._migrateRemoveEnum(objects, metamodelOp);
+        break;
+      case "removeLiteral":
+        this._migrateRemoveLiteral(objects, metamodelOp);
+        break;
+      case "modifyLiteral":
+        this._migrateModifyLiteral(objects, metamodelOp);
+        break;
+      case "addPackage":
+      case "removePackage":
+        // Only empty packages can be removed, so no instance refers to them
+        break;
+      case "addDataType":
+      case "removeDataType":
+      case "modifyDataType":
+        // Instances store values as text and only unused datatypes can be removed
+        break;
+      case "addOperation":
+      case "removeOperation":
+      case "modifyOperation":
+        // Operations are behavior, instances hold no values for them
+        break;
+      default:
+        throw new Error(`Unknown operation action: ${metamodelOp.action}`);
+    }
+  }
+
+  /**
+   * Get the per-object migration report
+   * @returns {Array} - Array of { path, className, changes, unmigrated } for every touched object
+   */
+  getReport() {
+    return Array.from(this.objectReports.values()).filter(
+      (entry) => entry.changes.length > 0 || entry.unmigrated.length > 0
+    );
+  }
+
+  /**
+   * Collect all contained objects of an instance and register them in the report
+   * @param {Object} instance - Root object parsed by InstanceLoader
+   * @returns {Array} - Array of { object, parent, feature, path, eClass }
+   */
+  collectObjects(instance) {
+    const objects = this.walker.collectObjects(instance);
+    objects.forEach(({ object, path, eClass }) => this._getReportEntry(object, path, eClass));
+    return objects;
+  }
+
+  /**
+   * Report objects that lack a value for a newly required feature
+   */
+  _checkRequiredFeature(objects, className, featureName, lowerBound) {
+    if (!lowerBound || lowerBound < 1) {
+      return;
+    }
+
+    this._objectsOfKind(objects, className).forEach(({ object }) => {
+      if (object[featureName] === undefined) {
+        this._reportUnmigrated(object, `Required feature ${featureName} has no value`);
+      }
+    });
+  }
+
+  /**
+   * Give objects that lack a value for a new mandatory attribute its default value
+   */
+  _fillDefaultValues(objects, metamodelOp) {
+    const { defaultValueLiteral } = metamodelOp;
+    if (!(metamodelOp.lowerBound >= 1) || defaultValueLiteral === undefined || defaultValueLiteral === null) {
+      return;
+    }
+
+    this._objectsOfKind(objects, metamodelOp.className).forEach(({ object }) => {
+      if (object[metamodelOp.attributeName] === undefined) {
+        object[metamodelOp.attributeName] = String(defaultValueLiteral);
+        this._reportChange(object, `Set ${metamodelOp.attributeName} to its default value ${defaultValueLiteral}`);
+      }
+    });
+  }
+
+  /**
+   * Remove instances of a removed class and every reference to them
+   */
+  _migrateRemoveClass(instance, objects, metamodelOp) {
+    const removed = new Set();
+
+    const targetClass = this.loader.findClassByName(metamodelOp.className);
+
+    // Dependent changes of a cascading removal drop the values that would lose their feature
+    const dependentChanges = metamodelOp.dependentChanges || [];
+    if (targetClass && dependentChanges.length > 0) {
+      dependentChanges.forEach((change) => {
+        if (change.kind === "removeReference" || change.kind === "removeOpposite") {
+          this._migrateRemoveReference(instance, this.collectObjects(instance), {
+            className: change.className,
+            referenceName: change.featureName,
+          });
+        } else if (change.kind === "rewireSuperTypes") {
+          this._dropLostFeatures(instance, this.collectObjects(instance), change);
+        }
+      });
+      objects = this.collectObjects(instance);
+    }
+
+    objects
+      .filter(({ eClass }) => eClass && eClass === targetClass)
+      .forEach(({ object, parent, feature }) => {
+        if (!parent) {
+          this._reportUnmigrated(object, `Root object is an instance of removed class ${metamodelOp.className}`);
+          return;
+        }
+        this._removeContained(parent, feature, object);
+        this._markRemoved(object, removed);
+        this._reportChange(object, `Object removed together with class ${metamodelOp.className}`);
+      });
+
+    this._dropReferencesTo(instance, removed);
+  }
+
+  /**
+   * Drop the values of features that instances of a rewired subclass no longer inherit
+   */
+  _dropLostFeatures(instance, objects, change) {
+    const removed = new Set();
+
+    this._objectsOfKind(objects, change.className).forEach(({ object }) => {
+      change.lostFeatures
+        .filter((name) => object[name] !== undefined)
+        .forEach((name) => {
+          if (Array.isArray(object[name])) {
+            object[name].filter((value) => !this.walker.isReference(value)).forEach((value) => this._markRemoved(value, removed));
+            object._children = object._children.filter((key) => key !== name);
+          }
+          delete object[name];
+          this._reportChange(object, `Dropped ${name}, which ${change.className} no longer inherits`);
+        });
+    });
+
+    this._dropReferencesTo(instance, removed);
+  }
+
+  /**
+   * Drop the values of a removed attribute
+   */
+  _migrateRemoveAttribute(objects, metamodelOp) {
+    this._objectsOfKind(objects, metamodelOp.className).forEach(({ object }) => {
+      if (object[metamodelOp.attributeName] !== undefined) {
+        this._reportChange(
+          object,
+          `Dropped attribute ${metamodelOp.attributeName} (value "${object[metamodelOp.attributeName]}")`
+        );
+        delete object[metamodelOp.attributeName];
+      }
+    });
+  }
+
+  /**
+   * Drop the values of a removed reference, including contained objects
+   */
+  _migrateRemoveReference(instance, objects, metamodelOp) {
+    const removed = new Set();
+
+    this._objectsOfKind(objects, metamodelOp.className).forEach(({ object }) => {
+      const values = object[metamodelOp.referenceName];
+      if (!Array.isArray(values)) {
+        return;
+      }
+
+      values.forEach((value) => {
+        if (!this.walker.isReference(value)) {
+          this._markRemoved(value, removed);
+        }
+      });
+      delete object[metamodelOp.referenceName];
+      object._children = object._children.filter((key) => key !== metamodelOp.referenceName);
+      this._reportChange(object, `Dropped ${values.length} value(s) of reference ${metamodelOp.referenceName}`);
+    });
+
+    this._dropReferencesTo(instance, removed);
+  }
+
+  /**
+   * Retype instances of a renamed class and report objects broken by other class changes
+   */
+  _migrateModifyClass(instance, objects, metamodelOp) {
+    const targetClass = this.loader.findClassByName(metamodelOp.className);
+    const className = targetClass ? targetClass.get("name") : metamodelOp.className;
+    const kindObjects = this._objectsOfKind(objects, metamodelOp.className);
+    const targetPackage = metamodelOp.newPackage ? this.loader.findPackageByName(metamodelOp.newPackage) : null;
+
+    if (targetClass && (metamodelOp.newName || targetPackage)) {
+      const newName = metamodelOp.newName || className;
+      const newPrefix = targetPackage ? targetPackage.get("nsPrefix") : null;
+      const message = metamodelOp.newName
+        ? `Retyped from ${className} to ${newName}`
+        : `Retyped ${className} into package ${newPrefix}`;
+      const isTarget = (typeName) => Boolean(typeName) && this.walker.resolveClass(typeName) === targetClass;
+      const retype = (typeName) => {
+        const prefixIndex = typeName.lastIndexOf(":");
+        const prefix = newPrefix || (prefixIndex === -1 ? null : typeName.slice(0, prefixIndex));
+        return prefix ? `${prefix}:${newName}` : newName;
+      };
+
+      // Decide on every type before rewriting any, as rewritten names may no longer resolve
+      const retypes = [];
+      objects.forEach(({ object, parent }) => {
+        if (!parent && isTarget(object._type)) {
+          retypes.push({ owner: object, holder: object, key: "_type", message });
+        } else if (object["xsi:type"] && isTarget(object["xsi:type"])) {
+          retypes.push({ owner: object, holder: object, key: "xsi:type", message });
+        }
+
+        // Retype references pointing at instances of the changed class
+        for (const key of object._children || []) {
+          (object[key] || []).forEach((value) => {
+            if (this.walker.isReference(value) && isTarget(value._type)) {
+              retypes.push({ owner: object, holder: value, key: "_type", message: `Retyped reference ${key} target: ${message}` });
+            }
+          });
+        }
+      });
+
+      retypes.forEach(({ owner, holder, key, message: change }) => {
+        holder[key] = retype(holder[key]);
+        this._reportChange(owner, change);
+      });
+
+      // Declare the namespace of the target package on the root element
+      if (newPrefix && retypes.length > 0) {
+        instance._namespaces = instance._namespaces || {};
+        instance._namespaces[newPrefix] = instance._namespaces[newPrefix] || targetPackage.get("nsURI");
+      }
+    }
+
+    if (metamodelOp.newAbstract === true) {
+      kindObjects
+        .filter(({ eClass }) => eClass === targetClass)
+        .forEach(({ object }) => {
+          this._reportUnmigrated(object, `Class ${className} becomes abstract; object needs a concrete subclass`);
+        });
+    }
+
+    if (metamodelOp.newSuperTypes) {
+      const keptFeatures = new Set(targetClass.get("eStructuralFeatures").map((feature) => feature.get("name")));
+      metamodelOp.newSuperTypes.forEach((superTypeName) => {
+        const superType = this.loader.findClassByName(superTypeName);
+        if (superType) {
+          superType.get("eAllStructuralFeatures").forEach((feature) => keptFeatures.add(feature.get("name")));
+        }
+      });
+
+      kindObjects.forEach(({ object, eClass }) => {
+        this._valuedFeatureNames(object).forEach((featureName) => {
+          const feature = this.walker.findFeature(eClass, featureName);
+          const declaredByTarget = feature && this.walker.isKindOf(targetClass, feature.eContainer);
+          if (declaredByTarget && !keptFeatures.has(featureName)) {
+            this._reportUnmigrated(object, `Feature ${featureName} is no longer inherited after the supertype change`);
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Rename attribute values and report values that no longer fit the attribute
+   */
+  _migrateModifyAttribute(objects, metamodelOp) {
+    const attributeName = metamodelOp.attributeName;
+    const currentName = metamodelOp.newName || attributeName;
+    const newEnum = metamodelOp.newType ? this.loader.findEnumByName(metamodelOp.newType) : null;
+    const literalNames = newEnum ? this.loader.getEnumLiterals(newEnum).map((literal) => literal.name) : [];
+
+    this._objectsOfKind(objects, metamodelOp.className).forEach(({ object }) => {
+      if (metamodelOp.newName && object[attributeName] !== undefined) {
+        this._renameKey(object, attributeName, metamodelOp.newName);
+        this._reportChange(object, `Renamed attribute ${attributeName} to ${metamodelOp.newName}`);
+      }
+
+      const value = object[currentName];
+      const isValid = newEnum ? literalNames.includes(value) : InstanceMigrator.isValidLiteral(value, metamodelOp.newType);
+      if (metamodelOp.newType && value !== undefined && !isValid) {
+        this._reportUnmigrated(object, `Value "${value}" of ${currentName} cannot be converted to ${metamodelOp.newType}`);
+      }
+
+      if (metamodelOp.newLowerBound > 0 && value === undefined) {
+        this._reportUnmigrated(object, `Required attribute ${currentName} has no value`);
+      }
+    });
+  }
+
+  /**
+   * Rename reference values and report values that no longer fit the reference
+   */
+  _migrateModifyReference(objects, metamodelOp) {
+    const referenceName = metamodelOp.referenceName;
+    const currentName = metamodelOp.newName || referenceName;
+    const newTarget = metamodelOp.newTargetClassName
+      ? this.loader.findClassByName(metamodelOp.newTargetClassName)
+      : null;
+
+    this._objectsOfKind(objects, metamodelOp.className).forEach(({ object }) => {
+      if (metamodelOp.newName && object[referenceName] !== undefined) {
+        this._renameKey(object, referenceName, metamodelOp.newName);
+        object._children = object._children.map((key) => (key === referenceName ? metamodelOp.newName : key));
+        this._reportChange(object, `Renamed reference ${referenceName} to ${metamodelOp.newName}`);
+      }
+
+      const values = object[currentName] || [];
+
+      if (newTarget) {
+        values.forEach((value) => {
+          const valueClass = this._classOfValue(objects, value);
+          if (valueClass && !this.walker.isKindOf(valueClass, newTarget)) {
+            this._reportUnmigrated(
+              object,
+              `Value of ${currentName} is a ${valueClass.get("name")}, not a ${metamodelOp.newTargetClassName}`
+            );
+          }
+        });
+      }
+
+      if (metamodelOp.newContainment !== undefined && values.length > 0) {
+        const feature = this.walker.findFeature(this.loader.findClassByName(metamodelOp.className), referenceName);
+        if (feature && feature.get("containment") !== metamodelOp.newContainment) {
+          this._reportUnmigrated(object, `Values of ${currentName} must be moved manually after the containment change`);
+        }
+      }
+
+      if (metamodelOp.newUpperBound !== undefined && metamodelOp.newUpperBound !== -1 && values.length > metamodelOp.newUpperBound) {
+        this._reportUnmigrated(object, `${currentName} holds ${values.length} values but allows at most ${metamodelOp.newUpperBound}`);
+      }
+
+      if (metamodelOp.newLowerBound !== undefined && values.length < metamodelOp.newLowerBound) {
+        this._reportUnmigrated(object, `${currentName} holds ${values.length} values but requires at least ${metamodelOp.newLowerBound}`);
+      }
+    });
+  }
+
+  /**
+   * Report values of attributes typed by a removed enum
+   */
+  _migrateRemoveEnum(objects, metamodelOp) {
+    this._enumValues(objects, metamodelOp.enumName).forEach(({ object, feature, value }) => {
+      this._reportUnmigrated(object, `Value "${value}" of ${feature} belongs to removed enum ${metamodelOp.enumName}`);
+    });
+  }
+
+  /**
+   * Report values that use a removed literal
+   */
+  _migrateRemoveLiteral(objects, metamodelOp) {
+    this._enumValues(objects, metamodelOp.enumName)
+      .filter(({ value }) => value === metamodelOp.literalName)
+      .forEach(({ object, feature, value }) => {
+        this._reportUnmigrated(object, `Value "${value}" of ${feature} is a removed literal of ${metamodelOp.enumName}`);
+      });
+  }
+
+  /**
+   * Rewrite values that use a renamed literal
+   */
+  _migrateModifyLiteral(objects, metamodelOp) {
+    if (!metamodelOp.newName || metamodelOp.newName === metamodelOp.literalName) {
+      return;
+    }
+
+    this._enumValues(objects, metamodelOp.enumName)
+      .filter(({ value }) => value === metamodelOp.literalName)
+      .forEach(({ object, feature }) => {
+        object[feature] = metamodelOp.newName;
+        this._reportChange(object, `Value of ${feature} renamed from ${metamodelOp.literalName} to ${metamodelOp.newName}`);
+      });
+  }
+
+  /**
+   * Collect the values of all attributes typed by an enum
+   * @returns {Array} - Array of { object, feature, value }
+   */
+  _enumValues(objects, enumName) {
+    const values = [];
+    const targetEnum = this.loader.findEnumByName(enumName);
+
+    objects.forEach(({ object, eClass }) => {
+      if (!eClass) {
+        return;
+      }
+      eClass.get("eAllStructuralFeatures").forEach((feature) => {
+        const eType = feature.get("eType");
+        const name = feature.get("name");
+        if (
+          feature.isTypeOf("EAttribute") &&
+          eType &&
+          eType === targetEnum &&
+          typeof object[name] === "string"
+        ) {
+          values.push({ object, feature: name, value: object[name] });
+        }
+      });
+    });
+
+    return values;
+  }
+
+  /**
+   * Check whether a serialized value is a valid literal of an Ecore datatype
+   * @param {string} value - The serialized value
+   * @param {string} typeName - Name of the datatype (e.g. 'EInt')
+   * @returns {boolean} - True if the value can be read as the given type
+   */
+  static isValidLiteral(value, typeName) {
+    const text = String(value).trim();
+
+    switch (typeName) {
+      case "EInt":
+      case "EIntegerObject":
+      case "ELong":
+      case "ELongObject":
+      case "EShort":
+        return /^[-+]?\d+$/.test(text);
+      case "EDouble":
+      case "EDoubleObject":
+      case "EFloat":
+      case "EFloatObject":
+        return text !== "" && !isNaN(Number(text));
+      case "EBoolean":
+        return text === "true" || text === "false";
+      case "EDate":
+        return !isNaN(Date.parse(text));
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Filter collected objects down to instances of a class or its subclasses
+   */
+  _objectsOfKind(objects, className) {
+    const targetClass = this.loader.findClassByName(className);
+    if (!targetClass) {
+      return [];
+    }
+    return objects.filter(({ eClass }) => eClass && this.walker.isKindOf(eClass, targetClass));
+  }
+
+  /**
+   * Determine the EClass of a contained object or reference target
+   */
+  _classOfValue(objects, value) {
+    const target = value._resolvedReference ? value._target : value;
+    const entry = objects.find(({ object }) => object === target);
+    if (entry) {
+      return entry.eClass;
+    }
+    return value._type ? this.loader.findClassByName(this.walker.localName(value._type)) : null;
+  }
+
+  /**
+   * Get the names of all features an object holds a value for
+   */
+  _valuedFeatureNames(object) {
+    return Object.keys(object).filter((key) => !key.startsWith("_") && !key.includes(":"));
+  }
+
+  /**
+   * Remove a contained object from its parent
+   */
+  _removeContained(parent, feature, object) {
+    parent[feature] = parent[feature].filter((value) => value !== object);
+    if (parent[feature].length === 0) {
+      delete parent[feature];
+      parent._children = parent._children.filter((key) => key !== feature);
+    }
+  }
+
+  /**
+   * Add an object and everything it contains to a set of removed objects
+   */
+  _markRemoved(object, removed) {
+    removed.add(object);
+    for (const key of object._children || []) {
+      this.walker.containedObjects(object, key).forEach((child) => this._markRemoved(child, removed));
+    }
+  }
+
+  /**
+   * Drop every resolved reference pointing into a set of removed objects
+   */
+  _dropReferencesTo(instance, removed) {
+    if (removed.size === 0) {
+      return;
+    }
+
+    const visit = (object) => {
+      for (const key of [...(object._children || [])]) {
+        const values = object[key] || [];
+        const kept = values.filter((value) => !(value._resolvedReference && removed.has(value._target)));
+        if (kept.length !== values.length) {
+          this._reportChange(object, `Dropped ${values.length - kept.length} reference(s) ${key} to removed objects`);
+          object[key] = kept;
+          if (kept.length === 0) {
+            delete object[key];
+            object._children = object._children.filter((child) => child !== key);
+          }
+        }
+        this.walker.containedObjects(object, key).forEach(visit);
+      }
+    };
+
+    visit(instance);
+  }
+
+  /**
+   * Move a value to a new key on an instance object
+   */
+  _renameKey(object, oldKey, newKey) {
+    object[newKey] = object[oldKey];
+    delete object[oldKey];
+  }
+
+  /**
+   * Get or create the report entry for an object
+   */
+  _getReportEntry(object, path = null, eClass = null) {
+    if (!this.objectReports.has(object)) {
+      this.objectReports.set(object, {
+        path,
+        className: eClass ? eClass.get("name") : null,
+        changes: [],
+        unmigrated: [],
+      });
+    }
+    return this.objectReports.get(object);
+  }
+
+  /**
+   * Record an automatic change made to an object
+   */
+  _reportChange(object, message) {
+    const entry = this._getReportEntry(object);
+    if (!entry.changes.includes(message)) {
+      entry.changes.push(message);
+    }
+  }
+
+  /**
+   * Record a problem that could not be migrated automatically
+   */
+  _reportUnmigrated(object, message) {
+    const entry = this._getReportEntry(object);
+    if (!entry.unmigrated.includes(message)) {
+      entry.unmigrated.push(message);
+    }
+  }
+}
+
+export default InstanceMigrator;
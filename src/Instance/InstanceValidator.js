@@ -0,0 +1,193 @@
+/**
+ * InstanceValidator.js
+ * A class for checking that a parsed XMI instance conforms to its metamodel
+ *
+ * Walks the object tree produced by InstanceLoader with a MetamodelLoader and
+ * reports violations with object paths such as //@employees.2:
+ * - Unknown classes, abstract classes and unknown features
+ * - Attribute values that do not fit their datatype or enum
+ * - Lower and upper bound violations
+ * - Nested objects in cross-references and hrefs in containment references
+ * - Reference targets of the wrong type and unresolved hrefs
+ */
+
+import InstanceWalker from "./InstanceWalker.js";
+import InstanceMigrator from "./InstanceMigrator.js";
+
+class InstanceValidator {
+  /**
+   * @param {MetamodelLoader} loader - Loader holding the metamodel to validate against
+   */
+  constructor(loader) {
+    this.loader = loader;
+    this.walker = new InstanceWalker(loader);
+  }
+
+  /**
+   * Validate an instance against the metamodel
+   * @param {Object} instance - Root object parsed by InstanceLoader
+   * @returns {Object} - { valid, violations: [{ path, className, feature, kind, message }] }
+   */
+  validate(instance) {
+    this.violations = [];
+    this.objects = this.walker.collectObjects(instance);
+
+    this.objects.forEach((entry) => {
+      if (!entry.eClass) {
+        const typeName = entry.parent ? entry.object["xsi:type"] || entry.feature : instance._type;
+        this._addViolation(entry, null, "unknownClass", `Type of object ${typeName} is not defined in the metamodel`);
+        return;
+      }
+
+      if (this.loader.isTrue(entry.eClass.get("abstract")) || this.loader.isTrue(entry.eClass.get("interface"))) {
+        this._addViolation(entry, null, "abstractClass", `Class ${entry.eClass.get("name")} cannot be instantiated`);
+      }
+
+      this._validateUnknownFeatures(entry);
+      entry.eClass.get("eAllStructuralFeatures").forEach((feature) => {
+        if (feature.isTypeOf("EAttribute")) {
+          this._validateAttribute(entry, feature);
+        } else {
+          this._validateReference(entry, feature);
+        }
+      });
+    });
+
+    return {
+      valid: this.violations.length === 0,
+      violations: this.violations,
+    };
+  }
+
+  /**
+   * Report values and child elements that do not match any feature of the object's class
+   */
+  _validateUnknownFeatures(entry) {
+    const { object, eClass } = entry;
+
+    this.walker.attributeNames(object).forEach((name) => {
+      if (!this.walker.findFeature(eClass, name)) {
+        this._addViolation(entry, name, "unknownFeature", `Class ${eClass.get("name")} has no feature ${name}`);
+      }
+    });
+
+    (object._children || []).forEach((name) => {
+      if (!this.walker.findFeature(eClass, name)) {
+        this._addViolation(entry, name, "unknownFeature", `Class ${eClass.get("name")} has no feature ${name}`);
+      }
+    });
+  }
+
+  /**
+   * Check datatype, enum literals and bounds of an attribute
+   */
+  _validateAttribute(entry, feature) {
+    const name = feature.get("name");
+    const value = entry.object[name];
+    const eType = feature.get("eType");
+
+    if (Array.isArray(value)) {
+      this._addViolation(entry, name, "featureKind", `Attribute ${name} must be an XML attribute, not a child element`);
+      return;
+    }
+
+    this._validateBounds(entry, feature, value === undefined ? 0 : 1);
+    if (value === undefined || !eType) {
+      return;
+    }
+
+    if (eType.isTypeOf("EEnum")) {
+      const known = eType
+        .get("eLiterals")
+        .find((literal) => literal.get("name") === value || literal.get("literal") === value);
+      if (!known) {
+        this._addViolation(entry, name, "enumLiteral", `Value "${value}" is not a literal of ${eType.get("name")}`);
+      }
+    } else if (!InstanceMigrator.isValidLiteral(value, eType.get("name"))) {
+      this._addViolation(entry, name, "datatype", `Value "${value}" of ${name} is not a valid ${eType.get("name")}`);
+    }
+  }
+
+  /**
+   * Check containment usage, target types, resolution and bounds of a reference
+   */
+  _validateReference(entry, feature) {
+    const name = feature.get("name");
+    const rawValue = entry.object[name];
+
+    if (rawValue !== undefined && !Array.isArray(rawValue)) {
+      this._addViolation(entry, name, "featureKind", `Reference ${name} must be a child element, not an XML attribute`);
+      return;
+    }
+
+    const values = rawValue || [];
+    const containment = this.loader.isTrue(feature.get("containment"));
+    const targetClass = feature.get("eType");
+    this._validateBounds(entry, feature, values.length);
+
+    values.forEach((value, index) => {
+      const isReference = this.walker.isReference(value);
+
+      if (containment && isReference) {
+        this._addViolation(entry, name, "containment", `Containment reference ${name}.${index} holds an href (${value._href}) instead of a nested object`);
+      } else if (!containment && !isReference) {
+        this._addViolation(entry, name, "containment", `Cross-reference ${name}.${index} holds a nested object instead of an href`);
+      }
+
+      if (value._isReference) {
+        this._addViolation(entry, name, "unresolvedReference", `Reference ${name}.${index} to ${value._href} could not be resolved`);
+        return;
+      }
+
+      const valueClass = this._classOf(value);
+      if (valueClass && targetClass && !this.walker.isKindOf(valueClass, targetClass)) {
+        this._addViolation(
+          entry,
+          name,
+          "referenceType",
+          `Reference ${name}.${index} expects ${targetClass.get("name")} but holds a ${valueClass.get("name")}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Check the number of values of a feature against its bounds
+   */
+  _validateBounds(entry, feature, count) {
+    const name = feature.get("name");
+    const lowerBound = Number(feature.get("lowerBound") || 0);
+    const upperBound = Number(feature.get("upperBound") ?? 1);
+
+    if (count < lowerBound) {
+      this._addViolation(entry, name, "lowerBound", `Feature ${name} requires at least ${lowerBound} value(s) but has ${count}`);
+    }
+    if (upperBound !== -1 && count > upperBound) {
+      this._addViolation(entry, name, "upperBound", `Feature ${name} allows at most ${upperBound} value(s) but has ${count}`);
+    }
+  }
+
+  /**
+   * Determine the EClass of a nested object or resolved reference target
+   */
+  _classOf(value) {
+    const target = value._resolvedReference ? value._target : value;
+    const entry = this.objects.find(({ object }) => object === target);
+    return entry ? entry.eClass : null;
+  }
+
+  /**
+   * Record a violation for an object
+   */
+  _addViolation(entry, feature, kind, message) {
+    this.violations.push({
+      path: entry.path,
+      className: entry.eClass ? entry.eClass.get("name") : null,
+      feature,
+      kind,
+      message,
+    });
+  }
+}
+
+export default InstanceValidator;
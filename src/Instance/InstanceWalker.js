@@ -0,0 +1,128 @@
+/**
+ * InstanceWalker.js
+ * A class for traversing parsed XMI instances together with their metamodel
+ *
+ * Resolves the EClass of every object in a tree produced by InstanceLoader, using
+ * the root element name, explicit xsi:type values and the types of containment features.
+ * Namespace prefixes select the package with that nsPrefix when the metamodel has subpackages.
+ */
+
+class InstanceWalker {
+  /**
+   * @param {MetamodelLoader} loader - Loader holding the metamodel of the instance
+   */
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  /**
+   * Collect all contained objects of an instance together with their path and EClass
+   * @param {Object} instance - Root object parsed by InstanceLoader
+   * @returns {Array} - Array of { object, parent, feature, path, eClass }; eClass is null when unknown
+   */
+  collectObjects(instance) {
+    const objects = [];
+    const rootClass = this.resolveClass(instance._type);
+
+    const visit = (object, parent, feature, path, eClass) => {
+      objects.push({ object, parent, feature, path: path || "/", eClass });
+
+      for (const key of object._children || []) {
+        const featureDef = eClass ? this.findFeature(eClass, key) : null;
+        const declaredType = featureDef ? featureDef.get("eType") : null;
+
+        this.containedObjects(object, key).forEach((child, index) => {
+          const explicitType = child["xsi:type"] ? this.resolveClass(child["xsi:type"]) : null;
+          visit(child, object, key, `${path}/@${key}.${index}`, explicitType || declaredType);
+        });
+      }
+    };
+
+    visit(instance, null, null, "/", rootClass);
+    return objects;
+  }
+
+  /**
+   * Resolve a possibly prefixed type name (e.g. 'hr:Department') to an EClass
+   * @param {string} typeName - Type name as written in the instance
+   * @returns {Object|null} - The EClass, looked up in the package with the matching nsPrefix first
+   */
+  resolveClass(typeName) {
+    if (!typeName) {
+      return null;
+    }
+
+    const prefixIndex = typeName.lastIndexOf(":");
+    if (prefixIndex !== -1) {
+      const prefix = typeName.slice(0, prefixIndex);
+      const ePackage = this.loader.getAllPackages().find((candidate) => candidate.get("nsPrefix") === prefix);
+      const classifier = ePackage ? this.loader.findClassifierInPackage(ePackage, this.localName(typeName)) : null;
+      if (classifier && classifier.isTypeOf("EClass")) {
+        return classifier;
+      }
+    }
+
+    return this.loader.findClassByName(this.localName(typeName));
+  }
+
+  /**
+   * Find a structural feature, including inherited ones, by name
+   * @param {Object} eClass - The EClass to search
+   * @param {string} featureName - Name of the feature
+   * @returns {Object|null} - The EStructuralFeature or null if not found
+   */
+  findFeature(eClass, featureName) {
+    return eClass.get("eAllStructuralFeatures").find((feature) => feature.get("name") === featureName) || null;
+  }
+
+  /**
+   * Check whether an EClass equals or inherits from another EClass
+   * @param {Object} eClass - The class to check
+   * @param {Object} targetClass - The expected class or supertype
+   * @returns {boolean} - True if eClass is targetClass or one of its subclasses
+   */
+  isKindOf(eClass, targetClass) {
+    return eClass === targetClass || eClass.get("eAllSuperTypes").includes(targetClass);
+  }
+
+  /**
+   * Get the names of the plain (XML attribute) values an object holds
+   * @param {Object} object - Instance object
+   * @returns {Array} - Attribute names, excluding internal and namespaced keys such as xsi:type
+   */
+  attributeNames(object) {
+    return Object.keys(object).filter(
+      (key) => !key.startsWith("_") && !key.includes(":") && typeof object[key] !== "object"
+    );
+  }
+
+  /**
+   * Get the contained (non-reference) objects of a feature
+   * @param {Object} object - Instance object
+   * @param {string} key - Feature name
+   * @returns {Array} - Contained objects
+   */
+  containedObjects(object, key) {
+    return (object[key] || []).filter((value) => !this.isReference(value));
+  }
+
+  /**
+   * Check whether a feature value is a reference placeholder
+   * @param {Object} value - Feature value
+   * @returns {boolean} - True for resolved and unresolved href references
+   */
+  isReference(value) {
+    return Boolean(value && (value._isReference || value._resolvedReference));
+  }
+
+  /**
+   * Strip the namespace prefix from a type name (e.g. 'sampleDomain:Person' -> 'Person')
+   * @param {string} typeName - Possibly prefixed type name
+   * @returns {string} - The local name
+   */
+  localName(typeName) {
+    return typeName ? typeName.split(":").pop() : typeName;
+  }
+}
+
+export default InstanceWalker;
@@ -0,0 +1,234 @@
+/**
+ * MetamodelChangeDescriber.js
+ * Plain-language descriptions of evolution operations for domain experts
+ *
+ * This class provides functionality to:
+ * - Summarize what an interpreted operation does (e.g. "Rename class Person to Individual")
+ * - Explain why an ambiguous operation needs a decision, in terms of the domain instead of Ecore
+ * - List the elements an operation changes, so that differences can be traced back to it
+ */
+
+// Domain explanations of ambiguity reasons, tried in order
+const CONFLICT_EXPLANATIONS = [
+  [
+    /guessed|may be a typo|Assumed that|could not be determined|different types|both nested objects/,
+    "The change was inferred from example data, and the examples can be read in more than one way.",
+  ],
+  [/is required$/, "Some information the change needs is missing, so it cannot be carried out as it stands."],
+  [
+    /is referenced by|is the super type of|is used (as the type|in the signatures) of|still contains|is the default value of|is the last literal/,
+    "Other parts of the metamodel still depend on this element. Removing it would leave them pointing at something that no longer exists.",
+  ],
+  [
+    /changes the signatures/,
+    "Operations mention this class in their parameters or results, so renaming it changes those operations as well.",
+  ],
+  [/opposite/i, "The two ends of a two-way link have to point back at each other, and this change would break that pairing."],
+  [/ID attribute/, "A class can have only one attribute that identifies its objects."],
+  [/not a literal|not a valid/, "The default value does not fit the type of the attribute."],
+  [
+    /already|more than once|is taken/,
+    "The name or value is already used by another element, so the two could no longer be told apart.",
+  ],
+  [
+    /does not exist|not found/,
+    "The change mentions an element that is not part of the metamodel, perhaps because of a typo or an earlier change.",
+  ],
+  [/super type|inherit/i, "The class cannot take over the features of the chosen super types without clashing with its own."],
+];
+
+// Phrases for the fields of modify operations; fields without a phrase are described generically
+const MODIFICATION_PHRASES = {
+  newName: (value) => `rename it to ${value}`,
+  newType: (value) => `change its type to ${value}`,
+  newTargetClassName: (value) => `point it to ${value}`,
+  newContainment: (value) => (value ? "make it contain its targets" : "make it a plain reference"),
+  newOpposite: (value) => (value ? `pair it with ${typeof value === "object" ? value.name : value}` : "remove its opposite"),
+  newSuperTypes: (value) => (value.length > 0 ? `make it a kind of ${value.join(", ")}` : "remove its super types"),
+  newAbstract: (value) => (value ? "make it abstract" : "make it concrete"),
+  newInterface: (value) => (value ? "make it an interface" : "make it a class"),
+  newPackage: (value) => `move it to package ${value}`,
+  newLowerBound: (value) => `set its lower bound to ${value}`,
+  newUpperBound: (value) => `set its upper bound to ${Number(value) === -1 ? "*" : value}`,
+  newReturnType: (value) => (value ? `make it return ${value}` : "make it return nothing"),
+  newParameters: (value) => `set its parameters to (${value.map((parameter) => `${parameter.name}: ${parameter.type}`).join(", ")})`,
+  newLiteralOrder: (value) => `order its literals as ${value.join(", ")}`,
+  newValue: (value) => `set its value to ${value}`,
+  newPosition: (value) => `move it to position ${value}`,
+  newInstanceClassName: (value) => `set its instance class to ${value}`,
+  newID: (value) => (value ? "make it identify the objects of its class" : "stop using it as identifier"),
+  newDefaultValueLiteral: (value) => (value === null ? "remove its default value" : `set its default value to ${value}`),
+};
+
+// Operation fields naming the classifier an operation works on, and the feature or literal within it
+const CLASSIFIER_FIELDS = ["className", "sourceClassName", "enumName", "dataTypeName"];
+const FEATURE_FIELDS = ["attributeName", "referenceName", "operationName", "literalName"];
+
+class MetamodelChangeDescriber {
+  /**
+   * Summarize what an operation does
+   * @param {Object} operation - Evolution operation from interpretModelChange
+   * @returns {string} - Sentence such as "Add reference projects from Company to Project"
+   */
+  static describe(operation) {
+    const metamodelOp = operation.metamodelOperation;
+    if (!metamodelOp) {
+      return `${operation.type} ${operation.element}`;
+    }
+
+    switch (metamodelOp.action) {
+      case "addClass": {
+        const kind = metamodelOp.interface ? "interface" : metamodelOp.abstract ? "abstract class" : "class";
+        const superTypes = metamodelOp.superTypes.length > 0 ? `, a kind of ${metamodelOp.superTypes.join(", ")}` : "";
+        return `Add ${kind} ${metamodelOp.className}${superTypes}`;
+      }
+      case "removeClass":
+        if (metamodelOp.cascade === "delete") {
+          return `Remove class ${metamodelOp.className} and everything that depends on it`;
+        }
+        if (metamodelOp.cascade === "retarget") {
+          return `Remove class ${metamodelOp.className} and redirect its uses to ${metamodelOp.retargetTo}`;
+        }
+        return `Remove class ${metamodelOp.className}`;
+      case "modifyClass":
+        return MetamodelChangeDescriber._describeModification(`class ${metamodelOp.className}`, metamodelOp);
+      case "addAttribute":
+        return `Add attribute ${metamodelOp.attributeName} (${metamodelOp.attributeType}) to ${metamodelOp.className}`;
+      case "removeAttribute":
+        return `Remove attribute ${metamodelOp.attributeName} from ${metamodelOp.className}`;
+      case "modifyAttribute":
+        return MetamodelChangeDescriber._describeModification(
+          `attribute ${metamodelOp.attributeName} of ${metamodelOp.className}`,
+          metamodelOp
+        );
+      case "addReference": {
+        const kind = metamodelOp.containment ? "containment" : "reference";
+        return `Add ${kind} ${metamodelOp.referenceName} from ${metamodelOp.sourceClassName} to ${metamodelOp.targetClassName}`;
+      }
+      case "removeReference":
+        return `Remove reference ${metamodelOp.referenceName} from ${metamodelOp.className}`;
+      case "modifyReference":
+        return MetamodelChangeDescriber._describeModification(
+          `reference ${metamodelOp.referenceName} of ${metamodelOp.className}`,
+          metamodelOp
+        );
+      case "addOperation":
+        return `Add operation ${metamodelOp.operationName} to ${metamodelOp.className}`;
+      case "removeOperation":
+        return `Remove operation ${metamodelOp.operationName} from ${metamodelOp.className}`;
+      case "modifyOperation":
+        return MetamodelChangeDescriber._describeModification(
+          `operation ${metamodelOp.operationName} of ${metamodelOp.className}`,
+          metamodelOp
+        );
+      case "addEnum":
+        return metamodelOp.literals.length > 0
+          ? `Add enum ${metamodelOp.enumName} with ${metamodelOp.literals
+              .map((literal) => (typeof literal === "string" ? literal : literal.name))
+              .join(", ")}`
+          : `Add enum ${metamodelOp.enumName}`;
+      case "removeEnum":
+        return `Remove enum ${metamodelOp.enumName}`;
+      case "modifyEnum":
+        return MetamodelChangeDescriber._describeModification(`enum ${metamodelOp.enumName}`, metamodelOp);
+      case "addLiteral":
+        return `Add literal ${metamodelOp.literalName} to ${metamodelOp.enumName}`;
+      case "removeLiteral":
+        return `Remove literal ${metamodelOp.literalName} from ${metamodelOp.enumName}`;
+      case "modifyLiteral":
+        return MetamodelChangeDescriber._describeModification(
+          `literal ${metamodelOp.literalName} of ${metamodelOp.enumName}`,
+          metamodelOp
+        );
+      case "addPackage":
+        return `Add package ${metamodelOp.packageName}`;
+      case "removePackage":
+        return `Remove package ${metamodelOp.packageName}`;
+      case "addDataType":
+        return `Add datatype ${metamodelOp.dataTypeName}`;
+      case "removeDataType":
+        return `Remove datatype ${metamodelOp.dataTypeName}`;
+      case "modifyDataType":
+        return MetamodelChangeDescriber._describeModification(`datatype ${metamodelOp.dataTypeName}`, metamodelOp);
+      default:
+        return `${operation.type} ${operation.element}`;
+    }
+  }
+
+  /**
+   * Explain why an ambiguous operation needs a decision
+   * @param {Object} operation - Ambiguous evolution operation from interpretModelChange
+   * @returns {Object} - { summary, reason, explanation, consequences }; explanation is null
+   *   for reasons without a domain explanation, consequences lists the effects on existing instances
+   */
+  static explain(operation) {
+    const reason = operation.ambiguityReason || "";
+    const match = CONFLICT_EXPLANATIONS.find(([pattern]) => pattern.test(reason));
+
+    return {
+      summary: MetamodelChangeDescriber.describe(operation),
+      reason,
+      explanation: match ? match[1] : null,
+      consequences: operation.impactReasons || [],
+    };
+  }
+
+  /**
+   * List the metamodel elements an operation changes, including its dependent changes
+   * @param {Object} operation - Evolution operation from interpretModelChange
+   * @returns {Array} - [{ classifier, feature }] with simple names; feature is null for the classifier itself
+   */
+  static subjects(operation) {
+    const metamodelOp = operation.metamodelOperation;
+    const classifierField = metamodelOp ? CLASSIFIER_FIELDS.find((field) => metamodelOp[field]) : null;
+    if (!classifierField) {
+      return [];
+    }
+
+    const simpleName = (name) => String(name).split(".").pop();
+    const classifier = simpleName(metamodelOp[classifierField]);
+    const featureField = FEATURE_FIELDS.find((field) => metamodelOp[field]);
+    const feature = featureField ? metamodelOp[featureField] : null;
+    const subjects = [{ classifier, feature }];
+
+    // A renamed element appears under its new name after the change
+    if (metamodelOp.action.startsWith("modify") && metamodelOp.newName) {
+      subjects.push(feature ? { classifier, feature: metamodelOp.newName } : { classifier: metamodelOp.newName, feature: null });
+    }
+    (metamodelOp.dependentChanges || []).forEach((change) => {
+      subjects.push({ classifier: simpleName(change.className), feature: change.featureName || null });
+    });
+
+    return subjects;
+  }
+
+  /**
+   * Describe a modify operation by the fields it sets
+   * @param {string} subject - The modified element (e.g. "class Person")
+   * @param {Object} metamodelOp - The modify operation
+   * @returns {string} - "Rename class Person to Individual" for plain renames, otherwise
+   *   "Change class Person: rename it to Individual, make it abstract"
+   */
+  static _describeModification(subject, metamodelOp) {
+    const fields = Object.keys(metamodelOp).filter((field) => field.startsWith("new") && metamodelOp[field] !== undefined);
+
+    if (fields.length === 1 && fields[0] === "newName") {
+      return `Rename ${subject} to ${metamodelOp.newName}`;
+    }
+    if (fields.length === 0) {
+      return `Change ${subject}`;
+    }
+
+    const phrases = fields.map((field) => {
+      const phrase = MODIFICATION_PHRASES[field];
+      if (phrase) {
+        return phrase(metamodelOp[field]);
+      }
+      const property = field.charAt(3).toLowerCase() + field.slice(4);
+      return `set ${property} to ${metamodelOp[field]}`;
+    });
+    return `Change ${subject}: ${phrases.join(", ")}`;
+  }
+}
+
+export default MetamodelChangeDescriber;
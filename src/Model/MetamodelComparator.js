@@ -0,0 +1,629 @@
+/**
+ * MetamodelComparator.js
+ * A class for deriving evolution operations from two versions of a metamodel
+ *
+ * This class provides functionality to:
+ * - Match classes, attributes, references and enums between two metamodels
+ * - Detect renames with similarity heuristics instead of matching by name only
+ * - Emit the equivalent model changes for MetamodelEvolutionManager.interpretModelChange
+ */
+
+import MetamodelLoader from "./MetamodelLoader.js";
+
+class MetamodelComparator {
+  /**
+   * @param {MetamodelLoader} originalLoader - Loader holding the original metamodel
+   * @param {MetamodelLoader} evolvedLoader - Loader holding the evolved metamodel
+   * @param {Object} [options] - Heuristic thresholds
+   * @param {number} [options.classRenameThreshold=0.5] - Minimum score to pair two classes as a rename
+   * @param {number} [options.featureRenameThreshold=0.6] - Minimum score to pair two features as a rename
+   */
+  constructor(originalLoader, evolvedLoader, options = {}) {
+    this.original = originalLoader;
+    this.evolved = evolvedLoader;
+    this.classRenameThreshold = options.classRenameThreshold ?? 0.5;
+    this.featureRenameThreshold = options.featureRenameThreshold ?? 0.6;
+  }
+
+  /**
+   * Compare two .ecore files
+   * @param {string} originalPath - Path to the original metamodel
+   * @param {string} evolvedPath - Path to the evolved metamodel
+   * @param {Object} [options] - Heuristic thresholds (see constructor)
+   * @param {Object} [storage] - Storage backend to read from (see FileStorage)
+   * @returns {Object} - Comparison result (see compare)
+   */
+  static compareFiles(originalPath, evolvedPath, options = {}, storage = null) {
+    const originalLoader = new MetamodelLoader(storage);
+    originalLoader.loadFromFile(originalPath);
+    const evolvedLoader = new MetamodelLoader(storage);
+    evolvedLoader.loadFromFile(evolvedPath);
+
+    return new MetamodelComparator(originalLoader, evolvedLoader, options).compare();
+  }
+
+  /**
+   * Compare the two metamodels
+   *
+   * Model changes are interpreted against the current metamodel, so they are grouped
+   * in phases: the changes of a phase must be applied before the next phase is
+   * interpreted (e.g. a class has to exist before attributes can be added to it).
+   * Literal removals come before renames and additions, which may reuse their names
+   * and values, and a new literal order is interpreted once all of them are applied.
+   *
+   * @returns {Object} - { matches, phases, changes } where changes is the flattened phase list
+   */
+  compare() {
+    const classMatches = this._matchClasses();
+    const enumMatches = this._matchEnums();
+
+    const literalChanges = this._enumContentChanges(enumMatches);
+
+    const phases = [
+      [...this._classDeclarationChanges(classMatches), ...this._enumDeclarationChanges(enumMatches)],
+      [...this._classContentChanges(classMatches, enumMatches), ...literalChanges.removals],
+      [...literalChanges.modifications, ...literalChanges.additions],
+      literalChanges.reorders,
+      [...this._classRemovalChanges(classMatches), ...this._enumRemovalChanges(enumMatches)],
+    ].filter((phase) => phase.length > 0);
+
+    return {
+      matches: {
+        classes: classMatches.pairs.map(({ before, after, score }) => ({
+          original: before.get("name"),
+          evolved: after.get("name"),
+          renamed: before.get("name") !== after.get("name"),
+          confidence: score,
+        })),
+        enums: enumMatches.pairs.map(({ before, after, score }) => ({
+          original: before.get("name"),
+          evolved: after.get("name"),
+          renamed: before.get("name") !== after.get("name"),
+          confidence: score,
+        })),
+      },
+      phases,
+      changes: phases.flat(),
+    };
+  }
+
+  /**
+   * Match the classes of both metamodels, by name first and then by similarity
+   * @returns {Object} - { pairs, added, removed }
+   */
+  _matchClasses() {
+    return this._matchElements(
+      this.original.getAllClasses(),
+      this.evolved.getAllClasses(),
+      (before, after) => this._classSimilarity(before, after),
+      this.classRenameThreshold
+    );
+  }
+
+  /**
+   * Match the enums of both metamodels, by name first and then by literal overlap
+   * @returns {Object} - { pairs, added, removed }
+   */
+  _matchEnums() {
+    return this._matchElements(
+      this.original.getAllEnums(),
+      this.evolved.getAllEnums(),
+      (before, after) => {
+        const beforeLiterals = this.original.getEnumLiterals(before).map((literal) => literal.name);
+        const afterLiterals = this.evolved.getEnumLiterals(after).map((literal) => literal.name);
+        return (
+          0.4 * MetamodelComparator.nameSimilarity(before.get("name"), after.get("name")) +
+          0.6 * this._jaccard(beforeLiterals, afterLiterals)
+        );
+      },
+      this.classRenameThreshold
+    );
+  }
+
+  /**
+   * Match two element lists: exact name matches first, then the most similar remaining pairs
+   * @param {Array} beforeElements - Elements of the original metamodel
+   * @param {Array} afterElements - Elements of the evolved metamodel
+   * @param {Function} similarity - Scores a candidate pair between 0 and 1
+   * @param {number} threshold - Minimum score for a rename
+   * @param {Function} [nameOf] - Reads an element's name
+   * @returns {Object} - { pairs: [{ before, after, score }], added, removed }
+   */
+  _matchElements(beforeElements, afterElements, similarity, threshold, nameOf = (element) => element.get("name")) {
+    const pairs = [];
+    const unmatchedBefore = [];
+    const unmatchedAfter = [...afterElements];
+
+    beforeElements.forEach((before) => {
+      const index = unmatchedAfter.findIndex((after) => nameOf(after) === nameOf(before));
+      if (index !== -1) {
+        pairs.push({ before, after: unmatchedAfter[index], score: 1 });
+        unmatchedAfter.splice(index, 1);
+      } else {
+        unmatchedBefore.push(before);
+      }
+    });
+
+    // Greedily pair the remaining elements, best score first
+    const candidates = [];
+    unmatchedBefore.forEach((before) => {
+      unmatchedAfter.forEach((after) => {
+        const score = similarity(before, after);
+        if (score >= threshold) {
+          candidates.push({ before, after, score });
+        }
+      });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const pairedBefore = new Set();
+    const pairedAfter = new Set();
+    candidates.forEach((candidate) => {
+      if (!pairedBefore.has(candidate.before) && !pairedAfter.has(candidate.after)) {
+        pairs.push(candidate);
+        pairedBefore.add(candidate.before);
+        pairedAfter.add(candidate.after);
+      }
+    });
+
+    return {
+      pairs,
+      added: unmatchedAfter.filter((after) => !pairedAfter.has(after)),
+      removed: unmatchedBefore.filter((before) => !pairedBefore.has(before)),
+    };
+  }
+
+  /**
+   * Score how likely two classes are the same class under a different name
+   *
+   * Combines the name, the feature names, the feature types and the references
+   * pointing at the class, so a renamed class with renamed features still matches.
+   */
+  _classSimilarity(before, after) {
+    const featureNames = (loader, eClass) => [
+      ...loader.getClassAttributes(eClass).map((attr) => `attribute:${attr.name}`),
+      ...loader.getClassReferences(eClass).map((ref) => `reference:${ref.name}`),
+    ];
+    const featureTypes = (loader, eClass) =>
+      this._countedKeys([
+        ...loader.getClassAttributes(eClass).map((attr) => `attribute:${attr.type}`),
+        ...loader.getClassReferences(eClass).map((ref) => `reference:${ref.type}`),
+      ]);
+
+    return (
+      0.2 * MetamodelComparator.nameSimilarity(before.get("name"), after.get("name")) +
+      0.3 * this._jaccard(featureNames(this.original, before), featureNames(this.evolved, after)) +
+      0.2 * this._jaccard(featureTypes(this.original, before), featureTypes(this.evolved, after)) +
+      0.3 * this._jaccard(this._incomingReferences(this.original, before), this._incomingReferences(this.evolved, after))
+    );
+  }
+
+  /**
+   * List the references pointing at a class as 'Source.reference' keys
+   */
+  _incomingReferences(loader, eClass) {
+    const incoming = [];
+    loader.getAllClasses().forEach((cls) => {
+      loader.getClassReferences(cls).forEach((ref) => {
+        if (ref.type === eClass.get("name")) {
+          incoming.push(`${cls.get("name")}.${ref.name}`);
+        }
+      });
+    });
+    return incoming;
+  }
+
+  /**
+   * Make repeated keys distinct ('a', 'a' -> 'a#1', 'a#2') so Jaccard compares multisets
+   */
+  _countedKeys(keys) {
+    const counts = new Map();
+    return keys.map((key) => {
+      counts.set(key, (counts.get(key) || 0) + 1);
+      return `${key}#${counts.get(key)}`;
+    });
+  }
+
+  /**
+   * Score how likely two features of matched classes are the same feature under a different name
+   */
+  _featureSimilarity(before, after, sameType) {
+    const sameBounds =
+      Number(before.lowerBound) === Number(after.lowerBound) &&
+      Number(before.upperBound) === Number(after.upperBound);
+
+    return (
+      0.5 * MetamodelComparator.nameSimilarity(before.name, after.name) +
+      (sameType ? 0.3 : 0) +
+      (sameBounds ? 0.2 : 0)
+    );
+  }
+
+  /**
+   * Changes that declare classes: renames and additions
+   */
+  _classDeclarationChanges(classMatches) {
+    const changes = [];
+
+    classMatches.pairs.forEach(({ before, after }) => {
+      if (before.get("name") !== after.get("name")) {
+        changes.push({
+          type: "modify",
+          element: "class",
+          details: { name: before.get("name"), newName: after.get("name") },
+        });
+      }
+    });
+
+    // Supertypes are set in the next phase, once every class exists
+    classMatches.added.forEach((after) => {
+      changes.push({
+        type: "add",
+        element: "class",
+        details: {
+          name: after.get("name"),
+          abstract: this.original.isTrue(after.get("abstract")),
+          interface: this.original.isTrue(after.get("interface")),
+        },
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Changes to the contents of matched and added classes: flags, supertypes and features
+   */
+  _classContentChanges(classMatches, enumMatches) {
+    const classNames = this._renameMap(classMatches);
+    const typeNames = new Map([...classNames, ...this._renameMap(enumMatches)]);
+    const removals = [];
+    const modifications = [];
+    const additions = [];
+
+    classMatches.pairs.forEach(({ before, after }) => {
+      const className = after.get("name");
+      const classDetails = { name: className };
+
+      if (this.original.isTrue(before.get("abstract")) !== this.original.isTrue(after.get("abstract"))) {
+        classDetails.newAbstract = this.original.isTrue(after.get("abstract"));
+      }
+      if (this.original.isTrue(before.get("interface")) !== this.original.isTrue(after.get("interface"))) {
+        classDetails.newInterface = this.original.isTrue(after.get("interface"));
+      }
+
+      const beforeSuperTypes = this._superTypeNames(before).map((name) => classNames.get(name) || name);
+      const afterSuperTypes = this._superTypeNames(after);
+      if (beforeSuperTypes.join(",") !== afterSuperTypes.join(",")) {
+        classDetails.newSuperTypes = afterSuperTypes;
+      }
+
+      if (Object.keys(classDetails).length > 1) {
+        modifications.push({ type: "modify", element: "class", details: classDetails });
+      }
+
+      this._attributeChanges(before, after, typeNames, removals, modifications, additions);
+      this._referenceChanges(before, after, classNames, removals, modifications, additions);
+    });
+
+    classMatches.added.forEach((after) => {
+      const className = after.get("name");
+      const superTypes = this._superTypeNames(after);
+      if (superTypes.length > 0) {
+        modifications.push({
+          type: "modify",
+          element: "class",
+          details: { name: className, newSuperTypes: superTypes },
+        });
+      }
+
+      this.evolved.getClassAttributes(after).forEach((attr) => {
+        additions.push(this._addAttributeChange(className, attr));
+      });
+      this.evolved.getClassReferences(after).forEach((ref) => {
+        additions.push(this._addReferenceChange(className, ref));
+      });
+    });
+
+    return [...removals, ...modifications, ...additions];
+  }
+
+  /**
+   * Diff the attributes of a matched class pair
+   */
+  _attributeChanges(before, after, typeNames, removals, modifications, additions) {
+    const className = after.get("name");
+    const sameType = (oldAttr, newAttr) => (typeNames.get(oldAttr.type) || oldAttr.type) === newAttr.type;
+
+    const matches = this._matchElements(
+      this.original.getClassAttributes(before),
+      this.evolved.getClassAttributes(after),
+      (oldAttr, newAttr) => this._featureSimilarity(oldAttr, newAttr, sameType(oldAttr, newAttr)),
+      this.featureRenameThreshold,
+      (attr) => attr.name
+    );
+
+    matches.removed.forEach((attr) => {
+      removals.push({ type: "remove", element: "attribute", details: { className, name: attr.name } });
+    });
+
+    matches.pairs.forEach(({ before: oldAttr, after: newAttr }) => {
+      const details = { className, name: oldAttr.name };
+      if (oldAttr.name !== newAttr.name) {
+        details.newName = newAttr.name;
+      }
+      if (!sameType(oldAttr, newAttr)) {
+        details.newType = newAttr.type;
+      }
+      this._boundChanges(oldAttr, newAttr, details);
+
+      if (Object.keys(details).length > 2) {
+        modifications.push({ type: "modify", element: "attribute", details });
+      }
+    });
+
+    matches.added.forEach((attr) => {
+      additions.push(this._addAttributeChange(className, attr));
+    });
+  }
+
+  /**
+   * Diff the references of a matched class pair
+   */
+  _referenceChanges(before, after, classNames, removals, modifications, additions) {
+    const className = after.get("name");
+    const sameTarget = (oldRef, newRef) => (classNames.get(oldRef.type) || oldRef.type) === newRef.type;
+
+    const matches = this._matchElements(
+      this.original.getClassReferences(before),
+      this.evolved.getClassReferences(after),
+      (oldRef, newRef) => this._featureSimilarity(oldRef, newRef, sameTarget(oldRef, newRef)),
+      this.featureRenameThreshold,
+      (ref) => ref.name
+    );
+
+    matches.removed.forEach((ref) => {
+      removals.push({ type: "remove", element: "reference", details: { className, name: ref.name } });
+    });
+
+    matches.pairs.forEach(({ before: oldRef, after: newRef }) => {
+      const details = { className, name: oldRef.name };
+      if (oldRef.name !== newRef.name) {
+        details.newName = newRef.name;
+      }
+      if (!sameTarget(oldRef, newRef)) {
+        details.newTargetClassName = newRef.type;
+      }
+      if (this.original.isTrue(oldRef.containment) !== this.original.isTrue(newRef.containment)) {
+        details.newContainment = this.original.isTrue(newRef.containment);
+      }
+      this._boundChanges(oldRef, newRef, details);
+
+      if (Object.keys(details).length > 2) {
+        modifications.push({ type: "modify", element: "reference", details });
+      }
+    });
+
+    matches.added.forEach((ref) => {
+      additions.push(this._addReferenceChange(className, ref));
+    });
+  }
+
+  /**
+   * Changes that remove classes which have no counterpart in the evolved metamodel
+   */
+  _classRemovalChanges(classMatches) {
+    return classMatches.removed.map((before) => ({
+      type: "remove",
+      element: "class",
+      details: { name: before.get("name") },
+    }));
+  }
+
+  /**
+   * Changes that declare enums: renames and additions
+   */
+  _enumDeclarationChanges(enumMatches) {
+    const changes = [];
+
+    enumMatches.pairs.forEach(({ before, after }) => {
+      if (before.get("name") !== after.get("name")) {
+        changes.push({
+          type: "modify",
+          element: "enum",
+          details: { name: before.get("name"), newName: after.get("name") },
+        });
+      }
+    });
+
+    enumMatches.added.forEach((after) => {
+      changes.push({
+        type: "add",
+        element: "enum",
+        details: {
+          name: after.get("name"),
+          literals: this.evolved.getEnumLiterals(after).map(({ name, value }) => ({ name, value })),
+        },
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Changes to the literals of matched enums
+   * @returns {Object} - { removals, modifications, additions, reorders }, each applied in a phase of its own
+   */
+  _enumContentChanges(enumMatches) {
+    const removals = [];
+    const modifications = [];
+    const additions = [];
+    const reorders = [];
+
+    enumMatches.pairs.forEach(({ before, after }) => {
+      const enumName = after.get("name");
+      const beforeLiterals = this.original.getEnumLiterals(before);
+      const afterLiterals = this.evolved.getEnumLiterals(after);
+
+      const matches = this._matchElements(
+        beforeLiterals,
+        afterLiterals,
+        (oldLiteral, newLiteral) =>
+          0.5 * MetamodelComparator.nameSimilarity(oldLiteral.name, newLiteral.name) +
+          (oldLiteral.value === newLiteral.value ? 0.5 : 0),
+        this.featureRenameThreshold,
+        (literal) => literal.name
+      );
+
+      matches.removed.forEach((literal) => {
+        removals.push({ type: "remove", element: "literal", details: { enumName, name: literal.name } });
+      });
+
+      matches.pairs.forEach(({ before: oldLiteral, after: newLiteral }) => {
+        const details = { enumName, name: oldLiteral.name };
+        if (oldLiteral.name !== newLiteral.name) {
+          details.newName = newLiteral.name;
+        }
+        if (oldLiteral.value !== newLiteral.value) {
+          details.newValue = newLiteral.value;
+        }
+        if (Object.keys(details).length > 2) {
+          modifications.push({ type: "modify", element: "literal", details });
+        }
+      });
+
+      matches.added.forEach((literal) => {
+        additions.push({
+          type: "add",
+          element: "literal",
+          details: { enumName, name: literal.name, value: literal.value },
+        });
+      });
+
+      // Added literals are appended, so compare with the kept literals followed by the added ones
+      const renamed = new Map(matches.pairs.map(({ before: b, after: a }) => [b.name, a.name]));
+      const keptOrder = beforeLiterals.filter((l) => renamed.has(l.name)).map((l) => renamed.get(l.name));
+      const appendedOrder = [...keptOrder, ...matches.added.map((l) => l.name)];
+      const afterOrder = afterLiterals.map((l) => l.name);
+      if (appendedOrder.join(",") !== afterOrder.join(",")) {
+        reorders.push({ type: "modify", element: "enum", details: { name: enumName, newLiteralOrder: afterOrder } });
+      }
+    });
+
+    return { removals, modifications, additions, reorders };
+  }
+
+  /**
+   * Changes that remove enums which have no counterpart in the evolved metamodel
+   */
+  _enumRemovalChanges(enumMatches) {
+    return enumMatches.removed.map((before) => ({
+      type: "remove",
+      element: "enum",
+      details: { name: before.get("name") },
+    }));
+  }
+
+  /**
+   * Build an add_attribute change from an attribute entry of the evolved metamodel
+   */
+  _addAttributeChange(className, attr) {
+    return {
+      type: "add",
+      element: "attribute",
+      details: {
+        className,
+        name: attr.name,
+        type: attr.type,
+        lowerBound: Number(attr.lowerBound),
+        upperBound: Number(attr.upperBound),
+      },
+    };
+  }
+
+  /**
+   * Build an add_reference change from a reference entry of the evolved metamodel
+   */
+  _addReferenceChange(className, ref) {
+    return {
+      type: "add",
+      element: "reference",
+      details: {
+        sourceClassName: className,
+        targetClassName: ref.type,
+        name: ref.name,
+        containment: this.original.isTrue(ref.containment),
+        lowerBound: Number(ref.lowerBound),
+        upperBound: Number(ref.upperBound),
+      },
+    };
+  }
+
+  /**
+   * Add newLowerBound/newUpperBound to change details when the bounds differ
+   */
+  _boundChanges(before, after, details) {
+    if (Number(before.lowerBound) !== Number(after.lowerBound)) {
+      details.newLowerBound = Number(after.lowerBound);
+    }
+    if (Number(before.upperBound) !== Number(after.upperBound)) {
+      details.newUpperBound = Number(after.upperBound);
+    }
+  }
+
+  /**
+   * Map original element names to their evolved names for renamed pairs
+   */
+  _renameMap(matches) {
+    return new Map(matches.pairs.map(({ before, after }) => [before.get("name"), after.get("name")]));
+  }
+
+  /**
+   * Get the names of the direct supertypes of a class
+   */
+  _superTypeNames(eClass) {
+    return eClass.get("eSuperTypes").map((superType) => superType.get("name"));
+  }
+
+  /**
+   * Jaccard similarity of two string lists
+   */
+  _jaccard(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    if (setA.size === 0 && setB.size === 0) {
+      return 0;
+    }
+    const intersection = [...setA].filter((item) => setB.has(item)).length;
+    return intersection / (setA.size + setB.size - intersection);
+  }
+
+  /**
+   * Similarity of two names based on their edit distance, ignoring case
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {number} - Similarity between 0 (unrelated) and 1 (equal)
+   */
+  static nameSimilarity(a, b) {
+    const s = (a || "").toLowerCase();
+    const t = (b || "").toLowerCase();
+    if (s.length === 0 && t.length === 0) {
+      return 1;
+    }
+
+    // Levenshtein distance, one row at a time
+    let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= s.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= t.length; j++) {
+        const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return 1 - previous[t.length] / Math.max(s.length, t.length);
+  }
+}
+
+export default MetamodelComparator;
@@ -4,30 +4,136 @@
  * This class manages the evolution of metamodels based on domain expert input.
  * It extends the MetamodelLoader with functionality to:
  * - Interpret model-level changes as metamodel evolution operations
- * - Handle ambiguities in evolution specifications
+ * - Handle ambiguities in evolution specifications and suggest ranked resolutions
  * - Apply changes to the metamodel
  * - Perform validation and consistency checking
+ * - Rate the impact of each operation on existing instances
  * - Support model co-evolution
+ * - Export the evolution history as a changelog and replay it on other metamodel copies
  */
 
 import MetamodelLoader from './MetamodelLoader.js';
+import MetamodelReportDiff from './MetamodelReportDiff.js';
+import MetamodelComparator from './MetamodelComparator.js';
+import MetamodelValidator from './MetamodelValidator.js';
+import MetamodelImpactClassifier from './MetamodelImpactClassifier.js';
+import MetamodelResolutionAdvisor from './MetamodelResolutionAdvisor.js';
+import MetamodelRemovalPlanner from './MetamodelRemovalPlanner.js';
+import InstanceLoader from '../Instance/InstanceLoader.js';
+import InstanceMigrator from '../Instance/InstanceMigrator.js';
+import InstanceChangeInferrer from '../Instance/InstanceChangeInferrer.js';
+import InstanceValidator from '../Instance/InstanceValidator.js';
 import Ecore from 'ecore/dist/ecore.xmi.js';
+import FileStorage from '../Storage/FileStorage.js';
+
+const CHANGELOG_FORMAT = 'metamodel-evolution-changelog';
+const CHANGELOG_VERSION = 1;
+
+// Attribute properties that add and modify operations carry besides name, type and bounds
+const ATTRIBUTE_PROPERTIES = Object.keys(MetamodelLoader.ATTRIBUTE_PROPERTIES);
 
 class MetamodelEvolutionManager {
-  constructor() {
-    this.loader = new MetamodelLoader();
+  /**
+   * @param {Object} [storage] - Storage backend for metamodel and changelog files (see FileStorage)
+   */
+  constructor(storage = null) {
+    this.loader = new MetamodelLoader(storage);
     this.evolutionOperations =[];
     this.ambiguities =[];
     this.pendingChanges =[];
+    this.deferredChanges =[]; // Later phases of queued proposals, interpreted once the phase before them is applied
+    this.originalMetamodel = null; // XMI of the metamodel as loaded, used for co-evolution
+    this.undoStack =[]; // Applied batches: { operations, before, after, time }
+    this.redoStack =[];
+    this.batchHistory =[]; // Every applied or failed batch in order; failed ones have no after snapshot
+    this.revision = 0; // Bumped whenever the metamodel, the queued changes or the batch history change
+    this.batchComparisons = new WeakMap(); // Batch -> compareTimelineEntry result; snapshots never change
+    this.queuedComparison = null; // { revision, comparison } of the queued changes
   }
 
   /**
    * Load a metamodel for evolution
-   * @param {string} filePath - Path to the metamodel file
+   * @param {string} filePath - Path to the metamodel file, in XMI (.ecore) or JSON format
    * @returns {Object} - The loaded metamodel resource
    */
   loadMetamodel(filePath) {
-    return this.loader.loadFromFile(filePath);
+    const resource = this.loader.loadFromFile(filePath);
+    this.originalMetamodel = this.loader.createSnapshot();
+    // Changes interpreted against the previous metamodel no longer apply
+    this.pendingChanges = [];
+    this.ambiguities = [];
+    this.deferredChanges = [];
+    this.undoStack = [];
+    this.redoStack = [];
+    this.batchHistory = [];
+    this.revision++;
+    return resource;
+  }
+
+  /**
+   * Derive the model changes that evolve the loaded metamodel into an already edited one
+   * @param {string} evolvedPath - Path to the edited .ecore file
+   * @param {Object} [options] - Rename heuristic thresholds (see MetamodelComparator)
+   * @returns {Object} - Comparison result; interpret and apply its phases one after another
+   */
+  compareWithMetamodel(evolvedPath, options = {}) {
+    const evolvedLoader = new MetamodelLoader(this.loader.storage);
+    evolvedLoader.loadFromFile(evolvedPath);
+    return new MetamodelComparator(this.loader, evolvedLoader, options).compare();
+  }
+
+  /**
+   * Propose model changes that make an edited instance conform to the loaded metamodel
+   * @param {Object} instance - Root object parsed by InstanceLoader
+   * @returns {Object} - { findings, phases, proposals }; proposals can be passed to interpretModelChange
+   */
+  inferChangesFromInstance(instance) {
+    return new InstanceChangeInferrer(this.loader).infer(instance);
+  }
+
+  /**
+   * Queue the changes inferred from an edited instance
+   *
+   * Only the first phase of proposals is interpreted right away: the later phases use
+   * classes it adds, so applyPendingChanges() interprets them one after another. Proposals
+   * that are already queued are skipped.
+   *
+   * @param {Object} instance - Root object parsed by InstanceLoader
+   * @returns {Object} - { operations, deferred } with the new operations and the number of proposals left for later phases
+   */
+  queueInstanceChanges(instance) {
+    const [firstPhase = [], ...laterPhases] = this.inferChangesFromInstance(instance).phases;
+
+    const operations = firstPhase
+      .filter(proposal => !this.findQueuedOperation(proposal))
+      .map(proposal => this.interpretModelChange(proposal));
+    this.deferredChanges = laterPhases;
+
+    return {
+      operations,
+      deferred: laterPhases.reduce((count, phase) => count + phase.length, 0)
+    };
+  }
+
+  /**
+   * Find the pending or ambiguous operation interpreted from an equal model change
+   * @param {Object} modelChange - Description of the model-level change
+   * @returns {Object|null} - The queued operation, or null if the change is not queued
+   */
+  findQueuedOperation(modelChange) {
+    const key = JSON.stringify([modelChange.type, modelChange.element, modelChange.details]);
+    return [...this.pendingChanges, ...this.ambiguities].find(operation =>
+      JSON.stringify([operation.type, operation.element, operation.details]) === key
+    ) || null;
+  }
+
+  /**
+   * Check that an instance conforms to the loaded metamodel
+   * @param {Object} instance - Root object parsed by InstanceLoader
+   * @returns {Object} - { valid, violations } with object paths such as //@employees.2
+   */
+  validateInstance(instance) {
+    return new InstanceValidator(this.loader).validate(instance);
   }
 
   /**
@@ -39,7 +145,7 @@ class MetamodelEvolutionManager {
     // Structure of modelChange:
     // {
     //   type: 'add'|'remove'|'modify',
-    //   element: 'attribute'|'class'|'reference',
+    //   element: 'attribute'|'class'|'reference'|'operation'|'enum'|'literal'|'package'|'datatype',
     //   details: { ... specific details of the change ... }
     // }
 
@@ -50,7 +156,10 @@ class MetamodelEvolutionManager {
       status: 'pending',
       ambiguous: false,
       ambiguityReason: null,
-      metamodelOperation: null
+      resolutionOptions: [],
+      metamodelOperation: null,
+      impact: null,
+      impactReasons: []
     };
 
     // Interpret based on change type and element
@@ -82,6 +191,48 @@ class MetamodelEvolutionManager {
       case 'modify_reference':
         operation.metamodelOperation = this._createModifyReferenceOperation(modelChange.details);
         break;
+      case 'add_operation':
+        operation.metamodelOperation = this._createAddOperationOperation(modelChange.details);
+        break;
+      case 'remove_operation':
+        operation.metamodelOperation = this._createRemoveOperationOperation(modelChange.details);
+        break;
+      case 'modify_operation':
+        operation.metamodelOperation = this._createModifyOperationOperation(modelChange.details);
+        break;
+      case 'add_enum':
+        operation.metamodelOperation = this._createAddEnumOperation(modelChange.details);
+        break;
+      case 'remove_enum':
+        operation.metamodelOperation = this._createRemoveEnumOperation(modelChange.details);
+        break;
+      case 'modify_enum':
+        operation.metamodelOperation = this._createModifyEnumOperation(modelChange.details);
+        break;
+      case 'add_literal':
+        operation.metamodelOperation = this._createAddLiteralOperation(modelChange.details);
+        break;
+      case 'remove_literal':
+        operation.metamodelOperation = this._createRemoveLiteralOperation(modelChange.details);
+        break;
+      case 'modify_literal':
+        operation.metamodelOperation = this._createModifyLiteralOperation(modelChange.details);
+        break;
+      case 'add_package':
+        operation.metamodelOperation = this._createAddPackageOperation(modelChange.details);
+        break;
+      case 'remove_package':
+        operation.metamodelOperation = this._createRemovePackageOperation(modelChange.details);
+        break;
+      case 'add_datatype':
+        operation.metamodelOperation = this._createAddDataTypeOperation(modelChange.details);
+        break;
+      case 'remove_datatype':
+        operation.metamodelOperation = this._createRemoveDataTypeOperation(modelChange.details);
+        break;
+      case 'modify_datatype':
+        operation.metamodelOperation = this._createModifyDataTypeOperation(modelChange.details);
+        break;
       default:
         operation.status = 'error';
         operation.ambiguous = true;
@@ -89,17 +240,34 @@ class MetamodelEvolutionManager {
         break;
     }
 
+    // Keep ambiguity flags of proposed changes (e.g. inferred from an instance)
+    if (modelChange.ambiguous && operation.metamodelOperation && !operation.metamodelOperation.ambiguous) {
+      operation.metamodelOperation.ambiguous = true;
+      operation.metamodelOperation.ambiguityReason = modelChange.ambiguityReason;
+      operation.metamodelOperation.proposed = true; // Only a guess of the proposal is in doubt
+    }
+
+    this._classifyImpact(operation);
+
     // Check for ambiguities
     if (operation.metamodelOperation && operation.metamodelOperation.ambiguous) {
       operation.ambiguous = true;
       operation.ambiguityReason = operation.metamodelOperation.ambiguityReason;
       this.ambiguities.push(operation);
+    } else if (operation.ambiguous) {
+      // Unknown changes cannot be applied until they are resolved
+      this.ambiguities.push(operation);
     } else {
       this.pendingChanges.push(operation);
     }
 
+    if (operation.ambiguous) {
+      operation.resolutionOptions = new MetamodelResolutionAdvisor(this.loader).suggest(operation.metamodelOperation);
+    }
+
     // Add to evolution operations
     this.evolutionOperations.push(operation);
+    this.revision++;
     return operation;
   }
 
@@ -126,6 +294,13 @@ class MetamodelEvolutionManager {
     } else if (this.loader.findClassByName(details.name)) {
       operation.ambiguous = true;
       operation.ambiguityReason = `Class ${details.name} already exists`;
+    } else {
+      // Check if the super types can be combined
+      const superTypeProblem = this._findSuperTypeProblem(details.name, operation.superTypes, []);
+      if (superTypeProblem) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = superTypeProblem;
+      }
     }
 
     return operation;
@@ -144,6 +319,7 @@ class MetamodelEvolutionManager {
       attributeType: details.type || 'EString',
       lowerBound: details.lowerBound || 0,
       upperBound: details.upperBound || 1,
+      ...this._pickAttributeProperties(details, name => name),
       ambiguous: false,
       ambiguityReason: null
     };
@@ -161,12 +337,12 @@ class MetamodelEvolutionManager {
         operation.ambiguous = true;
         operation.ambiguityReason = `Class ${details.className} does not exist`;
       } else {
-        // Check if attribute already exists
-        const existingAttributes = this.loader.getClassAttributes(targetClass);
-        const attributeExists = existingAttributes.some(attr => attr.name === details.name);
-        if (attributeExists) {
+        // Check if the name clashes anywhere in the class hierarchy
+        const conflict = this._findFeatureConflict(targetClass, details.name, 'Attribute')
+          || this._findAttributePropertyProblem(targetClass, details.name, operation.attributeType, operation.defaultValueLiteral, operation.iD);
+        if (conflict) {
           operation.ambiguous = true;
-          operation.ambiguityReason = `Attribute ${details.name} already exists in class ${details.className}`;
+          operation.ambiguityReason = conflict;
         }
       }
     }
@@ -188,6 +364,7 @@ class MetamodelEvolutionManager {
       containment: details.containment || false,
       lowerBound: details.lowerBound || 0,
       upperBound: details.upperBound || 1,
+      opposite: this._normalizeOpposite(details.opposite),
       ambiguous: false,
       ambiguityReason: null
     };
@@ -213,12 +390,12 @@ class MetamodelEvolutionManager {
         operation.ambiguous = true;
         operation.ambiguityReason = `Target class ${details.targetClassName} does not exist`;
       } else {
-        // Check if reference already exists
-        const existingReferences = this.loader.getClassReferences(sourceClass);
-        const referenceExists = existingReferences.some(ref => ref.name === details.name);
-        if (referenceExists) {
+        // Check if the name clashes anywhere in the class hierarchy
+        const conflict = this._findFeatureConflict(sourceClass, details.name, 'Reference') ||
+          (operation.opposite && this._findNewOppositeProblem(operation, sourceClass, targetClass));
+        if (conflict) {
           operation.ambiguous = true;
-          operation.ambiguityReason = `Reference ${details.name} already exists in class ${details.sourceClassName}`;
+          operation.ambiguityReason = conflict;
         }
       }
     }
@@ -226,6 +403,149 @@ class MetamodelEvolutionManager {
     return operation;
   }
 
+  /**
+   * Normalize the opposite of a new reference
+   * @param {string|Object} opposite - Name of an existing reference of the target class to pair with,
+   *   or { name, lowerBound, upperBound } of a back-reference to create
+   * @returns {Object|null} - { name, create, lowerBound, upperBound } or null without opposite
+   */
+  _normalizeOpposite(opposite) {
+    if (!opposite) {
+      return null;
+    }
+    if (typeof opposite === 'string') {
+      return { name: opposite, create: false };
+    }
+    return {
+      name: opposite.name,
+      create: true,
+      lowerBound: opposite.lowerBound || 0,
+      upperBound: opposite.upperBound || 1
+    };
+  }
+
+  /**
+   * Check whether the opposite of a new reference can be created or paired
+   * @param {Object} operation - The add reference operation
+   * @param {Object} sourceClass - Class that declares the new reference
+   * @param {Object} targetClass - Type of the new reference
+   * @returns {string|null} - Reason the opposite cannot be used, or null if it can
+   */
+  _findNewOppositeProblem(operation, sourceClass, targetClass) {
+    const { opposite } = operation;
+    const end = {
+      name: `${sourceClass.get('name')}.${operation.referenceName}`,
+      owner: sourceClass,
+      type: targetClass,
+      containment: operation.containment,
+      upperBound: operation.upperBound,
+      reference: null
+    };
+
+    if (!opposite.name) {
+      return 'Opposite reference name is required';
+    }
+    if (opposite.create) {
+      if (sourceClass === targetClass && opposite.name === operation.referenceName) {
+        return `Reference ${operation.referenceName} and its opposite cannot share a name`;
+      }
+      const conflict = this._findFeatureConflict(targetClass, opposite.name, 'Reference');
+      return conflict || this._findOppositeProblem(end, {
+        name: `${targetClass.get('name')}.${opposite.name}`,
+        owner: targetClass,
+        type: sourceClass,
+        containment: false,
+        upperBound: opposite.upperBound,
+        reference: null
+      });
+    }
+
+    const existing = this.loader.findReference(targetClass, opposite.name);
+    if (!existing) {
+      return `Reference ${opposite.name} does not exist in class ${targetClass.get('name')}`;
+    }
+    return this._findOppositeProblem(end, this._describeReferenceEnd(existing));
+  }
+
+  /**
+   * Check whether the opposite of a modified reference still fits, or the new one can be paired
+   * @param {Object} reference - The EReference being modified
+   * @param {Object} details - Details of the reference modification
+   * @returns {string|null} - Reason the opposite cannot be used, or null if it can
+   */
+  _findModifiedOppositeProblem(reference, details) {
+    const end = {
+      ...this._describeReferenceEnd(reference),
+      type: details.newTargetClassName ? this.loader.findClassByName(details.newTargetClassName) : reference.get('eType'),
+      containment: details.newContainment !== undefined ? details.newContainment : this.loader.isTrue(reference.get('containment')),
+      upperBound: details.newUpperBound !== undefined ? details.newUpperBound : Number(reference.get('upperBound') ?? 1)
+    };
+
+    if (details.newOpposite === null) {
+      return null;
+    }
+    if (details.newOpposite) {
+      const existing = this.loader.findReference(end.type, details.newOpposite);
+      if (!existing) {
+        return `Reference ${details.newOpposite} does not exist in class ${end.type.get('name')}`;
+      }
+      return existing === reference
+        ? `Reference ${end.name} cannot be its own opposite`
+        : this._findOppositeProblem(end, this._describeReferenceEnd(existing));
+    }
+
+    // The current opposite is kept, so it must still be a feature of the (new) target
+    const opposite = reference.get('eOpposite');
+    if (!opposite) {
+      return null;
+    }
+    const oppositeEnd = this._describeReferenceEnd(opposite);
+    if (this.loader.findReference(end.type, opposite.get('name')) !== opposite) {
+      return `Retargeting ${end.name} to ${end.type.get('name')} breaks its opposite ${oppositeEnd.name}; unpair it or choose a new opposite`;
+    }
+    return this._findOppositeProblem(end, oppositeEnd);
+  }
+
+  /**
+   * Check whether two reference ends can be each other's eOpposite
+   * @param {Object} end - { name, owner, type, containment, upperBound, reference } of one end
+   * @param {Object} opposite - The same description of the other end
+   * @returns {string|null} - Reason the ends cannot be paired, or null if they can
+   */
+  _findOppositeProblem(end, opposite) {
+    const isKindOf = (eClass, target) => eClass === target || this.loader.getAllSuperTypes(eClass).includes(target);
+
+    if (opposite.reference && opposite.reference.get('eOpposite') && opposite.reference.get('eOpposite') !== end.reference) {
+      return `Reference ${opposite.name} is already the opposite of ${this._describeReferenceEnd(opposite.reference.get('eOpposite')).name}`;
+    }
+    if (!isKindOf(end.owner, opposite.type)) {
+      return `Opposite ${opposite.name} must reference ${end.owner.get('name')} or one of its super types`;
+    }
+    if (end.containment && opposite.containment) {
+      return `References ${end.name} and ${opposite.name} cannot both be containments`;
+    }
+    for (const [containment, container] of [[end, opposite], [opposite, end]]) {
+      if (containment.containment && container.upperBound !== 1) {
+        return `Opposite ${container.name} of containment ${containment.name} is a container reference and must have upper bound 1`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Describe an existing reference for _findOppositeProblem
+   */
+  _describeReferenceEnd(reference) {
+    return {
+      name: `${reference.eContainer.get('name')}.${reference.get('name')}`,
+      owner: reference.eContainer,
+      type: reference.get('eType'),
+      containment: this.loader.isTrue(reference.get('containment')),
+      upperBound: Number(reference.get('upperBound') ?? 1),
+      reference
+    };
+  }
+
   /**
    * Create an operation to remove a class from the metamodel
    * @param {Object} details - Details of the class to remove
@@ -235,6 +555,9 @@ class MetamodelEvolutionManager {
     const operation = {
       action: 'removeClass',
       className: details.name,
+      cascade: details.cascade === true ? 'delete' : details.cascade || null,
+      retargetTo: details.retargetTo || null,
+      dependentChanges: [],
       ambiguous: false,
       ambiguityReason: null
     };
@@ -248,19 +571,74 @@ class MetamodelEvolutionManager {
       if (!targetClass) {
         operation.ambiguous = true;
         operation.ambiguityReason = `Class ${details.name} does not exist`;
-      } else {
-        // Check if class is referenced by other classes
+      } else if (operation.cascade && !['delete', 'retarget'].includes(operation.cascade)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Unknown cascade mode ${operation.cascade}; use delete or retarget`;
+      } else if (operation.cascade === 'retarget') {
+        // Check if the references can point to the replacement class
+        const newTarget = operation.retargetTo ? this.loader.findClassByName(operation.retargetTo) : null;
+        if (!operation.retargetTo) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = 'Retarget class name is required';
+        } else if (!newTarget) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `Retarget class ${operation.retargetTo} does not exist`;
+        } else if (newTarget === targetClass) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `References cannot be retargeted to the removed class ${details.name}`;
+        }
+      } else if (!operation.cascade) {
+        // Without cascade, dependent elements would point to the detached class
         const referencingClasses = this._findClassesReferencingClass(details.name);
+        const subClasses = this.loader.getSubClasses(targetClass, false).map(cls => cls.get('name'));
         if (referencingClasses.length > 0) {
           operation.ambiguous = true;
           operation.ambiguityReason = `Class ${details.name} is referenced by: ${referencingClasses.join(', ')}`;
+        } else if (subClasses.length > 0) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `Class ${details.name} is the super type of: ${subClasses.join(', ')}`;
+        } else if (this._findOperationsUsing(details.name, targetClass).length > 0) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `Class ${details.name} is used in the signatures of: ${this._findOperationsUsing(details.name, targetClass).join(', ')}`;
         }
       }
+
+      this._planDependentChanges(operation);
     }
 
     return operation;
   }
 
+  /**
+   * Compute the dependent changes of a cascading class removal, so they can be shown before applying
+   * @param {Object} metamodelOp - A metamodel operation; only cascading removeClass operations get a plan
+   */
+  _planDependentChanges(metamodelOp) {
+    if (!metamodelOp || metamodelOp.action !== 'removeClass' || !metamodelOp.cascade || metamodelOp.ambiguous) {
+      return;
+    }
+
+    const targetClass = this.loader.findClassByName(metamodelOp.className);
+    metamodelOp.dependentChanges = targetClass
+      ? new MetamodelRemovalPlanner(this.loader).planClassRemoval(targetClass, metamodelOp)
+      : [];
+  }
+
+  /**
+   * Show what a cascading removal of a class would change, without interpreting it
+   * @param {string} className - Name of the class to remove
+   * @param {Object} [options] - { cascade: 'delete' | 'retarget', retargetTo }
+   * @returns {Array} - Dependent changes [{ kind, element, description, ... }]
+   */
+  planClassRemoval(className, options = {}) {
+    const targetClass = this.loader.findClassByName(className);
+    if (!targetClass) {
+      throw new Error(`Class ${className} not found`);
+    }
+
+    return new MetamodelRemovalPlanner(this.loader).planClassRemoval(targetClass, options);
+  }
+
   /**
    * Create an operation to remove an attribute from a class
    * @param {Object} details - Details of the attribute to remove
@@ -293,7 +671,7 @@ class MetamodelEvolutionManager {
         const attributeExists = existingAttributes.some(attr => attr.name === details.name);
         if (!attributeExists) {
           operation.ambiguous = true;
-          operation.ambiguityReason = `Attribute ${details.name} does not exist in class ${details.className}`;
+          operation.ambiguityReason = this._describeMissingFeature(targetClass, details.name, 'Attribute');
         }
       }
     }
@@ -333,7 +711,7 @@ class MetamodelEvolutionManager {
         const referenceExists = existingReferences.some(ref => ref.name === details.name);
         if (!referenceExists) {
           operation.ambiguous = true;
-          operation.ambiguityReason = `Reference ${details.name} does not exist in class ${details.className}`;
+          operation.ambiguityReason = this._describeMissingFeature(targetClass, details.name, 'Reference');
         }
       }
     }
@@ -354,6 +732,8 @@ class MetamodelEvolutionManager {
       newSuperTypes: details.newSuperTypes,
       newAbstract: details.newAbstract,
       newInterface: details.newInterface,
+      newPackage: details.newPackage,
+      updateSignatures: details.updateSignatures || false,
       ambiguous: false,
       ambiguityReason: null
     };
@@ -370,12 +750,134 @@ class MetamodelEvolutionManager {
       } else if (details.newName && this.loader.findClassByName(details.newName)) {
         operation.ambiguous = true;
         operation.ambiguityReason = `Class ${details.newName} already exists`;
+      } else if (details.newName && !operation.updateSignatures && this._findOperationsUsing(details.name).length > 0) {
+        // Operation signatures follow the class, so the rename must be confirmed
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Renaming class ${details.name} changes the signatures of: ${this._findOperationsUsing(details.name).join(', ')}`;
+      } else if (details.newPackage) {
+        // Check if the class can move into the target package
+        const targetPackage = this.loader.findPackageByName(details.newPackage);
+        const movedName = details.newName || targetClass.get('name');
+        if (!targetPackage) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `Package ${details.newPackage} does not exist`;
+        } else if (targetPackage === targetClass.eContainer) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `Class ${details.name} is already in package ${details.newPackage}`;
+        } else if (this.loader.findClassifierInPackage(targetPackage, movedName)) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `Package ${details.newPackage} already contains a classifier named ${movedName}`;
+        }
+      }
+
+      if (!operation.ambiguous && targetClass && details.newSuperTypes) {
+        // Check if the new super types can be combined with the features of the class and its subclasses
+        const declaredFeatures = [targetClass, ...this.loader.getSubClasses(targetClass)].flatMap(cls =>
+          cls.get('eStructuralFeatures').map(feature => ({ name: feature.get('name'), declaringClass: cls.get('name') }))
+        );
+        const superTypeProblem = this._findSuperTypeProblem(details.name, details.newSuperTypes, declaredFeatures);
+        if (superTypeProblem) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = superTypeProblem;
+        }
       }
     }
 
     return operation;
   }
 
+  /**
+   * Check whether a class can inherit from a set of super types
+   * @param {string} className - Name of the class receiving the super types
+   * @param {Array} superTypeNames - Names of the super types
+   * @param {Array} declaredFeatures - { name, declaringClass } of the features declared by the class and its subclasses
+   * @returns {string|null} - Reason the super types cannot be used, or null if they can
+   */
+  _findSuperTypeProblem(className, superTypeNames, declaredFeatures) {
+    const ownClass = this.loader.findClassByName(className);
+    const localDeclarers = new Set(declaredFeatures.map(feature => feature.declaringClass));
+    const declaringClasses = new Map(declaredFeatures.map(feature => [feature.name, feature.declaringClass]));
+
+    for (const superTypeName of superTypeNames) {
+      const superType = this.loader.findClassByName(superTypeName);
+      if (!superType) {
+        return `Super type ${superTypeName} does not exist`;
+      }
+      if (superTypeNames.indexOf(superTypeName) !== superTypeNames.lastIndexOf(superTypeName)) {
+        return `Super type ${superTypeName} is listed more than once`;
+      }
+
+      // Check if the class would become its own ancestor
+      const ancestors = this.loader.getAllSuperTypes(superType);
+      if (ownClass && (superType === ownClass || ancestors.includes(ownClass))) {
+        return `Inheriting from ${superTypeName} would create an inheritance cycle for ${className}`;
+      }
+
+      // Check if a feature name arrives from two different declaring classes
+      for (const declaringClass of [superType, ...ancestors]) {
+        for (const feature of declaringClass.get('eStructuralFeatures').array()) {
+          const featureName = feature.get('name');
+          const existing = declaringClasses.get(featureName);
+          if (localDeclarers.has(existing)) {
+            return `Feature ${featureName} of ${existing} would shadow the feature inherited from ${declaringClass.get('name')}`;
+          }
+          if (existing && existing !== declaringClass.get('name')) {
+            return `Feature ${featureName} of ${className} would be inherited from both ${existing} and ${declaringClass.get('name')}`;
+          }
+          declaringClasses.set(featureName, declaringClass.get('name'));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a feature name is free in a class, its super types and its subclasses
+   * @param {Object} eClass - The class that would declare the feature
+   * @param {string} featureName - The proposed feature name
+   * @param {string} kind - 'Attribute' or 'Reference', used in the message
+   * @returns {string|null} - Reason the name cannot be used, or null if it is free
+   */
+  _findFeatureConflict(eClass, featureName, kind) {
+    const className = eClass.get('name');
+    const existing = this.loader.getAllClassFeatures(eClass).find(feature => feature.name === featureName);
+
+    if (existing && existing.declaringClass === className) {
+      return `${kind} ${featureName} already exists in class ${className}`;
+    }
+    if (existing) {
+      return `${kind} ${featureName} would shadow the ${existing.kind} inherited by ${className} from ${existing.declaringClass}`;
+    }
+
+    const subClass = this.loader.getSubClasses(eClass).find(cls =>
+      cls.get('eStructuralFeatures').find(feature => feature.get('name') === featureName)
+    );
+    if (subClass) {
+      return `${kind} ${featureName} would be shadowed by the feature of the same name in subclass ${subClass.get('name')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Explain why a feature cannot be found among the own features of a class
+   * @param {Object} eClass - The class that was searched
+   * @param {string} featureName - Name of the missing feature
+   * @param {string} kind - 'Attribute' or 'Reference', used in the message
+   * @returns {string} - Ambiguity reason
+   */
+  _describeMissingFeature(eClass, featureName, kind) {
+    const className = eClass.get('name');
+    const inherited = this.loader.getAllClassFeatures(eClass)
+      .find(feature => feature.name === featureName && feature.declaringClass !== className);
+
+    if (inherited) {
+      return `${kind} ${featureName} is inherited by class ${className} from ${inherited.declaringClass}; change it there instead`;
+    }
+    return `${kind} ${featureName} does not exist in class ${className}`;
+  }
+
   /**
    * Create an operation to modify an attribute in a class
    * @param {Object} details - Details of the attribute modification
@@ -390,6 +892,7 @@ class MetamodelEvolutionManager {
       newType: details.newType,
       newLowerBound: details.newLowerBound,
       newUpperBound: details.newUpperBound,
+      ...this._pickAttributeProperties(details, name => `new${name.charAt(0).toUpperCase()}${name.slice(1)}`),
       ambiguous: false,
       ambiguityReason: null
     };
@@ -412,13 +915,30 @@ class MetamodelEvolutionManager {
         const attributeExists = existingAttributes.some(attr => attr.name === details.name);
         if (!attributeExists) {
           operation.ambiguous = true;
-          operation.ambiguityReason = `Attribute ${details.name} does not exist in class ${details.className}`;
-        } else if (details.newName) {
-          // Check if new name would conflict
-          const newNameExists = existingAttributes.some(attr => attr.name === details.newName);
-          if (newNameExists) {
+          operation.ambiguityReason = this._describeMissingFeature(targetClass, details.name, 'Attribute');
+        } else if (details.newName && details.newName !== details.name) {
+          // Check if new name would conflict anywhere in the class hierarchy
+          const conflict = this._findFeatureConflict(targetClass, details.newName, 'Attribute');
+          if (conflict) {
+            operation.ambiguous = true;
+            operation.ambiguityReason = conflict;
+          }
+        }
+
+        // Check if the new type and properties fit together and with the existing attribute
+        const attribute = attributeExists ? this.loader.findAttribute(targetClass, details.name) : null;
+        if (attribute && !operation.ambiguous) {
+          const current = this.loader.getAttributeProperties(attribute);
+          const problem = this._findAttributePropertyProblem(
+            targetClass,
+            details.name,
+            operation.newType || attribute.get('eType'),
+            operation.newDefaultValueLiteral !== undefined ? operation.newDefaultValueLiteral : current.defaultValueLiteral,
+            operation.newID === true && !current.iD
+          );
+          if (problem) {
             operation.ambiguous = true;
-            operation.ambiguityReason = `Attribute ${details.newName} already exists in class ${details.className}`;
+            operation.ambiguityReason = problem;
           }
         }
       }
@@ -442,6 +962,7 @@ class MetamodelEvolutionManager {
       newContainment: details.newContainment,
       newLowerBound: details.newLowerBound,
       newUpperBound: details.newUpperBound,
+      newOpposite: details.newOpposite,
       ambiguous: false,
       ambiguityReason: null
     };
@@ -464,13 +985,13 @@ class MetamodelEvolutionManager {
         const referenceExists = existingReferences.some(ref => ref.name === details.name);
         if (!referenceExists) {
           operation.ambiguous = true;
-          operation.ambiguityReason = `Reference ${details.name} does not exist in class ${details.className}`;
-        } else if (details.newName) {
-          // Check if new name would conflict
-          const newNameExists = existingReferences.some(ref => ref.name === details.newName);
-          if (newNameExists) {
+          operation.ambiguityReason = this._describeMissingFeature(targetClass, details.name, 'Reference');
+        } else if (details.newName && details.newName !== details.name) {
+          // Check if new name would conflict anywhere in the class hierarchy
+          const conflict = this._findFeatureConflict(targetClass, details.newName, 'Reference');
+          if (conflict) {
             operation.ambiguous = true;
-            operation.ambiguityReason = `Reference ${details.newName} already exists in class ${details.className}`;
+            operation.ambiguityReason = conflict;
           }
         }
 
@@ -482,6 +1003,16 @@ class MetamodelEvolutionManager {
             operation.ambiguityReason = `Target class ${details.newTargetClassName} does not exist`;
           }
         }
+
+        // Check if both ends of a bidirectional reference stay consistent
+        const reference = referenceExists ? this.loader.findReference(targetClass, details.name) : null;
+        const oppositeProblem = reference && !operation.ambiguous
+          ? this._findModifiedOppositeProblem(reference, details)
+          : null;
+        if (oppositeProblem) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = oppositeProblem;
+        }
       }
     }
 
@@ -489,59 +1020,106 @@ class MetamodelEvolutionManager {
   }
 
   /**
-   * Find classes that reference a specific class
-   * @param {string} className - Name of the class to check
-   * @returns {Array} - Array of class names that reference the given class
+   * Create an operation to add a new enum to the metamodel
+   * @param {Object} details - Details of the enum to add
+   * @returns {Object} - Metamodel operation
    */
-  _findClassesReferencingClass(className) {
-    const referencingClasses = [];
-    const allClasses = this.loader.getAllClasses();
+  _createAddEnumOperation(details) {
+    const operation = {
+      action: 'addEnum',
+      enumName: details.name,
+      literals: details.literals || [],
+      ambiguous: false,
+      ambiguityReason: null
+    };
 
-    allClasses.forEach(cls => {
-      const references = this.loader.getClassReferences(cls);
-      references.forEach(ref => {
-        if (ref.type === className) {
-          referencingClasses.push(cls.get('name'));
-        }
-      });
-    });
+    const literalNames = operation.literals.map(literal => (typeof literal === 'string' ? literal : literal.name));
 
-    return referencingClasses;
+    // Check for ambiguities
+    if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Enum name is required';
+    } else if (this.loader.findClassifierByName(details.name)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `Classifier ${details.name} already exists`;
+    } else if (new Set(literalNames).size !== literalNames.length) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `Enum ${details.name} lists a literal more than once`;
+    }
+
+    return operation;
   }
 
   /**
-   * Resolve ambiguities in a metamodel operation
-   * @param {number} operationIndex - Index of the operation in the evolutionOperations array
-   * @param {Object} resolution - Resolution details
-   * @returns {Object} - Updated operation
+   * Create an operation to remove an enum from the metamodel
+   * @param {Object} details - Details of the enum to remove
+   * @returns {Object} - Metamodel operation
    */
-  resolveAmbiguity(operationIndex, resolution) {
-    const operation = this.evolutionOperations[operationIndex];
-    if (!operation) {
-      throw new Error(`Operation at index ${operationIndex} not found`);
-    }
+  _createRemoveEnumOperation(details) {
+    const operation = {
+      action: 'removeEnum',
+      enumName: details.name,
+      ambiguous: false,
+      ambiguityReason: null
+    };
 
-    if (!operation.ambiguous) {
-      console.log(`Operation at index ${operationIndex} is not ambiguous`);
-      return operation;
+    // Check for ambiguities
+    if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Enum name is required';
+    } else if (!this.loader.findEnumByName(details.name)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `Enum ${details.name} does not exist`;
+    } else {
+      // Check if enum is used as an attribute type
+      const typedAttributes = this._findAttributesTypedBy(details.name);
+      if (typedAttributes.length > 0) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Enum ${details.name} is used as the type of: ${typedAttributes.map(attr => attr.path).join(', ')}`;
+      } else if (this._findOperationsUsing(details.name).length > 0) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Enum ${details.name} is used in the signatures of: ${this._findOperationsUsing(details.name).join(', ')}`;
+      }
     }
 
-    // Apply resolution to the metamodelOperation details
-    if (operation.metamodelOperation) {
-      Object.assign(operation.metamodelOperation, resolution);
-    }
+    return operation;
+  }
 
-    // Mark as resolved
-    operation.ambiguous = false;
-    operation.ambiguityReason = null;
-    operation.status = 'pending'; // Move back to pending state after resolution
+  /**
+   * Create an operation to rename an enum or reorder its literals
+   * @param {Object} details - Details of the enum modification
+   * @returns {Object} - Metamodel operation
+   */
+  _createModifyEnumOperation(details) {
+    const operation = {
+      action: 'modifyEnum',
+      enumName: details.name,
+      newName: details.newName,
+      newLiteralOrder: details.newLiteralOrder,
+      ambiguous: false,
+      ambiguityReason: null
+    };
 
-    // Move from ambiguities to pending changes if not already there
-    const ambiguityIndex = this.ambiguities.findIndex(op => op === operation);
-    if (ambiguityIndex !== -1) {
-      this.ambiguities.splice(ambiguityIndex, 1);
-      if (!this.pendingChanges.includes(operation)) {
-        this.pendingChanges.push(operation);
+    // Check for ambiguities
+    if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Enum name is required';
+    } else {
+      const targetEnum = this.loader.findEnumByName(details.name);
+      if (!targetEnum) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Enum ${details.name} does not exist`;
+      } else if (details.newName && this.loader.findClassifierByName(details.newName)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Classifier ${details.newName} already exists`;
+      } else if (details.newLiteralOrder) {
+        const literalNames = this.loader.getEnumLiterals(targetEnum).map(literal => literal.name);
+        const isPermutation = details.newLiteralOrder.length === literalNames.length &&
+          literalNames.every(name => details.newLiteralOrder.includes(name));
+        if (!isPermutation) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `New literal order must list every literal of ${details.name} exactly once`;
+        }
       }
     }
 
@@ -549,15 +1127,727 @@ class MetamodelEvolutionManager {
   }
 
   /**
-   * Apply all pending changes to the metamodel
-   * @returns {Object} - Result of the application
+   * Create an operation to add a literal to an enum
+   * @param {Object} details - Details of the literal to add
+   * @returns {Object} - Metamodel operation
+   */
+  _createAddLiteralOperation(details) {
+    const operation = {
+      action: 'addLiteral',
+      enumName: details.enumName,
+      literalName: details.name,
+      value: details.value,
+      position: details.position,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.enumName) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Enum name is required';
+    } else if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Literal name is required';
+    } else if (!this.loader.findEnumByName(details.enumName)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `Enum ${details.enumName} does not exist`;
+    } else {
+      // Check if literal name or value is already taken
+      const existingLiterals = this.loader.getEnumLiterals(details.enumName);
+      if (existingLiterals.some(literal => literal.name === details.name)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Literal ${details.name} already exists in enum ${details.enumName}`;
+      } else if (details.value !== undefined && existingLiterals.some(literal => literal.value === Number(details.value))) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Value ${details.value} is already used by another literal of enum ${details.enumName}`;
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to remove a literal from an enum
+   * @param {Object} details - Details of the literal to remove
+   * @returns {Object} - Metamodel operation
+   */
+  _createRemoveLiteralOperation(details) {
+    const operation = {
+      action: 'removeLiteral',
+      enumName: details.enumName,
+      literalName: details.name,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.enumName) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Enum name is required';
+    } else if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Literal name is required';
+    } else if (!this.loader.findEnumByName(details.enumName)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `Enum ${details.enumName} does not exist`;
+    } else {
+      const existingLiterals = this.loader.getEnumLiterals(details.enumName);
+      const typedAttributes = this._findAttributesTypedBy(details.enumName);
+      const defaultUsers = typedAttributes.filter(attr => attr.defaultValueLiteral === details.name);
+
+      if (!existingLiterals.some(literal => literal.name === details.name)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Literal ${details.name} does not exist in enum ${details.enumName}`;
+      } else if (defaultUsers.length > 0) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Literal ${details.name} is the default value of: ${defaultUsers.map(attr => attr.path).join(', ')}`;
+      } else if (existingLiterals.length === 1 && typedAttributes.length > 0) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Literal ${details.name} is the last literal of ${details.enumName}, which is used as the type of: ${typedAttributes.map(attr => attr.path).join(', ')}`;
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to rename, revalue or move a literal of an enum
+   * @param {Object} details - Details of the literal modification
+   * @returns {Object} - Metamodel operation
+   */
+  _createModifyLiteralOperation(details) {
+    const operation = {
+      action: 'modifyLiteral',
+      enumName: details.enumName,
+      literalName: details.name,
+      newName: details.newName,
+      newValue: details.newValue,
+      newPosition: details.newPosition,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.enumName) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Enum name is required';
+    } else if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Literal name is required';
+    } else if (!this.loader.findEnumByName(details.enumName)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `Enum ${details.enumName} does not exist`;
+    } else {
+      const existingLiterals = this.loader.getEnumLiterals(details.enumName);
+      const others = existingLiterals.filter(literal => literal.name !== details.name);
+
+      if (others.length === existingLiterals.length) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Literal ${details.name} does not exist in enum ${details.enumName}`;
+      } else if (details.newName && others.some(literal => literal.name === details.newName)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Literal ${details.newName} already exists in enum ${details.enumName}`;
+      } else if (details.newValue !== undefined && others.some(literal => literal.value === Number(details.newValue))) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Value ${details.newValue} is already used by another literal of enum ${details.enumName}`;
+      } else if (details.newPosition !== undefined && (details.newPosition < 0 || details.newPosition >= existingLiterals.length)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Position ${details.newPosition} is outside enum ${details.enumName}`;
+      } else if (details.newName) {
+        // Renaming a literal used as a default would leave the default dangling
+        const defaultUsers = this._findAttributesTypedBy(details.enumName)
+          .filter(attr => attr.defaultValueLiteral === details.name);
+        if (defaultUsers.length > 0) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `Literal ${details.name} is the default value of: ${defaultUsers.map(attr => attr.path).join(', ')}`;
+        }
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to add a subpackage
+   * @param {Object} details - Details of the package to add; a qualified name nests it (e.g. hr.payroll)
+   * @returns {Object} - Metamodel operation
+   */
+  _createAddPackageOperation(details) {
+    const operation = {
+      action: 'addPackage',
+      packageName: details.name,
+      nsURI: details.nsURI || null,
+      nsPrefix: details.nsPrefix || null,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Package name is required';
+    } else {
+      const { packageName: parentName, simpleName } = this.loader.splitQualifiedName(details.name);
+      const parentPackage = parentName ? this.loader.findPackageByName(parentName) : this.loader.rootPackage;
+      const nsPrefix = details.nsPrefix || simpleName;
+
+      if (!parentPackage) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Parent package ${parentName} does not exist`;
+      } else if (parentPackage.get('eSubPackages').find(subpackage => subpackage.get('name') === simpleName)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Package ${details.name} already exists`;
+      } else if (this.loader.getAllPackages().find(ePackage => ePackage.get('nsPrefix') === nsPrefix)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Namespace prefix ${nsPrefix} is already used by another package`;
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to remove a subpackage
+   * @param {Object} details - Details of the package to remove
+   * @returns {Object} - Metamodel operation
+   */
+  _createRemovePackageOperation(details) {
+    const operation = {
+      action: 'removePackage',
+      packageName: details.name,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Package name is required';
+    } else {
+      const targetPackage = this.loader.findPackageByName(details.name);
+      if (!targetPackage) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Package ${details.name} does not exist`;
+      } else if (targetPackage === this.loader.rootPackage) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Package ${details.name} is the main package of the metamodel`;
+      } else {
+        // Check if the package or its subpackages still hold classifiers
+        const nestedPackages = this.loader.getAllPackages().filter(ePackage =>
+          ePackage === targetPackage || this.loader.getQualifiedName(ePackage).startsWith(`${this.loader.getQualifiedName(targetPackage)}.`)
+        );
+        const classifiers = nestedPackages.flatMap(ePackage => ePackage.get('eClassifiers').map(classifier => classifier.get('name')));
+        if (classifiers.length > 0) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = `Package ${details.name} still contains: ${classifiers.join(', ')}`;
+        }
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to add a custom datatype
+   * @param {Object} details - Details of the datatype to add; a qualified name places it in a subpackage
+   * @returns {Object} - Metamodel operation
+   */
+  _createAddDataTypeOperation(details) {
+    const operation = {
+      action: 'addDataType',
+      dataTypeName: details.name,
+      instanceClassName: details.instanceClassName || null,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'DataType name is required';
+    } else if (this.loader.findClassifierByName(details.name)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `Classifier ${details.name} already exists`;
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to remove a custom datatype
+   * @param {Object} details - Details of the datatype to remove
+   * @returns {Object} - Metamodel operation
+   */
+  _createRemoveDataTypeOperation(details) {
+    const operation = {
+      action: 'removeDataType',
+      dataTypeName: details.name,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'DataType name is required';
+    } else if (!this.loader.findDataTypeByName(details.name)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `DataType ${details.name} does not exist`;
+    } else {
+      // Check if datatype is used as an attribute type
+      const typedAttributes = this._findAttributesTypedBy(details.name);
+      if (typedAttributes.length > 0) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `DataType ${details.name} is used as the type of: ${typedAttributes.map(attr => attr.path).join(', ')}`;
+      } else if (this._findOperationsUsing(details.name).length > 0) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `DataType ${details.name} is used in the signatures of: ${this._findOperationsUsing(details.name).join(', ')}`;
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to rename a custom datatype or change its instance class
+   * @param {Object} details - Details of the datatype modification
+   * @returns {Object} - Metamodel operation
+   */
+  _createModifyDataTypeOperation(details) {
+    const operation = {
+      action: 'modifyDataType',
+      dataTypeName: details.name,
+      newName: details.newName,
+      newInstanceClassName: details.newInstanceClassName,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'DataType name is required';
+    } else if (!this.loader.findDataTypeByName(details.name)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `DataType ${details.name} does not exist`;
+    } else if (details.newName && this.loader.findClassifierByName(details.newName)) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = `Classifier ${details.newName} already exists`;
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to add an EOperation to a class
+   * @param {Object} details - Details of the EOperation to add: name, returnType (omit for no result),
+   *   parameters [{ name, type, lowerBound, upperBound }] and bounds of the result
+   * @returns {Object} - Metamodel operation
+   */
+  _createAddOperationOperation(details) {
+    const operation = {
+      action: 'addOperation',
+      className: details.className,
+      operationName: details.name,
+      returnType: details.returnType || null,
+      parameters: details.parameters || [],
+      lowerBound: details.lowerBound || 0,
+      upperBound: details.upperBound || 1,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.className) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Class name is required';
+    } else if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Operation name is required';
+    } else {
+      const targetClass = this.loader.findClassByName(details.className);
+      if (!targetClass) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Class ${details.className} does not exist`;
+      } else if (this._findOwnOperation(targetClass, details.name)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Operation ${details.name} already exists in class ${details.className}`;
+      } else {
+        const signatureProblem = this._findSignatureProblem(operation.returnType, operation.parameters);
+        if (signatureProblem) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = signatureProblem;
+        }
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to remove an EOperation from a class
+   * @param {Object} details - Details of the EOperation to remove
+   * @returns {Object} - Metamodel operation
+   */
+  _createRemoveOperationOperation(details) {
+    const operation = {
+      action: 'removeOperation',
+      className: details.className,
+      operationName: details.name,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.className) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Class name is required';
+    } else if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Operation name is required';
+    } else {
+      const targetClass = this.loader.findClassByName(details.className);
+      if (!targetClass) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Class ${details.className} does not exist`;
+      } else if (!this._findOwnOperation(targetClass, details.name)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = this._describeMissingOperation(targetClass, details.name);
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Create an operation to rename an EOperation or change its signature
+   * @param {Object} details - Details of the EOperation modification; newReturnType null removes the result
+   * @returns {Object} - Metamodel operation
+   */
+  _createModifyOperationOperation(details) {
+    const operation = {
+      action: 'modifyOperation',
+      className: details.className,
+      operationName: details.name,
+      newName: details.newName,
+      newReturnType: details.newReturnType,
+      newParameters: details.newParameters,
+      newLowerBound: details.newLowerBound,
+      newUpperBound: details.newUpperBound,
+      ambiguous: false,
+      ambiguityReason: null
+    };
+
+    // Check for ambiguities
+    if (!details.className) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Class name is required';
+    } else if (!details.name) {
+      operation.ambiguous = true;
+      operation.ambiguityReason = 'Operation name is required';
+    } else {
+      const targetClass = this.loader.findClassByName(details.className);
+      if (!targetClass) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Class ${details.className} does not exist`;
+      } else if (!this._findOwnOperation(targetClass, details.name)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = this._describeMissingOperation(targetClass, details.name);
+      } else if (details.newName && details.newName !== details.name && this._findOwnOperation(targetClass, details.newName)) {
+        operation.ambiguous = true;
+        operation.ambiguityReason = `Operation ${details.newName} already exists in class ${details.className}`;
+      } else {
+        const signatureProblem = this._findSignatureProblem(operation.newReturnType, operation.newParameters || []);
+        if (signatureProblem) {
+          operation.ambiguous = true;
+          operation.ambiguityReason = signatureProblem;
+        }
+      }
+    }
+
+    return operation;
+  }
+
+  /**
+   * Find an operation among the own operations of a class
+   * @param {Object} eClass - The EClass to search
+   * @param {string} operationName - Name of the operation
+   * @returns {Object|null} - The EOperation, or null if the class does not declare it
+   */
+  _findOwnOperation(eClass, operationName) {
+    return eClass.get('eOperations').find(candidate => candidate.get('name') === operationName) || null;
+  }
+
+  /**
+   * Explain why an operation cannot be found among the own operations of a class
+   * @param {Object} eClass - The EClass that was searched
+   * @param {string} operationName - Name of the operation
+   * @returns {string} - Ambiguity reason naming the class that declares it, if it is inherited
+   */
+  _describeMissingOperation(eClass, operationName) {
+    const className = eClass.get('name');
+    const inherited = this.loader.findOperation(eClass, operationName);
+
+    if (inherited) {
+      return `Operation ${operationName} is inherited by class ${className} from ${inherited.eContainer.get('name')}; change it there instead`;
+    }
+    return `Operation ${operationName} does not exist in class ${className}`;
+  }
+
+  /**
+   * Check the return type and parameters of an operation signature
+   * @param {string} returnType - Name of the return type, if any
+   * @param {Array} parameters - Parameters [{ name, type, lowerBound, upperBound }]
+   * @returns {string|null} - Description of the problem, or null if the signature can be created
+   */
+  _findSignatureProblem(returnType, parameters) {
+    if (returnType && !this.loader.resolveType(returnType)) {
+      return `Return type ${returnType} does not exist`;
+    }
+
+    const names = parameters.map(parameter => parameter.name);
+    for (const parameter of parameters) {
+      if (!parameter.name) {
+        return 'Parameter name is required';
+      }
+      if (names.indexOf(parameter.name) !== names.lastIndexOf(parameter.name)) {
+        return `Parameter ${parameter.name} is listed more than once`;
+      }
+      if (!parameter.type || !this.loader.resolveType(parameter.type)) {
+        return `Type ${parameter.type} of parameter ${parameter.name} does not exist`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find operations whose signature uses a classifier
+   * @param {string} classifierName - Name of the class, enum or datatype to check
+   * @param {Object} [ownerClass] - Class whose own operations are ignored, e.g. because it is removed with them
+   * @returns {Array} - Array of operation paths (e.g. Order.addItem)
+   */
+  _findOperationsUsing(classifierName, ownerClass = null) {
+    return this.loader.getOperationsUsing(classifierName)
+      .filter(eOperation => eOperation.eContainer !== ownerClass)
+      .map(eOperation => `${eOperation.eContainer.get('name')}.${eOperation.get('name')}`);
+  }
+
+  /**
+   * Copy the attribute properties given in change details
+   * @param {Object} details - Details of the change
+   * @param {Function} fieldName - Maps a property name to its field in the details (e.g. iD -> newID)
+   * @returns {Object} - The given properties, keyed by field name
+   */
+  _pickAttributeProperties(details, fieldName) {
+    const properties = {};
+    ATTRIBUTE_PROPERTIES.forEach(name => {
+      if (details[fieldName(name)] !== undefined) {
+        properties[fieldName(name)] = details[fieldName(name)];
+      }
+    });
+    return properties;
+  }
+
+  /**
+   * Check the type, default value and ID flag of an added or modified attribute
+   * @param {Object} targetClass - The EClass declaring the attribute
+   * @param {string} attributeName - Name of the attribute
+   * @param {Object|string} type - The type, or the name of a datatype, enum or Ecore built-in type
+   * @param {string} defaultValueLiteral - The default value, if any
+   * @param {boolean} becomesID - True if the attribute is made the ID attribute
+   * @returns {string|null} - Description of the problem, or null if the attribute is consistent
+   */
+  _findAttributePropertyProblem(targetClass, attributeName, type, defaultValueLiteral, becomesID) {
+    const dataType = this.loader.resolveDataType(type);
+    if (!dataType) {
+      return `Type ${type} does not exist`;
+    }
+
+    if (defaultValueLiteral !== undefined && defaultValueLiteral !== null) {
+      if (dataType.isTypeOf('EEnum')) {
+        const literalNames = this.loader.getEnumLiterals(dataType).map(literal => literal.name);
+        if (!literalNames.includes(defaultValueLiteral)) {
+          return `Default value ${defaultValueLiteral} is not a literal of ${dataType.get('name')}`;
+        }
+      } else if (!InstanceMigrator.isValidLiteral(defaultValueLiteral, dataType.get('name'))) {
+        return `Default value ${defaultValueLiteral} is not a valid ${dataType.get('name')}`;
+      }
+    }
+
+    if (becomesID) {
+      // EMF allows a single ID attribute per object, so check the whole hierarchy
+      const classes = [targetClass, ...this.loader.getSubClasses(targetClass)];
+      const idAttribute = classes
+        .flatMap(cls => cls.get('eAllStructuralFeatures'))
+        .find(feature => feature.isKindOf(Ecore.EAttribute) && feature.get('name') !== attributeName &&
+          this.loader.getAttributeProperties(feature).iD);
+      if (idAttribute) {
+        return `Class ${idAttribute.eContainer.get('name')} already has the ID attribute ${idAttribute.get('name')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find attributes whose type is a specific enum or datatype
+   * @param {string} classifierName - Name of the enum or datatype to check
+   * @returns {Array} - Array of { className, name, path, defaultValueLiteral }
+   */
+  _findAttributesTypedBy(classifierName) {
+    const attributes = [];
+    const targetType = this.loader.findClassifierByName(classifierName);
+
+    this.loader.getAllClasses().forEach(cls => {
+      cls.get('eStructuralFeatures').each(feature => {
+        const eType = feature.get('eType');
+        if (feature.isKindOf(Ecore.EAttribute) && eType && eType === targetType) {
+          attributes.push({
+            className: cls.get('name'),
+            name: feature.get('name'),
+            path: `${cls.get('name')}.${feature.get('name')}`,
+            defaultValueLiteral: feature.get('defaultValueLiteral')
+          });
+        }
+      });
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Find classes that reference a specific class
+   * @param {string} className - Name of the class to check
+   * @returns {Array} - Array of class names that reference the given class
+   */
+  _findClassesReferencingClass(className) {
+    const referencingClasses = [];
+    const targetClass = this.loader.findClassByName(className);
+    const allClasses = this.loader.getAllClasses();
+
+    allClasses.forEach(cls => {
+      cls.get('eStructuralFeatures').each(feature => {
+        if (feature.isKindOf(Ecore.EReference) && feature.get('eType') === targetClass) {
+          referencingClasses.push(cls.get('name'));
+        }
+      });
+    });
+
+    return referencingClasses;
+  }
+
+  /**
+   * Resolve ambiguities in a metamodel operation
+   *
+   * The resolution is either the id of one of the operation's resolutionOptions, an
+   * object with an optionId and values for the option's parameters (e.g.
+   * { optionId: 'retarget', retargetTo: 'Party' }), or plain operation fields to set.
+   * Choosing a cancel option drops the operation.
+   *
+   * @param {number} operationIndex - Index of the operation in the evolutionOperations array
+   * @param {string|Object} resolution - Option id or resolution details
+   * @returns {Object} - Updated operation
+   */
+  resolveAmbiguity(operationIndex, resolution) {
+    const operation = this.evolutionOperations[operationIndex];
+    if (!operation) {
+      throw new Error(`Operation at index ${operationIndex} not found`);
+    }
+
+    if (!operation.ambiguous) {
+      console.log(`Operation at index ${operationIndex} is not ambiguous`);
+      return operation;
+    }
+
+    const { option, fields } = this._selectResolutionOption(operation, resolution);
+
+    // Apply resolution to the metamodelOperation details
+    if (operation.metamodelOperation) {
+      Object.assign(operation.metamodelOperation, fields);
+    }
+
+    // Keep the decision so the changelog can reproduce it
+    operation.resolution = { ...operation.resolution, ...fields };
+    operation.resolutionOptionId = option ? option.id : null;
+    operation.resolutionLabel = option ? option.label : null;
+    operation.resolvedAmbiguityReason = operation.ambiguityReason;
+
+    // Mark as resolved
+    operation.ambiguous = false;
+    operation.ambiguityReason = null;
+    operation.resolutionOptions = [];
+    operation.status = option && option.cancel ? 'cancelled' : 'pending'; // Move back to pending state after resolution
+    if (operation.metamodelOperation) {
+      operation.metamodelOperation.ambiguous = false;
+      this._planDependentChanges(operation.metamodelOperation);
+    }
+
+    // The resolution may change what the operation does to existing instances
+    this._classifyImpact(operation);
+
+    // Move from ambiguities to pending changes if not already there
+    const ambiguityIndex = this.ambiguities.findIndex(op => op === operation);
+    if (ambiguityIndex !== -1) {
+      this.ambiguities.splice(ambiguityIndex, 1);
+      if (operation.status === 'pending' && !this.pendingChanges.includes(operation)) {
+        this.pendingChanges.push(operation);
+      }
+    }
+    this.revision++;
+
+    return operation;
+  }
+
+  /**
+   * Look up the resolution option chosen for an ambiguous operation
+   * @param {Object} operation - The ambiguous operation
+   * @param {string|Object} resolution - Option id, { optionId, ...parameters } or plain operation fields
+   * @returns {Object} - { option, fields }; option is null for plain operation fields
+   */
+  _selectResolutionOption(operation, resolution) {
+    const { optionId, ...values } = typeof resolution === 'string' ? { optionId: resolution } : resolution;
+    if (!optionId) {
+      return { option: null, fields: values };
+    }
+
+    const option = operation.resolutionOptions.find(candidate => candidate.id === optionId);
+    if (!option) {
+      const known = operation.resolutionOptions.map(candidate => candidate.id).join(', ');
+      throw new Error(`Unknown resolution option ${optionId}; available options: ${known}`);
+    }
+
+    const fields = { ...option.resolution };
+    option.parameters.forEach(parameter => {
+      if (values[parameter] !== undefined) {
+        fields[parameter] = values[parameter];
+      }
+      if (fields[parameter] === undefined || fields[parameter] === null) {
+        throw new Error(`Resolution option ${optionId} requires a value for ${parameter}`);
+      }
+    });
+
+    return { option, fields };
+  }
+
+  /**
+   * Apply all pending changes to the metamodel as one batch
+   *
+   * The batch is all-or-nothing: if any operation fails, the metamodel is rolled back
+   * to its state before the batch. The failed operation is dropped from the pending
+   * changes while the others stay pending, so the rest can be applied again.
+   *
+   * @returns {Object} - Result of the application
    */
   applyPendingChanges() {
     const result = {
       success: true,
       appliedChanges:[],
       failedChanges:[],
-      errors:[]
+      queuedChanges:[], // Operations of the next phase of queued proposals
+      errors:[],
+      validation: null
     };
 
     // Check if there are ambiguities
@@ -567,11 +1857,20 @@ class MetamodelEvolutionManager {
       return result;
     }
 
-    // Apply each pending change
-    for (const operation of this.pendingChanges) {
+    // An empty batch would only add a no-op undo step and timeline entry
+    if (this.pendingChanges.length === 0) {
+      result.queuedChanges = this._interpretNextPhase();
+      return result;
+    }
+
+    const batch = [...this.pendingChanges];
+    const before = this.loader.createSnapshot();
+    this.revision++;
+
+    // Apply each pending change, stopping at the first failure
+    for (const operation of batch) {
       try {
         this._applyOperation(operation);
-        operation.status = 'applied';
         result.appliedChanges.push(operation);
       } catch (error) {
         operation.status = 'failed';
@@ -579,13 +1878,283 @@ class MetamodelEvolutionManager {
         result.failedChanges.push(operation);
         result.errors.push(`Failed to apply operation: ${error.message}`);
         result.success = false;
+        break;
+      }
+    }
+
+    if (!result.success) {
+      // Roll back the whole batch
+      this.loader.restoreSnapshot(before);
+      result.errors.push(`Rolled back ${result.appliedChanges.length} operations of the batch`);
+      this.batchHistory.push({ operations: batch, before, after: null, time: new Date().toISOString(), errors: [...result.errors] });
+      result.appliedChanges = [];
+      this.pendingChanges = batch.filter(operation => operation.status !== 'failed');
+      return result;
+    }
+
+    batch.forEach(operation => {
+      operation.status = 'applied';
+    });
+    const appliedBatch = { operations: batch, before, after: this.loader.createSnapshot(), time: new Date().toISOString() };
+    this.undoStack.push(appliedBatch);
+    this.batchHistory.push(appliedBatch);
+    this.redoStack = [];
+
+    // Clear pending changes
+    this.pendingChanges = [];
+
+    result.queuedChanges = this._interpretNextPhase();
+
+    // Check that the batch left a well-formed metamodel
+    result.validation = this.validateMetamodel();
+    if (!result.validation.valid) {
+      console.warn(`Metamodel has ${result.validation.errors} well-formedness error(s) after applying the batch`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Interpret the next phase of queued proposals, now that the classes it uses exist
+   * @returns {Array} - The operations interpreted from the phase, empty if no phase is left
+   */
+  _interpretNextPhase() {
+    if (this.deferredChanges.length === 0) {
+      return [];
+    }
+    return this.deferredChanges.shift().map(proposal => this.interpretModelChange(proposal));
+  }
+
+  /**
+   * Check the well-formedness of the current metamodel
+   * @returns {Object} - { valid, errors, warnings, diagnostics } as returned by MetamodelValidator.validate
+   */
+  validateMetamodel() {
+    return new MetamodelValidator(this.loader).validate();
+  }
+
+  /**
+   * Preview the metamodel that applyPendingChanges() would produce, without changing it
+   *
+   * The pending changes are applied to a copy of the current resource, so the live
+   * loader and its rootPackage stay untouched.
+   *
+   * @returns {Object} - Preview with the evolved metamodel report, a diff against the current one and its validation
+   */
+  previewPendingChanges() {
+    const preview = {
+      success: true,
+      failedChanges:[],
+      errors:[],
+      ambiguities: this.ambiguities.length,
+      report: null,
+      diff: null,
+      validation: null
+    };
+
+    const scratch = new MetamodelEvolutionManager();
+    scratch.loader.loadFromContent(this.loader.createSnapshot(), 'preview.ecore');
+
+    for (const operation of this.pendingChanges) {
+      try {
+        scratch._applyOperation(operation);
+      } catch (error) {
+        preview.success = false;
+        preview.failedChanges.push(operation);
+        preview.errors.push(`Failed to apply operation: ${error.message}`);
+        break;
       }
     }
 
-    // Clear pending changes
-    this.pendingChanges = [];
+    preview.report = scratch.loader.generateMetamodelReport();
+    preview.diff = MetamodelReportDiff.diff(this.loader.generateMetamodelReport(), preview.report);
+    preview.validation = scratch.validateMetamodel();
+
+    return preview;
+  }
+
+  /**
+   * List the batches of the evolution in the order they were attempted, followed by the queued changes
+   * @returns {Array} - [{ index, status, time, operations, errors }]; status is 'applied', 'undone',
+   *   'failed' or, for the queued changes, 'pending'
+   */
+  getEvolutionTimeline() {
+    const timeline = this.batchHistory.map((batch, index) => ({
+      index,
+      status: batch.after === null ? 'failed' : this.undoStack.includes(batch) ? 'applied' : 'undone',
+      time: batch.time,
+      operations: batch.operations,
+      errors: batch.errors || []
+    }));
+
+    const queued = [...this.pendingChanges, ...this.ambiguities];
+    if (queued.length > 0) {
+      timeline.push({ index: timeline.length, status: 'pending', time: null, operations: queued, errors: [] });
+    }
+
+    return timeline;
+  }
+
+  /**
+   * Compare the metamodel before and after an entry of the evolution timeline
+   *
+   * Failed batches were rolled back, so their metamodel is the same before and after.
+   * The entry of the queued changes is compared with the preview of the pending changes.
+   * Results are cached, so calling this again until the next change is cheap.
+   *
+   * @param {number} index - Index of the entry in getEvolutionTimeline()
+   * @returns {Object} - { before, after, diff, errors } with the metamodel reports and their MetamodelReportDiff
+   */
+  compareTimelineEntry(index) {
+    const batch = this.batchHistory[index];
+    if (!batch) {
+      if (index !== this.batchHistory.length || this.pendingChanges.length + this.ambiguities.length === 0) {
+        throw new Error(`Timeline entry ${index} not found`);
+      }
+      if (!this.queuedComparison || this.queuedComparison.revision !== this.revision) {
+        const preview = this.previewPendingChanges();
+        const comparison = { before: this.loader.generateMetamodelReport(), after: preview.report, diff: preview.diff, errors: preview.errors };
+        this.queuedComparison = { revision: this.revision, comparison };
+      }
+      return this.queuedComparison.comparison;
+    }
+
+    if (!this.batchComparisons.has(batch)) {
+      const before = this._snapshotReport(batch.before);
+      const after = batch.after === null ? before : this._snapshotReport(batch.after);
+      this.batchComparisons.set(batch, { before, after, diff: MetamodelReportDiff.diff(before, after), errors: batch.errors || [] });
+    }
+    return this.batchComparisons.get(batch);
+  }
+
+  /**
+   * Generate the report of a metamodel snapshot without touching the loaded metamodel
+   * @param {string} snapshot - XMI from MetamodelLoader.createSnapshot
+   * @returns {Object} - Report as returned by MetamodelLoader.generateMetamodelReport
+   */
+  _snapshotReport(snapshot) {
+    const loader = new MetamodelLoader(this.loader.storage);
+    loader.loadFromContent(snapshot, 'history.ecore');
+    return loader.generateMetamodelReport();
+  }
+
+  /**
+   * Check whether there is an applied batch that can be undone
+   * @returns {boolean} - True if undo() has something to revert
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is an undone batch that can be redone
+   * @returns {boolean} - True if redo() has something to reapply
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Revert the most recently applied batch
+   *
+   * Queued changes are interpreted again against the restored metamodel (see _requeueChanges).
+   *
+   * @returns {Object} - Result with the operations of the reverted batch and the requeued operations
+   */
+  undo() {
+    const batch = this.undoStack[this.undoStack.length - 1];
+    if (!batch) {
+      return { success: false, operations: [], requeued: [], errors: ['Nothing to undo'] };
+    }
+
+    // The batch stays on the undo stack if its snapshot cannot be restored
+    const error = this._restoreBatchSnapshot(batch.before, batch.after);
+    if (error) {
+      return { success: false, operations: [], requeued: [], errors: [`Cannot undo the batch: ${error}`] };
+    }
+    this.undoStack.pop();
+    this.revision++;
+    batch.operations.forEach(operation => {
+      operation.status = 'undone';
+    });
+    this.redoStack.push(batch);
+
+    return { success: true, operations: batch.operations, requeued: this._requeueChanges(), errors: [] };
+  }
+
+  /**
+   * Reapply the most recently undone batch
+   *
+   * Queued changes are interpreted again against the restored metamodel (see _requeueChanges).
+   *
+   * @returns {Object} - Result with the operations of the reapplied batch and the requeued operations
+   */
+  redo() {
+    const batch = this.redoStack[this.redoStack.length - 1];
+    if (!batch) {
+      return { success: false, operations: [], requeued: [], errors: ['Nothing to redo'] };
+    }
+
+    // The batch stays on the redo stack if its snapshot cannot be restored
+    const error = this._restoreBatchSnapshot(batch.after, batch.before);
+    if (error) {
+      return { success: false, operations: [], requeued: [], errors: [`Cannot redo the batch: ${error}`] };
+    }
+    this.redoStack.pop();
+    this.revision++;
+    batch.operations.forEach(operation => {
+      operation.status = 'applied';
+    });
+    this.undoStack.push(batch);
 
-    return result;
+    return { success: true, operations: batch.operations, requeued: this._requeueChanges(), errors: [] };
+  }
+
+  /**
+   * Restore a snapshot of a batch, going back to the current metamodel if that fails
+   * @param {string} snapshot - Snapshot to restore
+   * @param {string} current - Snapshot of the current metamodel
+   * @returns {string|null} - Error message, or null if the snapshot was restored
+   */
+  _restoreBatchSnapshot(snapshot, current) {
+    try {
+      this.loader.restoreSnapshot(snapshot);
+      return null;
+    } catch (error) {
+      this.loader.restoreSnapshot(current);
+      return error.message;
+    }
+  }
+
+  /**
+   * Interpret the pending and ambiguous operations again after the metamodel was restored
+   *
+   * They were checked against the metamodel that undo or redo just replaced, so they are
+   * dropped and their model changes interpreted anew, in the order they were queued.
+   * Recorded resolutions are re-applied when the restored metamodel raises the same
+   * ambiguity. Deferred phases are still uninterpreted proposals and stay as they are.
+   *
+   * @returns {Array} - The operations that replace the queued ones
+   */
+  _requeueChanges() {
+    const queued = this.evolutionOperations.filter(op => this.pendingChanges.includes(op) || this.ambiguities.includes(op));
+    this.evolutionOperations = this.evolutionOperations.filter(op => !queued.includes(op));
+    this.pendingChanges = [];
+    this.ambiguities = [];
+
+    return queued.map(op => {
+      const metamodelOp = op.metamodelOperation;
+      // Proposals inferred from an instance keep the doubt they were queued with
+      const proposal = metamodelOp && metamodelOp.proposed
+        ? { ambiguous: true, ambiguityReason: metamodelOp.ambiguityReason }
+        : {};
+      const operation = this.interpretModelChange({ type: op.type, element: op.element, details: op.details, ...proposal });
+      this._reapplyResolution(operation, {
+        resolution: op.resolution || null,
+        ambiguityReason: op.resolvedAmbiguityReason || op.ambiguityReason
+      });
+      return operation;
+    });
   }
 
   /**
@@ -623,6 +2192,55 @@ class MetamodelEvolutionManager {
       case 'modifyReference':
         this._applyModifyReference(metamodelOp);
         break;
+      case 'addOperation':
+        this.loader.addOperation(
+          metamodelOp.className,
+          metamodelOp.operationName,
+          metamodelOp.returnType,
+          metamodelOp.parameters,
+          metamodelOp.lowerBound,
+          metamodelOp.upperBound
+        );
+        break;
+      case 'removeOperation':
+        this._applyRemoveOperation(metamodelOp);
+        break;
+      case 'modifyOperation':
+        this._applyModifyOperation(metamodelOp);
+        break;
+      case 'addEnum':
+        this._applyAddEnum(metamodelOp);
+        break;
+      case 'removeEnum':
+        this._applyRemoveEnum(metamodelOp);
+        break;
+      case 'modifyEnum':
+        this._applyModifyEnum(metamodelOp);
+        break;
+      case 'addLiteral':
+        this._applyAddLiteral(metamodelOp);
+        break;
+      case 'removeLiteral':
+        this._applyRemoveLiteral(metamodelOp);
+        break;
+      case 'modifyLiteral':
+        this._applyModifyLiteral(metamodelOp);
+        break;
+      case 'addPackage':
+        this.loader.createPackage(metamodelOp.packageName, metamodelOp.nsURI, metamodelOp.nsPrefix);
+        break;
+      case 'removePackage':
+        this.loader.removePackage(metamodelOp.packageName);
+        break;
+      case 'addDataType':
+        this.loader.createDataType(metamodelOp.dataTypeName, metamodelOp.instanceClassName);
+        break;
+      case 'removeDataType':
+        this._applyRemoveDataType(metamodelOp);
+        break;
+      case 'modifyDataType':
+        this._applyModifyDataType(metamodelOp);
+        break;
       default:
         throw new Error(`Unknown operation action: ${metamodelOp.action}`);
     }
@@ -633,7 +2251,32 @@ class MetamodelEvolutionManager {
    * @param {Object} operation - The add class operation
    */
   _applyAddClass(operation) {
-    this.loader.createClass(operation.className, operation.superTypes, operation.abstract, operation.interface);
+    if (!operation.merge) {
+      this.loader.createClass(operation.className, operation.superTypes, operation.abstract, operation.interface);
+      return;
+    }
+
+    // Merge into the existing class of that name instead of adding a second one
+    const existingClass = this.loader.findClassByName(operation.className);
+    if (!existingClass) {
+      throw new Error(`Class ${operation.className} not found`);
+    }
+
+    operation.superTypes.forEach(superTypeName => {
+      const superType = this.loader.findClassByName(superTypeName);
+      if (!superType) {
+        throw new Error(`Super type ${superTypeName} not found`);
+      }
+      if (!existingClass.get('eSuperTypes').array().includes(superType)) {
+        existingClass.get('eSuperTypes').add(superType);
+      }
+    });
+    if (operation.abstract || operation.interface) {
+      existingClass.set('abstract', true);
+    }
+    if (operation.interface) {
+      existingClass.set('interface', true);
+    }
   }
 
   /**
@@ -646,7 +2289,8 @@ class MetamodelEvolutionManager {
       operation.attributeName,
       operation.attributeType,
       operation.lowerBound,
-      operation.upperBound
+      operation.upperBound,
+      this._pickAttributeProperties(operation, name => name)
     );
   }
 
@@ -655,13 +2299,15 @@ class MetamodelEvolutionManager {
    * @param {Object} operation - The add reference operation
    */
   _applyAddReference(operation) {
+    const { opposite } = operation;
     this.loader.addReference(
       operation.sourceClassName,
       operation.targetClassName,
       operation.referenceName,
       operation.containment,
       operation.lowerBound,
-      operation.upperBound
+      operation.upperBound,
+      opposite && opposite.create ? opposite : opposite && opposite.name
     );
   }
 
@@ -675,7 +2321,75 @@ class MetamodelEvolutionManager {
       throw new Error(`Class ${operation.className} not found`);
     }
 
-    this.loader.rootPackage.get('eClassifiers').remove(targetClass);
+    if (operation.cascade) {
+      // Plan again, since earlier operations of the batch may have changed the dependents
+      operation.dependentChanges = new MetamodelRemovalPlanner(this.loader).planClassRemoval(targetClass, operation);
+      operation.dependentChanges.forEach(change => this._applyDependentChange(change, targetClass));
+    }
+
+    targetClass.eContainer.get('eClassifiers').remove(targetClass);
+  }
+
+  /**
+   * Apply one change planned by MetamodelRemovalPlanner
+   * @param {Object} change - The dependent change
+   * @param {Object} removedClass - The class being removed
+   */
+  _applyDependentChange(change, removedClass) {
+    const eClass = this.loader.findClassByName(change.className);
+    if (!eClass) {
+      throw new Error(`Class ${change.className} not found`);
+    }
+    const feature = change.featureName
+      ? eClass.get('eStructuralFeatures').find(candidate => candidate.get('name') === change.featureName)
+      : null;
+    if (change.featureName && !feature) {
+      throw new Error(`Feature ${change.featureName} not found in class ${change.className}`);
+    }
+
+    const eOperation = change.operationName ? this._findOwnOperation(eClass, change.operationName) : null;
+    if (change.operationName && !eOperation) {
+      throw new Error(`Operation ${change.operationName} not found in class ${change.className}`);
+    }
+
+    switch (change.kind) {
+      case 'removeReference':
+      case 'removeOpposite':
+        eClass.get('eStructuralFeatures').remove(feature);
+        break;
+      case 'removeOperation':
+        eClass.get('eOperations').remove(eOperation);
+        break;
+      case 'retargetOperation': {
+        const newType = this.loader.findClassByName(change.target);
+        if (!newType || newType === removedClass) {
+          throw new Error(`Class ${change.target} cannot replace ${removedClass.get('name')} in the signature of ${change.operationName}`);
+        }
+        [eOperation, ...eOperation.get('eParameters').array()]
+          .filter(typedElement => typedElement.get('eType') === removedClass)
+          .forEach(typedElement => typedElement.set('eType', newType));
+        break;
+      }
+      case 'retargetReference': {
+        const newTarget = this.loader.findClassByName(change.target);
+        if (!newTarget || newTarget === removedClass) {
+          throw new Error(`Class ${change.target} cannot replace ${removedClass.get('name')} as reference target`);
+        }
+        feature.set('eType', newTarget);
+        break;
+      }
+      case 'unsetOpposite':
+        feature.set('eOpposite', null);
+        break;
+      case 'rewireSuperTypes': {
+        const eSuperTypes = eClass.get('eSuperTypes');
+        eSuperTypes.clear();
+        change.superTypes.forEach(superTypeName => eSuperTypes.add(this.loader.findClassByName(superTypeName)));
+        break;
+      }
+      default:
+        throw new Error(`Unknown dependent change: ${change.kind}`);
+    }
   }
 
   /**
@@ -729,6 +2443,8 @@ class MetamodelEvolutionManager {
       throw new Error(`Reference ${operation.referenceName} not found in class ${operation.className}`);
     }
 
+    // The opposite end stays, but no longer points to the removed reference
+    this.loader.unsetOpposite(referenceToRemove);
     eStructuralFeatures.remove(referenceToRemove);
   }
 
@@ -753,6 +2469,15 @@ class MetamodelEvolutionManager {
 
     if (operation.newInterface !== undefined) {
       targetClass.set('interface', operation.newInterface);
+      // Interfaces are always abstract
+      if (operation.newInterface) {
+        targetClass.set('abstract', true);
+      }
+    }
+
+    // Move the class last so the rename is checked against its new package
+    if (operation.newPackage) {
+      this.loader.moveClassifier(targetClass, operation.newPackage);
     }
 
     // Update super types if provided
@@ -801,8 +2526,8 @@ class MetamodelEvolutionManager {
     }
 
     if (operation.newType) {
-      // If it's a string, assume it's one of Ecore's built-in types
-      const newType = typeof operation.newType === 'string' ? Ecore[operation.newType] : operation.newType;
+      // A string names a datatype or enum of the metamodel, or one of Ecore's built-in types
+      const newType = this.loader.resolveDataType(operation.newType);
       if (!newType) {
         throw new Error(`Type ${operation.newType} not found`);
       }
@@ -816,6 +2541,12 @@ class MetamodelEvolutionManager {
     if (operation.newUpperBound !== undefined) {
       attributeToModify.set('upperBound', operation.newUpperBound);
     }
+
+    const properties = {};
+    ATTRIBUTE_PROPERTIES.forEach(name => {
+      properties[name] = operation[`new${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+    });
+    this.loader.setAttributeProperties(attributeToModify, properties);
   }
 
   /**
@@ -866,6 +2597,215 @@ class MetamodelEvolutionManager {
     if (operation.newUpperBound !== undefined) {
       referenceToModify.set('upperBound', operation.newUpperBound);
     }
+
+    if (operation.newOpposite === null) {
+      this.loader.unsetOpposite(referenceToModify);
+    } else if (operation.newOpposite) {
+      const opposite = this.loader.findReference(referenceToModify.get('eType'), operation.newOpposite);
+      if (!opposite) {
+        throw new Error(`Reference ${operation.newOpposite} not found in class ${referenceToModify.get('eType').get('name')}`);
+      }
+      this.loader.setOpposite(referenceToModify, opposite);
+    }
+  }
+
+  /**
+   * Apply an add enum operation
+   * @param {Object} operation - The add enum operation
+   */
+  _applyAddEnum(operation) {
+    this.loader.createEnum(operation.enumName, operation.literals);
+  }
+
+  /**
+   * Apply a remove enum operation
+   * @param {Object} operation - The remove enum operation
+   */
+  _applyRemoveEnum(operation) {
+    const targetEnum = this.loader.findEnumByName(operation.enumName);
+    if (!targetEnum) {
+      throw new Error(`Enum ${operation.enumName} not found`);
+    }
+
+    targetEnum.eContainer.get('eClassifiers').remove(targetEnum);
+  }
+
+  /**
+   * Apply a modify enum operation
+   * @param {Object} operation - The modify enum operation
+   */
+  _applyModifyEnum(operation) {
+    const targetEnum = this.loader.findEnumByName(operation.enumName);
+    if (!targetEnum) {
+      throw new Error(`Enum ${operation.enumName} not found`);
+    }
+
+    if (operation.newLiteralOrder) {
+      this.loader.reorderEnumLiterals(targetEnum, operation.newLiteralOrder);
+    }
+
+    if (operation.newName) {
+      targetEnum.set('name', operation.newName);
+    }
+  }
+
+  /**
+   * Apply an add literal operation
+   * @param {Object} operation - The add literal operation
+   */
+  _applyAddLiteral(operation) {
+    this.loader.addEnumLiteral(
+      operation.enumName,
+      operation.literalName,
+      operation.value === undefined ? undefined : Number(operation.value),
+      operation.position
+    );
+  }
+
+  /**
+   * Apply a remove literal operation
+   * @param {Object} operation - The remove literal operation
+   */
+  _applyRemoveLiteral(operation) {
+    const eLiterals = this._findEnumLiterals(operation.enumName);
+    const literalToRemove = eLiterals.find(literal => literal.get('name') === operation.literalName);
+
+    if (!literalToRemove) {
+      throw new Error(`Literal ${operation.literalName} not found in enum ${operation.enumName}`);
+    }
+
+    eLiterals.remove(literalToRemove);
+  }
+
+  /**
+   * Apply a modify literal operation
+   * @param {Object} operation - The modify literal operation
+   */
+  _applyModifyLiteral(operation) {
+    const eLiterals = this._findEnumLiterals(operation.enumName);
+    const literalToModify = eLiterals.find(literal => literal.get('name') === operation.literalName);
+
+    if (!literalToModify) {
+      throw new Error(`Literal ${operation.literalName} not found in enum ${operation.enumName}`);
+    }
+
+    if (operation.newPosition !== undefined) {
+      const names = eLiterals.map(literal => literal.get('name')).filter(name => name !== operation.literalName);
+      names.splice(operation.newPosition, 0, operation.literalName);
+      this.loader.reorderEnumLiterals(operation.enumName, names);
+    }
+
+    // Update literal properties
+    if (operation.newName) {
+      literalToModify.set('name', operation.newName);
+      if (literalToModify.get('literal') === operation.literalName) {
+        literalToModify.set('literal', operation.newName);
+      }
+    }
+
+    if (operation.newValue !== undefined) {
+      literalToModify.set('value', Number(operation.newValue));
+    }
+  }
+
+  /**
+   * Apply a remove EOperation operation
+   * @param {Object} operation - The remove EOperation operation
+   */
+  _applyRemoveOperation(operation) {
+    const targetClass = this.loader.findClassByName(operation.className);
+    if (!targetClass) {
+      throw new Error(`Class ${operation.className} not found`);
+    }
+
+    const eOperation = this._findOwnOperation(targetClass, operation.operationName);
+    if (!eOperation) {
+      throw new Error(`Operation ${operation.operationName} not found in class ${operation.className}`);
+    }
+
+    targetClass.get('eOperations').remove(eOperation);
+  }
+
+  /**
+   * Apply a modify EOperation operation
+   * @param {Object} operation - The modify EOperation operation
+   */
+  _applyModifyOperation(operation) {
+    const targetClass = this.loader.findClassByName(operation.className);
+    if (!targetClass) {
+      throw new Error(`Class ${operation.className} not found`);
+    }
+
+    const eOperation = this._findOwnOperation(targetClass, operation.operationName);
+    if (!eOperation) {
+      throw new Error(`Operation ${operation.operationName} not found in class ${operation.className}`);
+    }
+
+    if (operation.newReturnType !== undefined) {
+      this.loader.setOperationReturnType(eOperation, operation.newReturnType);
+    }
+
+    if (operation.newParameters) {
+      this.loader.setOperationParameters(eOperation, operation.newParameters);
+    }
+
+    if (operation.newLowerBound !== undefined) {
+      eOperation.set('lowerBound', operation.newLowerBound);
+    }
+
+    if (operation.newUpperBound !== undefined) {
+      eOperation.set('upperBound', operation.newUpperBound);
+    }
+
+    if (operation.newName) {
+      eOperation.set('name', operation.newName);
+    }
+  }
+
+  /**
+   * Apply a remove datatype operation
+   * @param {Object} operation - The remove datatype operation
+   */
+  _applyRemoveDataType(operation) {
+    const targetDataType = this.loader.findDataTypeByName(operation.dataTypeName);
+    if (!targetDataType) {
+      throw new Error(`DataType ${operation.dataTypeName} not found`);
+    }
+
+    targetDataType.eContainer.get('eClassifiers').remove(targetDataType);
+  }
+
+  /**
+   * Apply a modify datatype operation
+   * @param {Object} operation - The modify datatype operation
+   */
+  _applyModifyDataType(operation) {
+    const targetDataType = this.loader.findDataTypeByName(operation.dataTypeName);
+    if (!targetDataType) {
+      throw new Error(`DataType ${operation.dataTypeName} not found`);
+    }
+
+    if (operation.newInstanceClassName !== undefined) {
+      targetDataType.set('instanceClassName', operation.newInstanceClassName);
+    }
+
+    if (operation.newName) {
+      targetDataType.set('name', operation.newName);
+    }
+  }
+
+  /**
+   * Get the literal list of an enum
+   * @param {string} enumName - Name of the enum
+   * @returns {Object} - The eLiterals EList
+   */
+  _findEnumLiterals(enumName) {
+    const targetEnum = this.loader.findEnumByName(enumName);
+    if (!targetEnum) {
+      throw new Error(`Enum ${enumName} not found`);
+    }
+
+    return targetEnum.get('eLiterals');
   }
 
   /**
@@ -886,39 +2826,256 @@ class MetamodelEvolutionManager {
       totalOperations: this.evolutionOperations.length,
       pendingChanges: this.pendingChanges.length,
       ambiguities: this.ambiguities.length,
+      impact: this._aggregateImpact(),
       operations: this.evolutionOperations.map(op => ({
         type: op.type,
         element: op.element,
         details: op.details,
         status: op.status,
         ambiguous: op.ambiguous,
-        ambiguityReason: op.ambiguityReason
+        ambiguityReason: op.ambiguityReason,
+        resolutionOptions: op.resolutionOptions,
+        dependentChanges: op.metamodelOperation ? op.metamodelOperation.dependentChanges || [] : [],
+        impact: op.impact,
+        impactReasons: op.impactReasons
       }))
     };
   }
 
+  /**
+   * Tag an operation as non-breaking, breaking-resolvable or breaking-unresolvable
+   * with respect to existing instances
+   * @param {Object} operation - Interpreted evolution operation
+   */
+  _classifyImpact(operation) {
+    const { impact, impactReasons } = new MetamodelImpactClassifier(this.loader).classify(operation.metamodelOperation);
+    operation.impact = impact;
+    operation.impactReasons = impactReasons;
+  }
+
+  /**
+   * Aggregate the impact tags of all pending, ambiguous and applied operations
+   * @returns {Object} - { rating, counts }; rating is the most severe tag, or 'none' without operations
+   */
+  _aggregateImpact() {
+    const { IMPACT } = MetamodelImpactClassifier;
+    const impacts = this.evolutionOperations
+      .filter(op => op.impact && ['pending', 'applied'].includes(op.status))
+      .map(op => op.impact);
+
+    return {
+      rating: MetamodelImpactClassifier.worst(impacts) || 'none',
+      counts: {
+        [IMPACT.NON_BREAKING]: impacts.filter(impact => impact === IMPACT.NON_BREAKING).length,
+        [IMPACT.RESOLVABLE]: impacts.filter(impact => impact === IMPACT.RESOLVABLE).length,
+        [IMPACT.UNRESOLVABLE]: impacts.filter(impact => impact === IMPACT.UNRESOLVABLE).length
+      }
+    };
+  }
+
+  /**
+   * Export the evolution history as a versioned changelog
+   *
+   * The changelog lists every interpreted operation with its status and ambiguity
+   * resolution, and the applied batches in the order they were applied. Undone
+   * batches are listed as operations only, so replaying yields the current metamodel.
+   *
+   * @returns {Object} - JSON-serializable changelog
+   */
+  exportChangelog() {
+    const indexOf = operation => this.evolutionOperations.indexOf(operation);
+
+    return {
+      format: CHANGELOG_FORMAT,
+      version: CHANGELOG_VERSION,
+      createdAt: new Date().toISOString(),
+      metamodel: {
+        packageName: this.loader.rootPackage ? this.loader.rootPackage.get('name') : null,
+        nsURI: this.loader.rootPackage ? this.loader.rootPackage.get('nsURI') : null
+      },
+      operations: this.evolutionOperations.map((op, index) => ({
+        index,
+        type: op.type,
+        element: op.element,
+        details: op.details,
+        status: op.status,
+        ambiguityReason: op.resolvedAmbiguityReason || op.ambiguityReason,
+        resolution: op.resolution || null,
+        resolutionOptionId: op.resolutionOptionId || null,
+        metamodelOperation: op.metamodelOperation
+      })),
+      batches: this.undoStack.map(batch => batch.operations.map(indexOf))
+    };
+  }
+
+  /**
+   * Save the evolution history as a JSON changelog file
+   * @param {string} filePath - Path of the changelog file
+   * @returns {Object} - The written changelog
+   */
+  saveChangelog(filePath) {
+    const changelog = this.exportChangelog();
+    this.loader.storage.writeText(filePath, JSON.stringify(changelog, null, 2), 'application/json');
+    console.log(`Changelog saved to ${filePath}`);
+    return changelog;
+  }
+
+  /**
+   * Read a changelog file written by saveChangelog
+   * @param {string} filePath - Path of the changelog file
+   * @param {Object} [storage] - Storage backend to read from (see FileStorage)
+   * @returns {Object} - The changelog
+   */
+  static loadChangelog(filePath, storage = FileStorage.getDefault()) {
+    const changelog = JSON.parse(storage.readText(filePath));
+
+    if (changelog.format !== CHANGELOG_FORMAT) {
+      throw new Error(`${filePath} is not a metamodel evolution changelog`);
+    }
+    if (changelog.version > CHANGELOG_VERSION) {
+      throw new Error(`Changelog version ${changelog.version} is newer than the supported version ${CHANGELOG_VERSION}`);
+    }
+
+    return changelog;
+  }
+
+  /**
+   * Replay a changelog against the loaded metamodel
+   *
+   * Each batch is interpreted again, so the ambiguity checks run against this copy of
+   * the metamodel. Recorded resolutions are re-applied when this copy raises the same
+   * ambiguity; a batch that still has an unresolved ambiguity or fails to apply stops
+   * the replay.
+   *
+   * @param {Object|string} changelog - Changelog object or path of a changelog file
+   * @returns {Object} - { success, appliedBatches, errors, warnings }
+   */
+  replayChangelog(changelog) {
+    const log = typeof changelog === 'string' ? MetamodelEvolutionManager.loadChangelog(changelog) : changelog;
+    const result = {
+      success: true,
+      appliedBatches: 0,
+      errors: [],
+      warnings: []
+    };
+
+    if (this.pendingChanges.length > 0 || this.ambiguities.length > 0) {
+      result.success = false;
+      result.errors.push('Apply or discard the pending changes and ambiguities before replaying a changelog');
+      return result;
+    }
+
+    const nsURI = this.loader.rootPackage ? this.loader.rootPackage.get('nsURI') : null;
+    if (log.metamodel && log.metamodel.nsURI && log.metamodel.nsURI !== nsURI) {
+      result.warnings.push(`Changelog was recorded for ${log.metamodel.nsURI}, but the loaded metamodel is ${nsURI}`);
+    }
+
+    for (const [batchIndex, batch] of log.batches.entries()) {
+      batch.forEach(entryIndex => this._replayOperation(log.operations[entryIndex]));
+
+      if (this.ambiguities.length > 0) {
+        result.success = false;
+        this.ambiguities.forEach(op => {
+          result.errors.push(`Batch ${batchIndex + 1}: ${op.type} ${op.element} is ambiguous on this metamodel: ${op.ambiguityReason}`);
+        });
+        return result;
+      }
+
+      const applied = this.applyPendingChanges();
+      if (!applied.success) {
+        result.success = false;
+        applied.errors.forEach(error => result.errors.push(`Batch ${batchIndex + 1}: ${error}`));
+        return result;
+      }
+      result.appliedBatches++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Interpret a changelog entry again and re-apply its recorded resolution
+   * @param {Object} entry - Operation entry of a changelog
+   */
+  _replayOperation(entry) {
+    const operation = this.interpretModelChange({ type: entry.type, element: entry.element, details: entry.details });
+    this._reapplyResolution(operation, entry);
+  }
+
+  /**
+   * Re-apply a recorded resolution to an operation that was interpreted again
+   * @param {Object} operation - The newly interpreted operation
+   * @param {Object} entry - { resolution, ambiguityReason } as recorded in a changelog entry
+   */
+  _reapplyResolution(operation, entry) {
+    if (!entry.resolution) {
+      return;
+    }
+
+    if (operation.ambiguous) {
+      // A resolution only answers the ambiguity it was recorded for
+      if (operation.ambiguityReason === entry.ambiguityReason) {
+        this.resolveAmbiguity(this.evolutionOperations.indexOf(operation), entry.resolution);
+      }
+    } else if (operation.metamodelOperation) {
+      // The decision was part of the recorded session even if this copy needs no resolution
+      Object.assign(operation.metamodelOperation, entry.resolution);
+      operation.resolution = { ...entry.resolution };
+    }
+  }
+
   /**
    * Model co-evolution - adapt models to match the evolved metamodel
-   * @param {string} modelPath - Path to the model file
-   * @param {string} outputPath - Path to save the co-evolved model
-   * @returns {Object} - Result of the co-evolution
+   *
+   * Replays every applied operation against the instance, in order, while a scratch
+   * copy of the original metamodel is evolved alongside so that each step sees the
+   * metamodel the instance conforms to at that point.
+   *
+   * @param {string} modelPath - Location of the model file in the storage backend
+   * @param {string} outputPath - Location to write the co-evolved model to
+   * @returns {Promise<Object>} - Result of the co-evolution with a per-object report
    */
-  coEvolveModel(modelPath, outputPath) {
-    // This is a placeholder implementation
-    // In a real implementation, this would:
-    // 1. Load the model
-    // 2. Apply transformations based on the metamodel changes
-    // 3. Save the transformed model
+  async coEvolveModel(modelPath, outputPath) {
+    if (!this.originalMetamodel) {
+      return {
+        success: false,
+        message: 'No metamodel loaded through loadMetamodel',
+        modelPath,
+        outputPath,
+        objects: []
+      };
+    }
+
+    const instance = await InstanceLoader.loadFromFile(modelPath, this.loader.storage);
+
+    // Evolve a scratch copy of the original metamodel step by step
+    const replay = new MetamodelEvolutionManager();
+    replay.loader.loadFromContent(this.originalMetamodel, 'coevolution.ecore');
+    const migrator = new InstanceMigrator(replay.loader);
+
+    // Replay batches in the order they were applied
+    const appliedOperations = this.undoStack.flatMap(batch => batch.operations);
+    for (const operation of appliedOperations) {
+      migrator.migrate(instance, operation.metamodelOperation);
+      replay._applyOperation(operation);
+    }
+
+    await InstanceLoader.saveToFile(instance, outputPath, this.loader.storage);
 
-    console.log(`Co-evolution of model ${modelPath} is not yet implemented`);
+    const objects = migrator.getReport();
+    const unmigratedCount = objects.reduce((count, entry) => count + entry.unmigrated.length, 0);
+    console.log(`Co-evolved model ${modelPath} saved to ${outputPath}`);
 
     return {
-      success: false,
-      message: 'Model co-evolution is not yet implemented',
+      success: unmigratedCount === 0,
+      message: unmigratedCount === 0
+        ? `Migrated ${objects.length} objects along ${appliedOperations.length} operations`
+        : `${unmigratedCount} changes could not be migrated automatically`,
       modelPath,
-      outputPath
+      outputPath,
+      objects
     };
   }
 }
 
-export default MetamodelEvolutionManager;
\ No newline at end of file
+export default MetamodelEvolutionManager;
@@ -0,0 +1,51 @@
+/**
+ * MetamodelFormat.js
+ * Text formatting of metamodel report entries for display
+ */
+
+class MetamodelFormat {
+  /**
+   * Format multiplicity bounds
+   * @param {number} lowerBound - Lower bound
+   * @param {number|string} upperBound - Upper bound, -1 for unbounded (XMI gives bounds as strings)
+   * @returns {string} - Bounds such as [0..1] or [1..*]
+   */
+  static bounds(lowerBound, upperBound) {
+    const lower = lowerBound ?? 0;
+    const upper = Number(upperBound) === -1 ? "*" : upperBound ?? 1;
+    return `[${lower}..${upper}]`;
+  }
+
+  /**
+   * Format a typed element of the report (attribute, reference or parameter)
+   * @param {Object} element - Report entry with name, type and bounds
+   * @returns {string} - Text such as name: EString [0..1]
+   */
+  static typed(element) {
+    return `${element.name}: ${element.type || "?"} ${MetamodelFormat.bounds(element.lowerBound, element.upperBound)}`;
+  }
+
+  /**
+   * Format the signature of an operation of the report
+   * @param {Object} operation - Operation entry from MetamodelLoader.getClassOperations
+   * @returns {string} - Signature such as addItem(item: Item [1..1]): EBoolean
+   */
+  static signature(operation) {
+    const parameters = operation.parameters.map((parameter) => MetamodelFormat.typed(parameter)).join(", ");
+    const result = operation.returnType
+      ? `: ${operation.returnType} ${MetamodelFormat.bounds(operation.lowerBound, operation.upperBound)}`
+      : "";
+    return `${operation.name}(${parameters})${result}`;
+  }
+
+  /**
+   * Get the qualified name of a classifier entry of the report
+   * @param {Object} entry - Class, enum or datatype entry with name and package
+   * @returns {string} - Qualified name such as sampleDomain.Person
+   */
+  static qualifiedName(entry) {
+    return entry.package ? `${entry.package}.${entry.name}` : entry.name;
+  }
+}
+
+export default MetamodelFormat;
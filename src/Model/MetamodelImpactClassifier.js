@@ -0,0 +1,316 @@
+/**
+ * MetamodelImpactClassifier.js
+ * A class for rating how a metamodel operation affects existing instances
+ *
+ * Every operation gets one of three tags:
+ * - non-breaking: existing instances stay valid (e.g. adding an optional attribute)
+ * - breaking-resolvable: instances break, but InstanceMigrator can adapt them
+ *   automatically (e.g. renaming a class)
+ * - breaking-unresolvable: instances break and need manual input (e.g. adding a
+ *   mandatory reference, which has no default value)
+ *
+ * Operations are classified against the metamodel before they are applied.
+ */
+
+const IMPACT = {
+  NON_BREAKING: "non-breaking",
+  RESOLVABLE: "breaking-resolvable",
+  UNRESOLVABLE: "breaking-unresolvable",
+};
+
+const IMPACT_ORDER = [IMPACT.NON_BREAKING, IMPACT.RESOLVABLE, IMPACT.UNRESOLVABLE];
+
+// Datatype changes whose old values are always valid values of the new type
+const WIDENINGS = {
+  EShort: ["EInt", "EIntegerObject", "ELong", "ELongObject", "EFloat", "EFloatObject", "EDouble", "EDoubleObject"],
+  EInt: ["EIntegerObject", "ELong", "ELongObject", "EDouble", "EDoubleObject"],
+  EIntegerObject: ["EInt", "ELong", "ELongObject", "EDouble", "EDoubleObject"],
+  ELong: ["ELongObject"],
+  ELongObject: ["ELong"],
+  EFloat: ["EFloatObject", "EDouble", "EDoubleObject"],
+  EFloatObject: ["EFloat", "EDouble", "EDoubleObject"],
+  EDouble: ["EDoubleObject"],
+  EDoubleObject: ["EDouble"],
+  EBoolean: ["EBooleanObject"],
+  EBooleanObject: ["EBoolean"],
+};
+
+class MetamodelImpactClassifier {
+  /**
+   * @param {MetamodelLoader} loader - Loader holding the metamodel before the operation
+   */
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  /**
+   * Classify a metamodel operation
+   * @param {Object} metamodelOp - Operation created by MetamodelEvolutionManager
+   * @returns {Object} - { impact, impactReasons }; impact is null for operations that cannot be interpreted
+   */
+  classify(metamodelOp) {
+    this.findings = [];
+
+    switch (metamodelOp && metamodelOp.action) {
+      case "addClass":
+        if (metamodelOp.merge) {
+          this._classifyMergedClass(metamodelOp);
+        } else {
+          this._add(IMPACT.NON_BREAKING, "Existing instances stay valid");
+        }
+        break;
+      case "addEnum":
+      case "addLiteral":
+      case "addPackage":
+      case "removePackage":
+      case "modifyEnum":
+      case "addDataType":
+      case "removeDataType":
+      case "modifyDataType":
+        this._add(IMPACT.NON_BREAKING, "Existing instances stay valid");
+        break;
+      case "addOperation":
+      case "removeOperation":
+      case "modifyOperation":
+        this._add(IMPACT.NON_BREAKING, "Operations hold no instance data");
+        break;
+      case "addAttribute":
+        this._classifyNewFeature(metamodelOp, `Attribute ${metamodelOp.attributeName}`);
+        break;
+      case "addReference":
+        this._classifyNewFeature(metamodelOp, `Reference ${metamodelOp.referenceName}`);
+        if (metamodelOp.opposite && metamodelOp.opposite.create) {
+          this._classifyNewFeature(metamodelOp.opposite, `Opposite ${metamodelOp.opposite.name}`);
+        }
+        break;
+      case "removeClass":
+        this._add(IMPACT.RESOLVABLE, `Instances of ${metamodelOp.className} and references to them are deleted`);
+        break;
+      case "removeAttribute":
+        this._add(IMPACT.RESOLVABLE, `Values of ${metamodelOp.attributeName} are dropped`);
+        break;
+      case "removeReference":
+        this._add(IMPACT.RESOLVABLE, `Values of ${metamodelOp.referenceName} are dropped`);
+        break;
+      case "modifyClass":
+        this._classifyModifyClass(metamodelOp);
+        break;
+      case "modifyAttribute":
+        this._classifyModifyAttribute(metamodelOp);
+        break;
+      case "modifyReference":
+        this._classifyModifyReference(metamodelOp);
+        break;
+      case "removeEnum":
+        this._add(IMPACT.UNRESOLVABLE, `Values typed by ${metamodelOp.enumName} lose their type`);
+        break;
+      case "removeLiteral":
+        this._add(IMPACT.UNRESOLVABLE, `Values ${metamodelOp.literalName} of ${metamodelOp.enumName} have no replacement`);
+        break;
+      case "modifyLiteral":
+        if (metamodelOp.newName && metamodelOp.newName !== metamodelOp.literalName) {
+          this._add(IMPACT.RESOLVABLE, `Values ${metamodelOp.literalName} are renamed to ${metamodelOp.newName}`);
+        } else {
+          this._add(IMPACT.NON_BREAKING, "Instances store literals by name");
+        }
+        break;
+      default:
+        return { impact: null, impactReasons: [] };
+    }
+
+    return {
+      impact: MetamodelImpactClassifier.worst(this.findings.map((finding) => finding.impact)),
+      impactReasons: this.findings.map((finding) => finding.reason),
+    };
+  }
+
+  /**
+   * Get the most severe of several impact tags
+   * @param {Array} impacts - Impact tags
+   * @returns {string|null} - The most severe tag, or null for an empty list
+   */
+  static worst(impacts) {
+    return impacts.reduce(
+      (worst, impact) => (IMPACT_ORDER.indexOf(impact) > IMPACT_ORDER.indexOf(worst) ? impact : worst),
+      impacts.length > 0 ? IMPACT.NON_BREAKING : null
+    );
+  }
+
+  /**
+   * New features break instances only when they are mandatory
+   */
+  _classifyNewFeature(metamodelOp, label) {
+    if (!(metamodelOp.lowerBound >= 1)) {
+      this._add(IMPACT.NON_BREAKING, `${label} is optional`);
+    } else if (metamodelOp.defaultValueLiteral !== undefined && metamodelOp.defaultValueLiteral !== null) {
+      this._add(IMPACT.RESOLVABLE, `${label} is mandatory; existing objects get the default value`);
+    } else {
+      this._add(IMPACT.UNRESOLVABLE, `${label} is mandatory and has no default value`);
+    }
+  }
+
+  _classifyModifyClass(metamodelOp) {
+    const targetClass = this.loader.findClassByName(metamodelOp.className);
+
+    if (metamodelOp.newName && metamodelOp.newName !== metamodelOp.className) {
+      this._add(IMPACT.RESOLVABLE, `Instances are retyped from ${metamodelOp.className} to ${metamodelOp.newName}`);
+    }
+    if (metamodelOp.newPackage) {
+      this._add(IMPACT.RESOLVABLE, `Instances are retyped into package ${metamodelOp.newPackage}`);
+    }
+    if (targetClass && (metamodelOp.newAbstract === true || metamodelOp.newInterface === true) && !this.loader.isTrue(targetClass.get("abstract"))) {
+      this._add(IMPACT.UNRESOLVABLE, `Direct instances of ${metamodelOp.className} need a concrete subclass`);
+    }
+
+    if (targetClass && metamodelOp.newSuperTypes) {
+      const before = this._inheritedFeatures(targetClass.get("eSuperTypes").array());
+      const after = this._inheritedFeatures(
+        metamodelOp.newSuperTypes.map((name) => this.loader.findClassByName(name)).filter(Boolean)
+      );
+
+      const lost = [...before.keys()].filter((name) => !after.has(name));
+      const required = [...after.entries()].filter(([name, lowerBound]) => !before.has(name) && lowerBound >= 1);
+      if (lost.length > 0) {
+        this._add(IMPACT.UNRESOLVABLE, `Inherited features are lost: ${lost.join(", ")}`);
+      }
+      if (required.length > 0) {
+        this._add(IMPACT.UNRESOLVABLE, `Newly inherited features are mandatory: ${required.map(([name]) => name).join(", ")}`);
+      }
+    }
+
+    this._addNonBreakingIfEmpty();
+  }
+
+  /**
+   * Merging a new class into an existing one adds its super types and flags to that class
+   */
+  _classifyMergedClass(metamodelOp) {
+    const existingClass = this.loader.findClassByName(metamodelOp.className);
+    const superTypes = existingClass ? existingClass.get("eSuperTypes").map((superType) => superType.get("name")) : [];
+
+    this._classifyModifyClass({
+      className: metamodelOp.className,
+      newSuperTypes: [...new Set([...superTypes, ...metamodelOp.superTypes])],
+      newAbstract: metamodelOp.abstract || metamodelOp.interface,
+    });
+  }
+
+  _classifyModifyAttribute(metamodelOp) {
+    const feature = this._findOwnFeature(metamodelOp.className, metamodelOp.attributeName);
+
+    if (metamodelOp.newName && metamodelOp.newName !== metamodelOp.attributeName) {
+      this._add(IMPACT.RESOLVABLE, `Values are moved from ${metamodelOp.attributeName} to ${metamodelOp.newName}`);
+    }
+
+    if (feature && metamodelOp.newType) {
+      const oldType = feature.get("eType") ? feature.get("eType").get("name") : null;
+      if (oldType !== metamodelOp.newType) {
+        if (metamodelOp.newType === "EString" || (WIDENINGS[oldType] || []).includes(metamodelOp.newType)) {
+          this._add(IMPACT.NON_BREAKING, `Every ${oldType} value is a valid ${metamodelOp.newType}`);
+        } else {
+          this._add(IMPACT.UNRESOLVABLE, `Values of type ${oldType} may not convert to ${metamodelOp.newType}`);
+        }
+      }
+    }
+
+    const properties = feature ? this.loader.getAttributeProperties(feature) : null;
+    if (properties && metamodelOp.newID === true && !properties.iD) {
+      this._add(IMPACT.UNRESOLVABLE, `Existing values of ${metamodelOp.attributeName} may not be unique`);
+    }
+    const isMany = Number(metamodelOp.newUpperBound ?? (feature ? feature.get("upperBound") : 1)) === -1;
+    if (properties && metamodelOp.newUnique === true && !properties.unique && isMany) {
+      this._add(IMPACT.UNRESOLVABLE, `Existing values of ${metamodelOp.attributeName} may contain duplicates`);
+    }
+    if (properties && ((metamodelOp.newTransient === true && !properties.transient) || (metamodelOp.newDerived === true && !properties.derived))) {
+      this._add(IMPACT.RESOLVABLE, `Stored values of ${metamodelOp.attributeName} are no longer serialized`);
+    }
+
+    this._classifyBounds(feature, metamodelOp);
+    this._addNonBreakingIfEmpty();
+  }
+
+  _classifyModifyReference(metamodelOp) {
+    const feature = this._findOwnFeature(metamodelOp.className, metamodelOp.referenceName);
+
+    if (metamodelOp.newName && metamodelOp.newName !== metamodelOp.referenceName) {
+      this._add(IMPACT.RESOLVABLE, `Values are moved from ${metamodelOp.referenceName} to ${metamodelOp.newName}`);
+    }
+
+    if (feature && metamodelOp.newTargetClassName) {
+      const oldTarget = feature.get("eType");
+      const newTarget = this.loader.findClassByName(metamodelOp.newTargetClassName);
+      const widened = oldTarget && newTarget && (oldTarget === newTarget || this.loader.getAllSuperTypes(oldTarget).includes(newTarget));
+      if (widened) {
+        this._add(IMPACT.NON_BREAKING, `${metamodelOp.newTargetClassName} accepts every current target`);
+      } else {
+        this._add(IMPACT.UNRESOLVABLE, `Current targets may not be instances of ${metamodelOp.newTargetClassName}`);
+      }
+    }
+
+    if (feature && metamodelOp.newContainment !== undefined && metamodelOp.newContainment !== this.loader.isTrue(feature.get("containment"))) {
+      this._add(IMPACT.UNRESOLVABLE, "Referenced objects must be moved manually after the containment change");
+    }
+
+    if (feature && metamodelOp.newOpposite) {
+      this._add(IMPACT.RESOLVABLE, `Values of both ends must agree; EMF adds the missing inverse links of ${metamodelOp.newOpposite} on load`);
+    }
+
+    this._classifyBounds(feature, metamodelOp);
+    this._addNonBreakingIfEmpty();
+  }
+
+  /**
+   * Tighter bounds break instances that hold too few or too many values
+   */
+  _classifyBounds(feature, metamodelOp) {
+    if (!feature) {
+      return;
+    }
+
+    const oldLower = Number(feature.get("lowerBound") || 0);
+    const oldUpper = Number(feature.get("upperBound") ?? 1);
+
+    if (metamodelOp.newLowerBound !== undefined && metamodelOp.newLowerBound > oldLower) {
+      this._add(IMPACT.UNRESOLVABLE, `Lower bound rises from ${oldLower} to ${metamodelOp.newLowerBound}`);
+    }
+    if (
+      metamodelOp.newUpperBound !== undefined &&
+      metamodelOp.newUpperBound !== -1 &&
+      (oldUpper === -1 || metamodelOp.newUpperBound < oldUpper)
+    ) {
+      this._add(IMPACT.UNRESOLVABLE, `Upper bound drops from ${oldUpper} to ${metamodelOp.newUpperBound}`);
+    }
+  }
+
+  /**
+   * Map the names of all features inherited from a set of super types to their lower bound
+   */
+  _inheritedFeatures(superTypes) {
+    const features = new Map();
+    superTypes.forEach((superType) => {
+      this.loader.getAllClassFeatures(superType).forEach((feature) => {
+        features.set(feature.name, Number(feature.lowerBound || 0));
+      });
+    });
+    return features;
+  }
+
+  _findOwnFeature(className, featureName) {
+    const eClass = this.loader.findClassByName(className);
+    return eClass ? eClass.get("eStructuralFeatures").find((feature) => feature.get("name") === featureName) : null;
+  }
+
+  _addNonBreakingIfEmpty() {
+    if (this.findings.length === 0) {
+      this._add(IMPACT.NON_BREAKING, "Existing instances stay valid");
+    }
+  }
+
+  _add(impact, reason) {
+    this.findings.push({ impact, reason });
+  }
+}
+
+MetamodelImpactClassifier.IMPACT = IMPACT;
+
+export default MetamodelImpactClassifier;
@@ -0,0 +1,307 @@
+/**
+ * MetamodelLayout.js
+ * Positions of the classes and enums of a metamodel in a class diagram
+ *
+ * This class provides functionality to:
+ * - Compute the box size of a class or enum from its report entry
+ * - Lay out a metamodel report automatically, keeping the positions the user chose
+ * - Persist positions in a layout file stored alongside the metamodel (People.ecore -> People.layout.json)
+ *
+ * Positions are keyed by qualified classifier name (e.g. sampleDomain.Person) and hold
+ * the top left corner of the box.
+ */
+
+import MetamodelFormat from "./MetamodelFormat.js";
+
+const LAYOUT_FORMAT = "metamodel-diagram-layout";
+const LAYOUT_VERSION = 1;
+
+// Box metrics; text width is estimated, since the layout also runs outside the browser
+const METRICS = {
+  CHAR_WIDTH: 7,
+  LINE_HEIGHT: 18,
+  HEADER_HEIGHT: 40,
+  PADDING: 8,
+  MIN_WIDTH: 120,
+};
+
+// Spacing of the automatic layout
+const HORIZONTAL_GAP = 60;
+const VERTICAL_GAP = 90;
+const MARGIN = 20;
+
+class MetamodelLayout {
+  /**
+   * Get the lines shown in the body of a box
+   * @param {Object} entry - Class or enum entry of a metamodel report
+   * @param {string} kind - 'class' or 'enum'
+   * @returns {Object} - { header, stereotype, compartments } with compartments as arrays of text lines
+   */
+  static boxContent(entry, kind) {
+    if (kind === "enum") {
+      return {
+        header: entry.name,
+        stereotype: "«enumeration»",
+        compartments: [entry.literals.map((literal) => literal.name)],
+      };
+    }
+
+    const stereotype = entry.interface ? "«interface»" : entry.abstract ? "«abstract»" : null;
+    const compartments = [entry.attributes.map((attribute) => MetamodelFormat.typed(attribute))];
+    if (entry.operations && entry.operations.length > 0) {
+      compartments.push(entry.operations.map((operation) => MetamodelFormat.signature(operation)));
+    }
+    return { header: entry.name, stereotype, compartments };
+  }
+
+  /**
+   * Compute the size of the box of a class or enum
+   * @param {Object} entry - Class or enum entry of a metamodel report
+   * @param {string} kind - 'class' or 'enum'
+   * @returns {Object} - { width, height }
+   */
+  static boxSize(entry, kind) {
+    const { header, stereotype, compartments } = MetamodelLayout.boxContent(entry, kind);
+    const lines = [header, stereotype || "", ...compartments.flat()];
+    const { CHAR_WIDTH, LINE_HEIGHT, HEADER_HEIGHT, PADDING, MIN_WIDTH } = METRICS;
+    const width = Math.max(MIN_WIDTH, Math.max(...lines.map((line) => line.length)) * CHAR_WIDTH + 2 * PADDING);
+    const height =
+      HEADER_HEIGHT + compartments.reduce((sum, compartment) => sum + Math.max(compartment.length, 1) * LINE_HEIGHT + PADDING, 0);
+    return { width, height };
+  }
+
+  /**
+   * Get the boxes of a metamodel report
+   * @param {Object} report - Report from MetamodelLoader.generateMetamodelReport
+   * @returns {Array} - [{ key, kind, entry, width, height }] for all classes and enums
+   */
+  static boxes(report) {
+    return [
+      ...report.classes.map((entry) => ({ key: MetamodelFormat.qualifiedName(entry), kind: "class", entry })),
+      ...report.enums.map((entry) => ({ key: MetamodelFormat.qualifiedName(entry), kind: "enum", entry })),
+    ].map((box) => ({ ...box, ...MetamodelLayout.boxSize(box.entry, box.kind) }));
+  }
+
+  /**
+   * Find the class entry a type name of the report refers to
+   * Report types are simple names, so a class of the same package is preferred.
+   * @param {Object} report - Report from MetamodelLoader.generateMetamodelReport
+   * @param {string} typeName - Simple name of the class
+   * @param {string} [packageName] - Package of the referring class
+   * @returns {Object|null} - The class entry or null if there is no such class
+   */
+  static findClassEntry(report, typeName, packageName = null) {
+    const candidates = report.classes.filter((cls) => cls.name === typeName);
+    return candidates.find((cls) => cls.package === packageName) || candidates[0] || null;
+  }
+
+  /**
+   * Lay out a metamodel report, keeping known positions
+   *
+   * Boxes without a position are laid out automatically. If some boxes already have
+   * positions, the new ones are placed in rows below them so that nothing moves.
+   *
+   * @param {Object} report - Report from MetamodelLoader.generateMetamodelReport
+   * @param {Object} [positions] - Known positions by qualified name
+   * @returns {Object} - Positions of all classes and enums of the report
+   */
+  static layout(report, positions = {}) {
+    const boxes = MetamodelLayout.boxes(report);
+    const known = boxes.filter((box) => positions[box.key]);
+    if (known.length === 0) {
+      return MetamodelLayout.autoLayout(report);
+    }
+
+    const result = Object.fromEntries(known.map((box) => [box.key, { ...positions[box.key] }]));
+    const missing = boxes.filter((box) => !positions[box.key]);
+    if (missing.length > 0) {
+      const top = Math.max(...known.map((box) => positions[box.key].y + box.height)) + VERTICAL_GAP;
+      const placed = MetamodelLayout._placeRows([missing], top);
+      Object.assign(result, placed);
+    }
+    return result;
+  }
+
+  /**
+   * Lay out a metamodel report from scratch
+   *
+   * Classes are placed in layers: super types above their subclasses and containers
+   * above the classes they contain. Within a layer, boxes are ordered by the position
+   * of the boxes above them to reduce crossing edges. Enums form the last layer.
+   *
+   * @param {Object} report - Report from MetamodelLoader.generateMetamodelReport
+   * @returns {Object} - Positions of all classes and enums by qualified name
+   */
+  static autoLayout(report) {
+    const boxes = MetamodelLayout.boxes(report);
+    const classBoxes = boxes.filter((box) => box.kind === "class");
+
+    // Parents of a class: its super types and the classes that contain it
+    const parents = new Map(classBoxes.map((box) => [box.key, new Set()]));
+    classBoxes.forEach((box) => {
+      box.entry.superTypes.forEach((superTypeName) => {
+        const superType = MetamodelLayout.findClassEntry(report, superTypeName, box.entry.package);
+        if (superType && superType !== box.entry) {
+          parents.get(box.key).add(MetamodelFormat.qualifiedName(superType));
+        }
+      });
+      box.entry.references
+        .filter((reference) => reference.containment)
+        .forEach((reference) => {
+          const target = MetamodelLayout.findClassEntry(report, reference.type, box.entry.package);
+          if (target && target !== box.entry) {
+            parents.get(MetamodelFormat.qualifiedName(target)).add(box.key);
+          }
+        });
+    });
+
+    // Layer of a class: one below its lowest parent, ignoring cycles
+    const layers = new Map();
+    const visiting = new Set();
+    const layerOf = (key) => {
+      if (layers.has(key)) {
+        return layers.get(key);
+      }
+      if (visiting.has(key)) {
+        return -1;
+      }
+      visiting.add(key);
+      const layer = Math.max(-1, ...[...parents.get(key)].map(layerOf)) + 1;
+      visiting.delete(key);
+      layers.set(key, layer);
+      return layer;
+    };
+    classBoxes.forEach((box) => layerOf(box.key));
+
+    const rows = [];
+    classBoxes.forEach((box) => {
+      const layer = layers.get(box.key);
+      rows[layer] = rows[layer] || [];
+      rows[layer].push(box);
+    });
+    const enumBoxes = boxes.filter((box) => box.kind === "enum");
+    const orderedRows = rows.filter(Boolean);
+    if (enumBoxes.length > 0) {
+      orderedRows.push(enumBoxes);
+    }
+
+    // Order each layer by the average position of the parents in the layers above
+    const order = new Map();
+    orderedRows.forEach((row) => {
+      const barycenter = (box) => {
+        const parentOrders = [...(parents.get(box.key) || [])].filter((key) => order.has(key)).map((key) => order.get(key));
+        return parentOrders.length > 0 ? parentOrders.reduce((sum, value) => sum + value, 0) / parentOrders.length : Infinity;
+      };
+      row.sort((a, b) => barycenter(a) - barycenter(b) || a.key.localeCompare(b.key));
+      row.forEach((box, index) => order.set(box.key, index / Math.max(row.length - 1, 1)));
+    });
+
+    return MetamodelLayout._placeRows(orderedRows, MARGIN);
+  }
+
+  /**
+   * Place rows of boxes below each other, centering each row on the widest one
+   * @param {Array} rows - Arrays of boxes { key, width, height }
+   * @param {number} top - Y coordinate of the first row
+   * @returns {Object} - Positions by key
+   */
+  static _placeRows(rows, top) {
+    const rowWidth = (row) => row.reduce((sum, box) => sum + box.width, 0) + HORIZONTAL_GAP * (row.length - 1);
+    const maxWidth = Math.max(...rows.map(rowWidth));
+    const positions = {};
+
+    let y = top;
+    rows.forEach((row) => {
+      let x = MARGIN + (maxWidth - rowWidth(row)) / 2;
+      row.forEach((box) => {
+        positions[box.key] = { x: Math.round(x), y };
+        x += box.width + HORIZONTAL_GAP;
+      });
+      y += Math.max(...row.map((box) => box.height)) + VERTICAL_GAP;
+    });
+
+    return positions;
+  }
+
+  /**
+   * Move the position of a renamed or moved classifier to its new qualified name
+   * @param {Object} positions - Positions by qualified name
+   * @param {string} oldName - Qualified name before the change
+   * @param {string} newName - Qualified name after the change
+   * @returns {Object} - Updated copy of the positions
+   */
+  static renameNode(positions, oldName, newName) {
+    if (!positions[oldName] || oldName === newName) {
+      return positions;
+    }
+
+    const { [oldName]: position, ...others } = positions;
+    return { ...others, [newName]: position };
+  }
+
+  /**
+   * Get the path of the layout file stored alongside a metamodel
+   * @param {string} metamodelPath - Path of the metamodel file
+   * @returns {string} - Path with the extension replaced by .layout.json
+   */
+  static layoutPath(metamodelPath) {
+    const extensionIndex = metamodelPath.lastIndexOf(".");
+    const separatorIndex = Math.max(metamodelPath.lastIndexOf("/"), metamodelPath.lastIndexOf("\\"));
+    const basePath = extensionIndex > separatorIndex ? metamodelPath.slice(0, extensionIndex) : metamodelPath;
+    return `${basePath}.layout.json`;
+  }
+
+  /**
+   * Check whether a file name is a layout file
+   * @param {string} fileName - Name or path of the file
+   * @returns {boolean} - True if it ends with .layout.json
+   */
+  static isLayoutFile(fileName) {
+    return fileName.toLowerCase().endsWith(".layout.json");
+  }
+
+  /**
+   * Read the layout stored alongside a metamodel
+   * @param {Object} storage - Storage backend (see FileStorage)
+   * @param {string} metamodelPath - Path of the metamodel file
+   * @returns {Object} - Positions by qualified name; empty if there is no layout file
+   */
+  static load(storage, metamodelPath) {
+    const layoutPath = MetamodelLayout.layoutPath(metamodelPath);
+    if (!storage.exists(layoutPath)) {
+      return {};
+    }
+
+    const layout = JSON.parse(storage.readText(layoutPath));
+    if (layout.format !== LAYOUT_FORMAT) {
+      throw new Error(`${layoutPath} is not a metamodel diagram layout`);
+    }
+    if (layout.version > LAYOUT_VERSION) {
+      throw new Error(`Layout version ${layout.version} is newer than the supported version ${LAYOUT_VERSION}`);
+    }
+    return layout.positions || {};
+  }
+
+  /**
+   * Write the layout alongside a metamodel
+   * @param {Object} storage - Storage backend (see FileStorage)
+   * @param {string} metamodelPath - Path of the metamodel file
+   * @param {Object} positions - Positions by qualified name
+   * @returns {string} - Path of the written layout file
+   */
+  static save(storage, metamodelPath, positions) {
+    const layoutPath = MetamodelLayout.layoutPath(metamodelPath);
+    const layout = {
+      format: LAYOUT_FORMAT,
+      version: LAYOUT_VERSION,
+      metamodel: storage.baseName(metamodelPath),
+      positions,
+    };
+    storage.writeText(layoutPath, JSON.stringify(layout, null, 2), "application/json");
+    return layoutPath;
+  }
+}
+
+MetamodelLayout.METRICS = METRICS;
+
+export default MetamodelLayout;
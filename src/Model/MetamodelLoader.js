@@ -3,18 +3,48 @@
  * A class for loading, analyzing and manipulating Ecore metamodels
  *
  * This class provides functionality to:
- * - Load Ecore metamodels from files or XMI content
- * - Analyze metamodel structure (packages, classes, attributes, references)
+ * - Load Ecore metamodels from files or content in XMI or JSON format
+ * - Analyze metamodel structure (packages, classes, attributes, references, operations)
+ * - Resolve classifiers by simple or package-qualified name (e.g. hr.Department)
  * - Support metamodel queries and modifications
  * - Prepare for evolution operations
  */
 
-import fs from "fs";
-import path from "path";
 import Ecore from "ecore/dist/ecore.xmi.js";
+import FileStorage from "../Storage/FileStorage.js";
+
+// ecore.js does not model EClassifier.instanceClassName, so custom datatypes would lose it on save
+if (!Ecore.EClassifier.get("eStructuralFeatures").find((feature) => feature.get("name") === "instanceClassName")) {
+  Ecore.EClassifier.get("eStructuralFeatures").add(Ecore.EAttribute.create({ name: "instanceClassName", eType: Ecore.EString }));
+}
+
+// Attribute properties beyond name, type and bounds, with the EMF default of each
+const ATTRIBUTE_PROPERTIES = {
+  defaultValueLiteral: null,
+  iD: false,
+  derived: false,
+  transient: false,
+  volatile: false,
+  unsettable: false,
+  changeable: true,
+  ordered: true,
+  unique: true,
+};
+
+// Metamodel formats by file extension; content sniffing overrides a misleading extension
+const FORMAT_EXTENSIONS = {
+  ".ecore": "xmi",
+  ".xmi": "xmi",
+  ".xml": "xmi",
+  ".json": "json",
+};
 
 class MetamodelLoader {
-  constructor() {
+  /**
+   * @param {Object} [storage] - Storage backend for files (defaults to the one of the environment, see FileStorage)
+   */
+  constructor(storage = null) {
+    this.storage = storage || FileStorage.getDefault();
     this.resourceSet = Ecore.ResourceSet.create();
     this.resources = new Map(); // Map to store loaded resources by URI
     this.currentResource = null;
@@ -22,23 +52,24 @@ class MetamodelLoader {
   }
 
   /**
-   * Load a metamodel from a file
-   * @param {string} filePath - Path to the .ecore file
+   * Load a metamodel from a file of the storage
+   * @param {string} filePath - Path (or uploaded file name in the browser) of the .ecore (XMI) or .json file
    * @param {string} [resourceName] - Optional name for the resource (defaults to filename)
+   * @param {string} [format] - 'xmi' or 'json' (detected from the extension and content if omitted)
    * @returns {Object} - The loaded resource
    */
-  loadFromFile(filePath, resourceName = null) {
+  loadFromFile(filePath, resourceName = null, format = null) {
     try {
       // Read the file content
-      const xmiContent = fs.readFileSync(filePath, "utf-8");
+      const content = this.storage.readText(filePath);
 
       // Use filename as resource name if not provided
       if (!resourceName) {
-        resourceName = path.basename(filePath);
+        resourceName = this.storage.baseName(filePath);
       }
 
       // Load the content
-      return this.loadFromContent(xmiContent, resourceName);
+      return this.loadFromContent(content, resourceName, format || MetamodelLoader.detectFormat(content, filePath));
     } catch (error) {
       console.error(`Error loading metamodel from file ${filePath}:`, error);
       throw error;
@@ -46,19 +77,25 @@ class MetamodelLoader {
   }
 
   /**
-   * Load a metamodel from XMI content
-   * @param {string} xmiContent - The XMI content as string
+   * Load a metamodel from XMI or JSON content
+   * @param {string} content - The XMI or JSON content as string
    * @param {string} resourceName - Name for the resource
+   * @param {string} [format] - 'xmi' or 'json' (detected from the resource name and content if omitted)
    * @returns {Object} - The loaded resource
    */
-  loadFromContent(xmiContent, resourceName) {
+  loadFromContent(content, resourceName, format = null) {
     try {
       // Create resource
       const resourceUri = `./${resourceName}`;
       const resource = this.resourceSet.create({ uri: resourceUri });
 
       // Parse content
-      resource.parse(xmiContent, Ecore.XMI);
+      if ((format || MetamodelLoader.detectFormat(content, resourceName)) === "json") {
+        resource.parse(this.fromEcoreJSON(content), Ecore.JSON);
+      } else {
+        resource.parse(this.fromEcoreXMI(content), Ecore.XMI);
+      }
+      this.normalizeBooleans(resource);
 
       // Store resource
       this.resources.set(resourceUri, resource);
@@ -77,25 +114,242 @@ class MetamodelLoader {
     }
   }
 
+  /**
+   * Detect whether metamodel content is XMI or JSON
+   * @param {string} content - The metamodel content as string
+   * @param {string} [fileName] - File or resource name whose extension hints at the format
+   * @returns {string} - 'xmi' or 'json'
+   */
+  static detectFormat(content, fileName = null) {
+    const extensionMatch = fileName ? /\.[^./\\]+$/.exec(fileName) : null;
+    const extension = extensionMatch ? extensionMatch[0].toLowerCase() : "";
+    const byExtension = FORMAT_EXTENSIONS[extension] || null;
+
+    // Skip a byte order mark and leading whitespace before looking at the first character
+    const text = content.replace(/^\uFEFF/, "").trimStart();
+    let byContent = null;
+    if (text.startsWith("{") || text.startsWith("[")) {
+      byContent = "json";
+    } else if (text.startsWith("<")) {
+      byContent = "xmi";
+    }
+
+    if (byContent && byExtension && byContent !== byExtension) {
+      console.warn(`${fileName} contains ${byContent.toUpperCase()} despite its ${extension} extension`);
+    }
+
+    const format = byContent || byExtension;
+    if (!format) {
+      throw new Error(`Cannot detect the format of ${fileName || "the metamodel content"}`);
+    }
+    return format;
+  }
+
+  /**
+   * Get all root packages of the current resource
+   * @returns {Array} - Array of EPackage objects
+   */
+  getRootPackages() {
+    if (!this.currentResource) {
+      return [];
+    }
+
+    return this.currentResource.get("contents").filter((element) => element.isKindOf(Ecore.EPackage));
+  }
+
+  /**
+   * Get all packages of the current resource, including nested subpackages
+   * @returns {Array} - Array of EPackage objects, each followed by its subpackages
+   */
+  getAllPackages() {
+    const packages = [];
+    const visit = (ePackage) => {
+      packages.push(ePackage);
+      ePackage.get("eSubPackages").each((subpackage) => visit(subpackage));
+    };
+
+    this.getRootPackages().forEach(visit);
+    return packages;
+  }
+
   /**
    * Get all EClasses in the metamodel
    * @returns {Array} - Array of EClass objects
    */
   getAllClasses() {
-    if (!this.rootPackage || !this.rootPackage.isKindOf(Ecore.EPackage)) {
-      return [];
+    return this.getAllClassifiers().filter((classifier) => classifier.isKindOf(Ecore.EClass));
+  }
+
+  /**
+   * Get all EEnums in the metamodel
+   * @returns {Array} - Array of EEnum objects
+   */
+  getAllEnums() {
+    return this.getAllClassifiers().filter((classifier) => classifier.isKindOf(Ecore.EEnum));
+  }
+
+  /**
+   * Resolve the type of an operation or parameter
+   * @param {Object|string} type - The EClassifier object, or the name of a class, datatype or enum of
+   *   the metamodel or of an Ecore built-in type
+   * @returns {Object|null} - The EClassifier, or null if there is no such type
+   */
+  resolveType(type) {
+    if (typeof type !== "string") {
+      return type || null;
     }
+    return this.findClassByName(type) || this.resolveDataType(type);
+  }
+
+  /**
+   * Get all custom EDataTypes in the metamodel, excluding enums
+   * @returns {Array} - Array of EDataType objects
+   */
+  getAllDataTypes() {
+    return this.getAllClassifiers().filter((classifier) => classifier.isTypeOf("EDataType"));
+  }
 
-    const classes = [];
-    const eClassifiers = this.rootPackage.get("eClassifiers");
+  /**
+   * Resolve the type of an attribute
+   * @param {Object|string} dataType - The EDataType object, or the name of a datatype or enum of
+   *   the metamodel or of an Ecore built-in type (e.g. 'EString')
+   * @returns {Object|null} - The EDataType or EEnum, or null if there is no such datatype
+   */
+  resolveDataType(dataType) {
+    if (typeof dataType !== "string") {
+      return dataType || null;
+    }
 
-    eClassifiers.each((classifier) => {
-      if (classifier.isKindOf(Ecore.EClass)) {
-        classes.push(classifier);
-      }
+    const classifier = this.findClassifierByName(dataType);
+    if (classifier) {
+      return classifier.isKindOf(Ecore.EDataType) ? classifier : null;
+    }
+
+    const builtIn = Ecore[dataType];
+    return builtIn && builtIn.isKindOf && builtIn.isKindOf(Ecore.EDataType) ? builtIn : null;
+  }
+
+  /**
+   * Get all classifiers of all packages
+   * @returns {Array} - Array of EClassifier objects
+   */
+  getAllClassifiers() {
+    const classifiers = [];
+
+    this.getAllPackages().forEach((ePackage) => {
+      ePackage.get("eClassifiers").each((classifier) => {
+        classifiers.push(classifier);
+      });
     });
 
-    return classes;
+    return classifiers;
+  }
+
+  /**
+   * Get the package-qualified name of a package or classifier (e.g. sampleDomain.hr.Department)
+   * @param {Object} element - An EPackage or EClassifier
+   * @returns {string} - Names of the containing packages and the element joined with dots
+   */
+  getQualifiedName(element) {
+    const names = [element.get("name")];
+    let container = element.eContainer;
+
+    while (container && container.isKindOf && container.isKindOf(Ecore.EPackage)) {
+      names.unshift(container.get("name"));
+      container = container.eContainer;
+    }
+
+    return names.join(".");
+  }
+
+  /**
+   * Check whether an element matches a simple or qualified name
+   *
+   * Qualified names may omit leading packages, so hr.Department matches
+   * sampleDomain.hr.Department.
+   * @param {Object} element - An EPackage or EClassifier
+   * @param {string} name - Simple or qualified name
+   * @returns {boolean} - True if the element has that name
+   */
+  matchesName(element, name) {
+    if (!name || !name.includes(".")) {
+      return element.get("name") === name;
+    }
+
+    const qualifiedName = this.getQualifiedName(element);
+    return qualifiedName === name || qualifiedName.endsWith(`.${name}`);
+  }
+
+  /**
+   * Split a qualified name into its package and simple name
+   * @param {string} qualifiedName - Name such as hr.Department
+   * @returns {Object} - { packageName, simpleName }; packageName is null for simple names
+   */
+  splitQualifiedName(qualifiedName) {
+    const index = qualifiedName.lastIndexOf(".");
+    return index === -1
+      ? { packageName: null, simpleName: qualifiedName }
+      : { packageName: qualifiedName.slice(0, index), simpleName: qualifiedName.slice(index + 1) };
+  }
+
+  /**
+   * Find a package by simple or qualified name
+   * @param {string} packageName - Name of the package to find
+   * @returns {Object|null} - The EPackage object or null if not found
+   */
+  findPackageByName(packageName) {
+    return this.getAllPackages().find((ePackage) => this.matchesName(ePackage, packageName)) || null;
+  }
+
+  /**
+   * Find an enum by name
+   * @param {string} enumName - Name of the enum to find
+   * @returns {Object|null} - The EEnum object or null if not found
+   */
+  findEnumByName(enumName) {
+    return this.getAllEnums().find((eEnum) => this.matchesName(eEnum, enumName)) || null;
+  }
+
+  /**
+   * Find a custom datatype by name
+   * @param {string} dataTypeName - Name of the datatype to find
+   * @returns {Object|null} - The EDataType object or null if not found
+   */
+  findDataTypeByName(dataTypeName) {
+    return this.getAllDataTypes().find((dataType) => this.matchesName(dataType, dataTypeName)) || null;
+  }
+
+  /**
+   * Find a classifier (class, enum or datatype) by name
+   * @param {string} classifierName - Name of the classifier to find
+   * @returns {Object|null} - The EClassifier object or null if not found
+   */
+  findClassifierByName(classifierName) {
+    return this.getAllClassifiers().find((classifier) => this.matchesName(classifier, classifierName)) || null;
+  }
+
+  /**
+   * Get all literals of a specific enum
+   * @param {Object|string} eEnum - The EEnum object or enum name
+   * @returns {Array} - Array of literal objects in declaration order
+   */
+  getEnumLiterals(eEnum) {
+    let targetEnum = eEnum;
+
+    // If a string is provided, find the enum by name
+    if (typeof eEnum === "string") {
+      targetEnum = this.findEnumByName(eEnum);
+      if (!targetEnum) {
+        console.error(`Enum with name ${eEnum} not found`);
+        return [];
+      }
+    }
+
+    return targetEnum.get("eLiterals").map((literal) => ({
+      name: literal.get("name"),
+      value: Number(literal.get("value") || 0), // EMF defaults a missing value to 0
+      literal: literal.get("literal") || literal.get("name"),
+    }));
   }
 
   /**
@@ -122,9 +376,10 @@ class MetamodelLoader {
       if (feature.isKindOf(Ecore.EAttribute)) {
         attributes.push({
           name: feature.get("name"),
-          type: feature.get("eType").get("name"),
+          type: feature.get("eType") ? feature.get("eType").get("name") : null,
           lowerBound: feature.get("lowerBound"),
           upperBound: feature.get("upperBound"),
+          ...this.getAttributeProperties(feature),
         });
       }
     });
@@ -132,6 +387,41 @@ class MetamodelLoader {
     return attributes;
   }
 
+  /**
+   * Get the properties of an attribute, filling in EMF defaults for unset ones
+   * @param {Object} attribute - The EAttribute object
+   * @returns {Object} - { defaultValueLiteral, iD, derived, transient, volatile, unsettable, changeable, ordered, unique }
+   */
+  getAttributeProperties(attribute) {
+    const properties = {};
+    Object.entries(ATTRIBUTE_PROPERTIES).forEach(([name, defaultValue]) => {
+      const value = attribute.get(name);
+      if (value === undefined || value === null) {
+        properties[name] = defaultValue;
+      } else {
+        properties[name] = typeof defaultValue === "boolean" ? this.isTrue(value) : value;
+      }
+    });
+    return properties;
+  }
+
+  /**
+   * Set properties of an attribute
+   * @param {Object} attribute - The EAttribute object
+   * @param {Object} properties - Any of defaultValueLiteral, iD, derived, transient, volatile, unsettable,
+   *   changeable, ordered and unique
+   */
+  setAttributeProperties(attribute, properties) {
+    Object.entries(properties).forEach(([name, value]) => {
+      if (!(name in ATTRIBUTE_PROPERTIES)) {
+        throw new Error(`Unknown attribute property ${name}`);
+      }
+      if (value !== undefined) {
+        attribute.set(name, value);
+      }
+    });
+  }
+
   /**
    * Get all references for a specific class
    * @param {Object|string} eClass - The EClass object or class name
@@ -156,10 +446,11 @@ class MetamodelLoader {
       if (feature.isKindOf(Ecore.EReference)) {
         references.push({
           name: feature.get("name"),
-          type: feature.get("eType").get("name"),
+          type: feature.get("eType") ? feature.get("eType").get("name") : null,
           containment: feature.get("containment"),
           lowerBound: feature.get("lowerBound"),
           upperBound: feature.get("upperBound"),
+          opposite: feature.get("eOpposite") ? feature.get("eOpposite").get("name") : null,
         });
       }
     });
@@ -168,29 +459,249 @@ class MetamodelLoader {
   }
 
   /**
-   * Find a class by name
-   * @param {string} className - Name of the class to find
-   * @returns {Object|null} - The EClass object or null if not found
+   * Get all operations for a specific class
+   * @param {Object|string} eClass - The EClass object or class name
+   * @returns {Array} - Array of operation objects; returnType is null for operations without result
    */
-  findClassByName(className) {
-    if (!this.rootPackage || !this.rootPackage.isKindOf(Ecore.EPackage)) {
+  getClassOperations(eClass) {
+    let targetClass = eClass;
+
+    // If a string is provided, find the class by name
+    if (typeof eClass === "string") {
+      targetClass = this.findClassByName(eClass);
+      if (!targetClass) {
+        console.error(`Class with name ${eClass} not found`);
+        return [];
+      }
+    }
+
+    return targetClass.get("eOperations").map((operation) => ({
+      name: operation.get("name"),
+      returnType: operation.get("eType") ? operation.get("eType").get("name") : null,
+      lowerBound: operation.get("lowerBound"),
+      upperBound: operation.get("upperBound"),
+      parameters: operation.get("eParameters").map((parameter) => ({
+        name: parameter.get("name"),
+        type: parameter.get("eType") ? parameter.get("eType").get("name") : null,
+        lowerBound: parameter.get("lowerBound"),
+        upperBound: parameter.get("upperBound"),
+      })),
+    }));
+  }
+
+  /**
+   * Find an operation declared by a class or one of its super types
+   * @param {Object|string} eClass - The EClass object or class name
+   * @param {string} operationName - Name of the operation
+   * @returns {Object|null} - The EOperation object or null if not found
+   */
+  findOperation(eClass, operationName) {
+    const targetClass = typeof eClass === "string" ? this.findClassByName(eClass) : eClass;
+    if (!targetClass) {
       return null;
     }
 
-    let foundClass = null;
-    const eClassifiers = this.rootPackage.get("eClassifiers");
+    for (const declaringClass of [targetClass, ...this.getAllSuperTypes(targetClass)]) {
+      const operation = declaringClass.get("eOperations").find((candidate) => candidate.get("name") === operationName);
+      if (operation) {
+        return operation;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the operations of all classes whose return type or a parameter type is a classifier
+   * @param {Object|string} classifier - The EClassifier object or classifier name
+   * @returns {Array} - Array of EOperation objects
+   */
+  getOperationsUsing(classifier) {
+    const targetClassifier = typeof classifier === "string" ? this.findClassifierByName(classifier) : classifier;
+    if (!targetClassifier) {
+      return [];
+    }
+
+    return this.getAllClasses()
+      .flatMap((cls) => cls.get("eOperations").array())
+      .filter(
+        (operation) =>
+          operation.get("eType") === targetClassifier ||
+          operation.get("eParameters").array().some((parameter) => parameter.get("eType") === targetClassifier)
+      );
+  }
+
+  /**
+   * Get all attributes of a class, including inherited ones
+   * @param {Object|string} eClass - The EClass object or class name
+   * @returns {Array} - Array of attribute objects with the name of their declaringClass
+   */
+  getAllClassAttributes(eClass) {
+    return this.getAllClassFeatures(eClass).filter((feature) => feature.kind === "attribute");
+  }
+
+  /**
+   * Get all references of a class, including inherited ones
+   * @param {Object|string} eClass - The EClass object or class name
+   * @returns {Array} - Array of reference objects with the name of their declaringClass
+   */
+  getAllClassReferences(eClass) {
+    return this.getAllClassFeatures(eClass).filter((feature) => feature.kind === "reference");
+  }
+
+  /**
+   * Get all structural features of a class, own features first, then those of its super types
+   * @param {Object|string} eClass - The EClass object or class name
+   * @returns {Array} - Array of attribute and reference objects with kind and declaringClass
+   */
+  getAllClassFeatures(eClass) {
+    const targetClass = typeof eClass === "string" ? this.findClassByName(eClass) : eClass;
+    if (!targetClass) {
+      console.error(`Class with name ${eClass} not found`);
+      return [];
+    }
+
+    const features = [];
+    [targetClass, ...this.getAllSuperTypes(targetClass)].forEach((declaringClass) => {
+      const declaringClassName = declaringClass.get("name");
+      this.getClassAttributes(declaringClass).forEach((attr) => {
+        features.push({ ...attr, kind: "attribute", declaringClass: declaringClassName });
+      });
+      this.getClassReferences(declaringClass).forEach((ref) => {
+        features.push({ ...ref, kind: "reference", declaringClass: declaringClassName });
+      });
+    });
+
+    return features;
+  }
+
+  /**
+   * Find an attribute declared by a class or one of its super types
+   * @param {Object|string} eClass - The EClass object or class name
+   * @param {string} attributeName - Name of the attribute
+   * @returns {Object|null} - The EAttribute object or null if not found
+   */
+  findAttribute(eClass, attributeName) {
+    const targetClass = typeof eClass === "string" ? this.findClassByName(eClass) : eClass;
+    if (!targetClass) {
+      return null;
+    }
+
+    for (const declaringClass of [targetClass, ...this.getAllSuperTypes(targetClass)]) {
+      const attribute = declaringClass
+        .get("eStructuralFeatures")
+        .find((feature) => feature.isKindOf(Ecore.EAttribute) && feature.get("name") === attributeName);
+      if (attribute) {
+        return attribute;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find a reference declared by a class or one of its super types
+   * @param {Object|string} eClass - The EClass object or class name
+   * @param {string} referenceName - Name of the reference
+   * @returns {Object|null} - The EReference object or null if not found
+   */
+  findReference(eClass, referenceName) {
+    const targetClass = typeof eClass === "string" ? this.findClassByName(eClass) : eClass;
+    if (!targetClass) {
+      return null;
+    }
+
+    for (const declaringClass of [targetClass, ...this.getAllSuperTypes(targetClass)]) {
+      const reference = declaringClass
+        .get("eStructuralFeatures")
+        .find((feature) => feature.isKindOf(Ecore.EReference) && feature.get("name") === referenceName);
+      if (reference) {
+        return reference;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get all direct and indirect super types of a class
+   *
+   * Unlike eAllSuperTypes this stops at classes already visited, so it also
+   * terminates on metamodels that contain an inheritance cycle.
+   * @param {Object|string} eClass - The EClass object or class name
+   * @returns {Array} - Array of EClass objects, nearest super types first
+   */
+  getAllSuperTypes(eClass) {
+    const targetClass = typeof eClass === "string" ? this.findClassByName(eClass) : eClass;
+    if (!targetClass) {
+      return [];
+    }
+
+    const superTypes = [];
+    const pending = [...targetClass.get("eSuperTypes").array()];
+
+    while (pending.length > 0) {
+      const current = pending.shift();
+      if (current !== targetClass && !superTypes.includes(current)) {
+        superTypes.push(current);
+        pending.push(...current.get("eSuperTypes").array());
+      }
+    }
+
+    return superTypes;
+  }
+
+  /**
+   * Get the subclasses of a class
+   * @param {Object|string} eClass - The EClass object or class name
+   * @param {boolean} [transitive=true] - Include indirect subclasses
+   * @returns {Array} - Array of EClass objects
+   */
+  getSubClasses(eClass, transitive = true) {
+    const targetClass = typeof eClass === "string" ? this.findClassByName(eClass) : eClass;
+    if (!targetClass) {
+      return [];
+    }
 
-    eClassifiers.each((classifier) => {
-      if (
-        classifier.isKindOf(Ecore.EClass) &&
-        classifier.get("name") === className
-      ) {
-        foundClass = classifier;
-        return false; // Break the loop
+    return this.getAllClasses().filter((cls) => {
+      if (cls === targetClass) {
+        return false;
       }
+      return transitive
+        ? this.getAllSuperTypes(cls).includes(targetClass)
+        : cls.get("eSuperTypes").array().includes(targetClass);
     });
+  }
 
-    return foundClass;
+  /**
+   * Get the references of all classes that are typed by a class
+   * @param {Object|string} eClass - The EClass object or class name
+   * @returns {Array} - Array of EReference objects
+   */
+  getReferencesTo(eClass) {
+    const targetClass = typeof eClass === "string" ? this.findClassByName(eClass) : eClass;
+    if (!targetClass) {
+      return [];
+    }
+
+    return this.getAllClasses()
+      .flatMap((cls) => cls.get("eStructuralFeatures").array())
+      .filter((feature) => feature.isTypeOf("EReference") && feature.get("eType") === targetClass);
+  }
+
+  /**
+   * Find a class by name
+   * @param {string} className - Name of the class to find
+   * @returns {Object|null} - The EClass object or null if not found
+   */
+  findClassByName(className) {
+    return this.getAllClasses().find((cls) => this.matchesName(cls, className)) || null;
+  }
+
+  /**
+   * Read an Ecore boolean, which is a string after XMI parsing
+   * @param {boolean|string} value - The stored value
+   * @returns {boolean} - True for true and "true"
+   */
+  isTrue(value) {
+    return value === true || value === "true";
   }
 
   /**
@@ -200,21 +711,53 @@ class MetamodelLoader {
   generateMetamodelReport() {
     const report = {
       packageName: this.rootPackage ? this.rootPackage.get("name") : "Unknown",
+      packages: [],
       classes: [],
+      enums: [],
+      dataTypes: [],
     };
 
+    this.getAllPackages().forEach((ePackage) => {
+      report.packages.push({
+        name: this.getQualifiedName(ePackage),
+        nsURI: ePackage.get("nsURI"),
+        nsPrefix: ePackage.get("nsPrefix"),
+      });
+    });
+
     const classes = this.getAllClasses();
 
     classes.forEach((cls) => {
       const classReport = {
         name: cls.get("name"),
+        package: this.getQualifiedName(cls.eContainer),
+        abstract: this.isTrue(cls.get("abstract")),
+        interface: this.isTrue(cls.get("interface")),
+        superTypes: cls.get("eSuperTypes").map((superType) => superType.get("name")),
         attributes: this.getClassAttributes(cls),
         references: this.getClassReferences(cls),
+        operations: this.getClassOperations(cls),
       };
 
       report.classes.push(classReport);
     });
 
+    this.getAllEnums().forEach((eEnum) => {
+      report.enums.push({
+        name: eEnum.get("name"),
+        package: this.getQualifiedName(eEnum.eContainer),
+        literals: this.getEnumLiterals(eEnum),
+      });
+    });
+
+    this.getAllDataTypes().forEach((dataType) => {
+      report.dataTypes.push({
+        name: dataType.get("name"),
+        package: this.getQualifiedName(dataType.eContainer),
+        instanceClassName: dataType.get("instanceClassName") || null,
+      });
+    });
+
     return report;
   }
 
@@ -231,7 +774,7 @@ class MetamodelLoader {
   }
 
   /**
-   * Save the metamodel to a file
+   * Save the metamodel to a file of the storage (a download in the browser)
    * @param {string} filePath - Path to save the file
    * @param {string} [format='xmi'] - Format: 'xmi' or 'json'
    */
@@ -245,40 +788,371 @@ class MetamodelLoader {
       content = JSON.stringify(this.exportToJSON(), null, 2);
     } else {
       // Default to XMI
-      content = this.currentResource.to(Ecore.XMI);
+      content = this.toEcoreXMI();
     }
 
-    fs.writeFileSync(filePath, content, "utf-8");
+    this.storage.writeText(filePath, content, format.toLowerCase() === "json" ? "application/json" : "application/xml");
     console.log(`Metamodel saved to ${filePath}`);
   }
 
   /**
-   * Create a new EClass in the current metamodel
-   * @param {string} className - Name for the new class
-   * @returns {Object} - The created EClass
+   * Take a snapshot of the current metamodel
+   * @returns {string} - XMI content of the current resource
    */
-  createClass(className) {
+  createSnapshot() {
+    if (!this.currentResource) {
+      throw new Error("No resource loaded");
+    }
+
+    return this.toEcoreXMI();
+  }
+
+  /**
+   * Serialize the current resource as XMI that EMF can read
+   * @returns {string} - XMI content
+   */
+  toEcoreXMI() {
+    // ecore.js names the subpackage feature eSubPackages, EMF spells it eSubpackages
+    return this.currentResource.to(Ecore.XMI).replace(/(<\/?)eSubPackages\b/g, "$1eSubpackages");
+  }
+
+  /**
+   * Prepare EMF-written XMI content for parsing with ecore.js
+   * @param {string} xmiContent - XMI content as written by EMF
+   * @returns {string} - XMI content using the element names of ecore.js
+   */
+  fromEcoreXMI(xmiContent) {
+    return xmiContent.replace(/(<\/?)eSubpackages\b/g, "$1eSubPackages");
+  }
+
+  /**
+   * Prepare Ecore JSON content for parsing with ecore.js
+   * @param {string} jsonContent - JSON content as written by exportToJSON or EMF JSON tools
+   * @returns {Object|Array} - The parsed root package, or an array of root packages
+   */
+  fromEcoreJSON(jsonContent) {
+    // EMF JSON tools spell the subpackage feature eSubpackages like XMI does
+    return JSON.parse(jsonContent.replace(/^\uFEFF/, ""), (key, value) => {
+      if (value && typeof value === "object" && !Array.isArray(value) && "eSubpackages" in value) {
+        const { eSubpackages, ...rest } = value;
+        return { ...rest, eSubPackages: eSubpackages };
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Turn parsed "true"/"false" strings of boolean features into booleans
+   *
+   * ecore.js keeps XMI attribute values as strings and never writes the string "false",
+   * so a false changeable, ordered or unique (all true by default) would get lost on save.
+   * @param {Object} resource - A parsed resource
+   */
+  normalizeBooleans(resource) {
+    const normalize = (eObject) => {
+      eObject.eClass.get("eAllStructuralFeatures").forEach((feature) => {
+        // Derived features such as eAllSuperTypes are never read: they recurse forever on an inheritance cycle
+        if (!feature.isTypeOf("EAttribute") || feature.get("eType") !== Ecore.EBoolean || feature.get("derived")) {
+          return;
+        }
+        const value = eObject.get(feature.get("name"));
+        if (value === "true" || value === "false") {
+          eObject.set(feature.get("name"), value === "true");
+        }
+      });
+      eObject.eContents().forEach(normalize);
+    };
+    resource.get("contents").each(normalize);
+  }
+
+  /**
+   * Restore the current metamodel from a snapshot taken with createSnapshot
+   * @param {string} snapshot - XMI content of the resource
+   */
+  restoreSnapshot(snapshot) {
+    if (!this.currentResource) {
+      throw new Error("No resource loaded");
+    }
+
+    // Replace the resource contents in place so the resource URI stays valid
+    this.currentResource.clear();
+    this.currentResource.parse(this.fromEcoreXMI(snapshot), Ecore.XMI);
+    this.normalizeBooleans(this.currentResource);
+
+    const contents = this.currentResource.get("contents");
+    this.rootPackage = contents.size() > 0 ? contents.at(0) : null;
+  }
+
+  /**
+   * Resolve the package a new classifier or subpackage goes into
+   * @param {string} qualifiedName - Simple name (root package) or qualified name of the new element
+   * @returns {Object} - { targetPackage, simpleName }
+   */
+  resolveTargetPackage(qualifiedName) {
     if (!this.rootPackage || !this.rootPackage.isKindOf(Ecore.EPackage)) {
       throw new Error("No valid package loaded");
     }
 
+    const { packageName, simpleName } = this.splitQualifiedName(qualifiedName);
+    const targetPackage = packageName ? this.findPackageByName(packageName) : this.rootPackage;
+    if (!targetPackage) {
+      throw new Error(`Package ${packageName} not found`);
+    }
+
+    return { targetPackage, simpleName };
+  }
+
+  /**
+   * Find a classifier directly contained in a package
+   * @param {Object} ePackage - The package to search
+   * @param {string} simpleName - Unqualified classifier name
+   * @returns {Object|null} - The EClassifier object or null if not found
+   */
+  findClassifierInPackage(ePackage, simpleName) {
+    return ePackage.get("eClassifiers").find((classifier) => classifier.get("name") === simpleName) || null;
+  }
+
+  /**
+   * Create a new subpackage
+   * @param {string} packageName - Name for the new package, qualified to nest it (e.g. hr.payroll)
+   * @param {string} [nsURI] - Namespace URI (defaults to the parent's URI extended by the name)
+   * @param {string} [nsPrefix] - Namespace prefix (defaults to the name)
+   * @returns {Object} - The created EPackage
+   */
+  createPackage(packageName, nsURI = null, nsPrefix = null) {
+    const { targetPackage: parentPackage, simpleName } = this.resolveTargetPackage(packageName);
+
+    if (parentPackage.get("eSubPackages").find((subpackage) => subpackage.get("name") === simpleName)) {
+      throw new Error(`Package ${packageName} already exists`);
+    }
+
+    const newPackage = Ecore.EPackage.create({
+      name: simpleName,
+      nsURI: nsURI || `${parentPackage.get("nsURI")}/${simpleName}`,
+      nsPrefix: nsPrefix || simpleName,
+    });
+
+    parentPackage.get("eSubPackages").add(newPackage);
+    console.log(`Created new package: ${this.getQualifiedName(newPackage)}`);
+
+    return newPackage;
+  }
+
+  /**
+   * Remove a package together with its contents
+   * @param {Object|string} ePackage - The EPackage object or its name
+   */
+  removePackage(ePackage) {
+    const targetPackage = typeof ePackage === "string" ? this.findPackageByName(ePackage) : ePackage;
+    if (!targetPackage) {
+      throw new Error(`Package ${ePackage} not found`);
+    }
+
+    const parentPackage = targetPackage.eContainer;
+    if (parentPackage && parentPackage.isKindOf && parentPackage.isKindOf(Ecore.EPackage)) {
+      parentPackage.get("eSubPackages").remove(targetPackage);
+    } else {
+      if (this.getRootPackages().length === 1) {
+        throw new Error(`Cannot remove the only root package ${targetPackage.get("name")}`);
+      }
+      this.currentResource.get("contents").remove(targetPackage);
+      if (this.rootPackage === targetPackage) {
+        this.rootPackage = this.getRootPackages()[0];
+      }
+    }
+    console.log(`Removed package: ${targetPackage.get("name")}`);
+  }
+
+  /**
+   * Move a classifier into another package
+   * @param {Object|string} classifier - The EClassifier object or its name
+   * @param {Object|string} ePackage - The target EPackage object or its name
+   */
+  moveClassifier(classifier, ePackage) {
+    const targetClassifier = typeof classifier === "string" ? this.findClassifierByName(classifier) : classifier;
+    const targetPackage = typeof ePackage === "string" ? this.findPackageByName(ePackage) : ePackage;
+    if (!targetClassifier) {
+      throw new Error(`Classifier ${classifier} not found`);
+    }
+    if (!targetPackage) {
+      throw new Error(`Package ${ePackage} not found`);
+    }
+    if (this.findClassifierInPackage(targetPackage, targetClassifier.get("name"))) {
+      throw new Error(`Package ${targetPackage.get("name")} already contains ${targetClassifier.get("name")}`);
+    }
+
+    targetClassifier.eContainer.get("eClassifiers").remove(targetClassifier);
+    targetPackage.get("eClassifiers").add(targetClassifier);
+    console.log(`Moved ${targetClassifier.get("name")} to package ${this.getQualifiedName(targetPackage)}`);
+  }
+
+  /**
+   * Create a new EClass in the current metamodel
+   * @param {string} className - Name for the new class, qualified to create it in a subpackage (e.g. hr.Employee)
+   * @param {Array} [superTypes=[]] - Super types as EClass objects or class names
+   * @param {boolean} [isAbstract=false] - Whether the class is abstract
+   * @param {boolean} [isInterface=false] - Whether the class is an interface (interfaces are always abstract)
+   * @returns {Object} - The created EClass
+   */
+  createClass(className, superTypes = [], isAbstract = false, isInterface = false) {
+    const { targetPackage, simpleName } = this.resolveTargetPackage(className);
+
     // Check if class already exists
-    if (this.findClassByName(className)) {
+    if (this.findClassifierInPackage(targetPackage, simpleName)) {
       throw new Error(`Class ${className} already exists`);
     }
 
+    // Resolve super types before touching the package
+    const resolvedSuperTypes = superTypes.map((superType) => {
+      const superClass = typeof superType === "string" ? this.findClassByName(superType) : superType;
+      if (!superClass) {
+        throw new Error(`Super type ${superType} not found`);
+      }
+      return superClass;
+    });
+
     // Create new class
     const newClass = Ecore.EClass.create({
-      name: className,
+      name: simpleName,
+      abstract: isAbstract || isInterface,
+      interface: isInterface,
     });
+    resolvedSuperTypes.forEach((superClass) => newClass.get("eSuperTypes").add(superClass));
 
     // Add to package
-    this.rootPackage.get("eClassifiers").add(newClass);
+    targetPackage.get("eClassifiers").add(newClass);
     console.log(`Created new class: ${className}`);
 
     return newClass;
   }
 
+  /**
+   * Create a new EEnum in the current metamodel
+   * @param {string} enumName - Name for the new enum, qualified to create it in a subpackage
+   * @param {Array} [literals=[]] - Literals as { name, value } objects or plain names
+   * @returns {Object} - The created EEnum
+   */
+  createEnum(enumName, literals = []) {
+    const { targetPackage, simpleName } = this.resolveTargetPackage(enumName);
+
+    // Check if a classifier with this name already exists
+    if (this.findClassifierInPackage(targetPackage, simpleName)) {
+      throw new Error(`Classifier ${enumName} already exists`);
+    }
+
+    // Create new enum
+    const newEnum = Ecore.EEnum.create({
+      name: simpleName,
+    });
+
+    // Add to package before the literals so they belong to a resource
+    targetPackage.get("eClassifiers").add(newEnum);
+    literals.forEach((literal, index) => {
+      const { name, value } = typeof literal === "string" ? { name: literal } : literal;
+      this.addEnumLiteral(newEnum, name, value ?? index);
+    });
+    console.log(`Created new enum: ${enumName}`);
+
+    return newEnum;
+  }
+
+  /**
+   * Create a new custom EDataType in the current metamodel
+   * @param {string} dataTypeName - Name for the new datatype, qualified to create it in a subpackage
+   * @param {string} [instanceClassName] - Class of the values (e.g. java.math.BigDecimal)
+   * @returns {Object} - The created EDataType
+   */
+  createDataType(dataTypeName, instanceClassName = null) {
+    const { targetPackage, simpleName } = this.resolveTargetPackage(dataTypeName);
+
+    // Check if a classifier with this name already exists
+    if (this.findClassifierInPackage(targetPackage, simpleName)) {
+      throw new Error(`Classifier ${dataTypeName} already exists`);
+    }
+
+    const dataType = Ecore.EDataType.create({ name: simpleName });
+    if (instanceClassName) {
+      dataType.set("instanceClassName", instanceClassName);
+    }
+
+    targetPackage.get("eClassifiers").add(dataType);
+    console.log(`Created new datatype: ${dataTypeName}`);
+
+    return dataType;
+  }
+
+  /**
+   * Add a literal to an enum
+   * @param {Object|string} eEnum - The EEnum object or enum name
+   * @param {string} literalName - Name for the new literal
+   * @param {number} [value] - Literal value (defaults to one above the highest existing value)
+   * @param {number} [position] - Index to insert the literal at (defaults to the end)
+   * @returns {Object} - The created EEnumLiteral
+   */
+  addEnumLiteral(eEnum, literalName, value = undefined, position = undefined) {
+    let targetEnum = eEnum;
+
+    // If a string is provided for the enum, find it by name
+    if (typeof eEnum === "string") {
+      targetEnum = this.findEnumByName(eEnum);
+      if (!targetEnum) {
+        throw new Error(`Enum with name ${eEnum} not found`);
+      }
+    }
+
+    const literalValue =
+      value ?? this.getEnumLiterals(targetEnum).reduce((max, literal) => Math.max(max, literal.value), -1) + 1;
+
+    // Create new literal
+    const literal = Ecore.EEnumLiteral.create({
+      name: literalName,
+      value: literalValue,
+    });
+
+    const eLiterals = targetEnum.get("eLiterals");
+    eLiterals.add(literal);
+    if (position !== undefined && position < eLiterals.size() - 1) {
+      const names = eLiterals.map((existing) => existing.get("name")).slice(0, -1);
+      names.splice(position, 0, literalName);
+      this.reorderEnumLiterals(targetEnum, names);
+    }
+    console.log(`Added literal ${literalName} to enum ${targetEnum.get("name")}`);
+
+    return literal;
+  }
+
+  /**
+   * Reorder the literals of an enum
+   * @param {Object|string} eEnum - The EEnum object or enum name
+   * @param {Array} literalNames - All literal names in the new order
+   */
+  reorderEnumLiterals(eEnum, literalNames) {
+    let targetEnum = eEnum;
+
+    // If a string is provided for the enum, find it by name
+    if (typeof eEnum === "string") {
+      targetEnum = this.findEnumByName(eEnum);
+      if (!targetEnum) {
+        throw new Error(`Enum with name ${eEnum} not found`);
+      }
+    }
+
+    const eLiterals = targetEnum.get("eLiterals");
+    const current = [...eLiterals.array()];
+    if (
+      literalNames.length !== current.length ||
+      !current.every((literal) => literalNames.includes(literal.get("name")))
+    ) {
+      throw new Error(`New literal order must list every literal of ${targetEnum.get("name")} exactly once`);
+    }
+
+    // EList has no insert or move, so rebuild the list in the new order
+    eLiterals.clear();
+    literalNames.forEach((name) => {
+      eLiterals.add(current.find((literal) => literal.get("name") === name));
+    });
+  }
+
   /**
    * Add an attribute to a class
    * @param {Object|string} eClass - The EClass object or class name
@@ -286,6 +1160,7 @@ class MetamodelLoader {
    * @param {Object|string} attributeType - The EDataType object or type name (e.g., 'EString')
    * @param {number} [lowerBound=0] - Lower bound (0 = optional)
    * @param {number} [upperBound=1] - Upper bound (1 = single, -1 = many)
+   * @param {Object} [properties={}] - Further attribute properties, see setAttributeProperties
    * @returns {Object} - The created attribute
    */
   addAttribute(
@@ -293,7 +1168,8 @@ class MetamodelLoader {
     attributeName,
     attributeType,
     lowerBound = 0,
-    upperBound = 1
+    upperBound = 1,
+    properties = {}
   ) {
     let targetClass = eClass;
     let targetType = attributeType;
@@ -306,10 +1182,9 @@ class MetamodelLoader {
       }
     }
 
-    // If a string is provided for type, find the datatype
+    // If a string is provided for type, find the datatype, enum or Ecore built-in type
     if (typeof attributeType === "string") {
-      // Use Ecore's built-in types
-      targetType = Ecore[attributeType];
+      targetType = this.resolveDataType(attributeType);
       if (!targetType) {
         throw new Error(`DataType ${attributeType} not found`);
       }
@@ -323,6 +1198,8 @@ class MetamodelLoader {
       upperBound: upperBound,
     });
 
+    this.setAttributeProperties(attribute, properties);
+
     // Add to class
     targetClass.get("eStructuralFeatures").add(attribute);
     console.log(
@@ -340,6 +1217,8 @@ class MetamodelLoader {
    * @param {boolean} [containment=false] - Whether this is a containment reference
    * @param {number} [lowerBound=0] - Lower bound (0 = optional)
    * @param {number} [upperBound=1] - Upper bound (1 = single, -1 = many)
+   * @param {string|Object} [opposite=null] - Name of a reference of the target class to pair as eOpposite,
+   *   or { name, lowerBound, upperBound } of a back-reference to create in the target class
    * @returns {Object} - The created reference
    */
   addReference(
@@ -348,7 +1227,8 @@ class MetamodelLoader {
     referenceName,
     containment = false,
     lowerBound = 0,
-    upperBound = 1
+    upperBound = 1,
+    opposite = null
   ) {
     let source = sourceClass;
     let target = targetClass;
@@ -386,8 +1266,111 @@ class MetamodelLoader {
       )} to ${target.get("name")}`
     );
 
+    if (opposite) {
+      const { name, lowerBound: oppositeLower = 0, upperBound: oppositeUpper = 1 } =
+        typeof opposite === "string" ? { name: opposite } : opposite;
+      const oppositeReference =
+        this.findReference(target, name) || this.addReference(target, source, name, false, oppositeLower, oppositeUpper);
+      this.setOpposite(reference, oppositeReference);
+    }
+
     return reference;
   }
+
+  /**
+   * Add an operation to a class
+   * @param {Object|string} eClass - The EClass object or class name
+   * @param {string} operationName - Name for the new operation
+   * @param {Object|string} [returnType=null] - Return type or its name, null for operations without result
+   * @param {Array} [parameters=[]] - Parameters [{ name, type, lowerBound, upperBound }]
+   * @param {number} [lowerBound=0] - Lower bound of the result
+   * @param {number} [upperBound=1] - Upper bound of the result (-1 = many)
+   * @returns {Object} - The created operation
+   */
+  addOperation(eClass, operationName, returnType = null, parameters = [], lowerBound = 0, upperBound = 1) {
+    const targetClass = typeof eClass === "string" ? this.findClassByName(eClass) : eClass;
+    if (!targetClass) {
+      throw new Error(`Class with name ${eClass} not found`);
+    }
+
+    const operation = Ecore.EOperation.create({
+      name: operationName,
+      lowerBound: lowerBound,
+      upperBound: upperBound,
+    });
+    this.setOperationReturnType(operation, returnType);
+    this.setOperationParameters(operation, parameters);
+
+    targetClass.get("eOperations").add(operation);
+    console.log(`Added operation ${operationName} to class ${targetClass.get("name")}`);
+
+    return operation;
+  }
+
+  /**
+   * Set the return type of an operation
+   * @param {Object} operation - The EOperation object
+   * @param {Object|string|null} returnType - Return type or its name, null for operations without result
+   */
+  setOperationReturnType(operation, returnType) {
+    const targetType = returnType ? this.resolveType(returnType) : null;
+    if (returnType && !targetType) {
+      throw new Error(`Type ${returnType} not found`);
+    }
+    operation.set("eType", targetType);
+  }
+
+  /**
+   * Replace the parameters of an operation
+   * @param {Object} operation - The EOperation object
+   * @param {Array} parameters - Parameters in order [{ name, type, lowerBound, upperBound }]
+   */
+  setOperationParameters(operation, parameters) {
+    const eParameters = parameters.map(({ name, type, lowerBound = 0, upperBound = 1 }) => {
+      const targetType = this.resolveType(type);
+      if (!targetType) {
+        throw new Error(`Type ${type} of parameter ${name} not found`);
+      }
+      return Ecore.EParameter.create({ name, eType: targetType, lowerBound, upperBound });
+    });
+
+    const list = operation.get("eParameters");
+    list.clear();
+    eParameters.forEach((parameter) => list.add(parameter));
+  }
+
+  /**
+   * Pair two references as each other's eOpposite
+   *
+   * Previous partners of either reference are unpaired first, so both ends stay consistent.
+   * @param {Object} reference - An EReference
+   * @param {Object} opposite - The EReference on the other end
+   */
+  setOpposite(reference, opposite) {
+    [reference, opposite].forEach((end) => {
+      if (end.get("eOpposite") && ![reference, opposite].includes(end.get("eOpposite"))) {
+        this.unsetOpposite(end);
+      }
+    });
+
+    reference.set("eOpposite", opposite);
+    opposite.set("eOpposite", reference);
+    console.log(`Paired reference ${reference.get("name")} with opposite ${opposite.get("name")}`);
+  }
+
+  /**
+   * Remove the eOpposite of a reference on both ends
+   * @param {Object} reference - An EReference
+   */
+  unsetOpposite(reference) {
+    const opposite = reference.get("eOpposite");
+    if (opposite && opposite.get("eOpposite") === reference) {
+      opposite.set("eOpposite", null);
+    }
+    reference.set("eOpposite", null);
+  }
 }
 
+MetamodelLoader.ATTRIBUTE_PROPERTIES = ATTRIBUTE_PROPERTIES;
+
 export default MetamodelLoader;
@@ -0,0 +1,135 @@
+/**
+ * MetamodelRemovalPlanner.js
+ * A class for computing the dependent changes of a cascading class removal
+ *
+ * Removing a class from eClassifiers leaves other elements pointing at the
+ * detached object. The plan lists every change needed to keep the metamodel
+ * consistent, so it can be shown before it is applied:
+ * - Incoming references are removed, or retargeted to another class
+ * - Direct subclasses inherit from the super types of the removed class instead
+ * - eOpposite partners of removed references are removed as well
+ * - Retargeted references lose an eOpposite that belonged to the removed class
+ * - Operations of other classes whose signature uses the removed class are removed, or retargeted
+ *
+ * Changes name their elements by qualified class name and feature name, so a
+ * plan stays JSON-serializable and can be stored with the operation.
+ */
+
+class MetamodelRemovalPlanner {
+  /**
+   * @param {MetamodelLoader} loader - Loader holding the metamodel before the removal
+   */
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  /**
+   * Plan the removal of a class
+   * @param {Object} targetClass - The EClass to remove
+   * @param {Object} [options] - { cascade: 'delete' | 'retarget', retargetTo: class name for retargeted references }
+   * @returns {Array} - Changes [{ kind, element, className, featureName, operationName, target, superTypes, lostFeatures,
+   *   description }]
+   *   in the order they must be applied
+   */
+  planClassRemoval(targetClass, { cascade = "delete", retargetTo = null } = {}) {
+    const changes = [];
+    const className = targetClass.get("name");
+    const removed = new Set(targetClass.get("eStructuralFeatures").filter((feature) => feature.isTypeOf("EReference")));
+    const incoming = this.loader.getReferencesTo(targetClass).filter((reference) => reference.eContainer !== targetClass);
+    const retargeted = new Set(cascade === "retarget" ? incoming : []);
+
+    if (cascade === "retarget") {
+      incoming.forEach((reference) => {
+        const opposite = reference.get("eOpposite");
+        if (opposite && removed.has(opposite)) {
+          changes.push(this._change("unsetOpposite", reference, `Unset the opposite ${className}.${opposite.get("name")} of ${this._featureName(reference)}`));
+        }
+        changes.push({
+          ...this._change("retargetReference", reference, `Retarget ${this._featureName(reference)} from ${className} to ${retargetTo}`),
+          target: retargetTo,
+        });
+      });
+    } else {
+      incoming.forEach((reference) => {
+        removed.add(reference);
+        changes.push(this._change("removeReference", reference, `Remove ${this._featureName(reference)}, which references ${className}`));
+      });
+    }
+
+    // Partners of removed references would keep an eOpposite to a detached reference
+    [...removed].forEach((reference) => {
+      const opposite = reference.get("eOpposite");
+      if (opposite && !removed.has(opposite) && !retargeted.has(opposite) && opposite.eContainer !== targetClass) {
+        removed.add(opposite);
+        changes.push(this._change("removeOpposite", opposite, `Remove ${this._featureName(opposite)}, the opposite of ${this._featureName(reference)}`));
+      }
+    });
+
+    this.loader
+      .getOperationsUsing(targetClass)
+      .filter((operation) => operation.eContainer !== targetClass)
+      .forEach((operation) => {
+        const ownerName = this.loader.getQualifiedName(operation.eContainer);
+        const change = {
+          element: `${ownerName}.${operation.get("name")}()`,
+          className: ownerName,
+          operationName: operation.get("name"),
+        };
+        if (cascade === "retarget") {
+          changes.push({
+            kind: "retargetOperation",
+            ...change,
+            target: retargetTo,
+            description: `Use ${retargetTo} instead of ${className} in the signature of ${this._featureName(operation)}`,
+          });
+        } else {
+          changes.push({
+            kind: "removeOperation",
+            ...change,
+            description: `Remove ${this._featureName(operation)}, whose signature uses ${className}`,
+          });
+        }
+      });
+
+    const superTypes = targetClass.get("eSuperTypes").array();
+    const ownFeatures = targetClass.get("eStructuralFeatures").map((feature) => feature.get("name"));
+    this.loader.getSubClasses(targetClass, false).forEach((subClass) => {
+      const newSuperTypes = [
+        ...new Set(subClass.get("eSuperTypes").array().flatMap((superType) => (superType === targetClass ? superTypes : [superType]))),
+      ];
+      const names = newSuperTypes.map((superType) => this.loader.getQualifiedName(superType));
+      const lost = ownFeatures.length > 0 ? ` and loses ${ownFeatures.join(", ")}` : "";
+
+      changes.push({
+        kind: "rewireSuperTypes",
+        element: this.loader.getQualifiedName(subClass),
+        className: this.loader.getQualifiedName(subClass),
+        superTypes: names,
+        lostFeatures: ownFeatures,
+        description: `${subClass.get("name")} inherits from ${names.length > 0 ? names.join(", ") : "no class"} instead of ${className}${lost}`,
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Describe a change of a structural feature
+   */
+  _change(kind, feature, description) {
+    const className = this.loader.getQualifiedName(feature.eContainer);
+    return {
+      kind,
+      element: `${className}.${feature.get("name")}`,
+      className,
+      featureName: feature.get("name"),
+      description,
+    };
+  }
+
+  _featureName(feature) {
+    return `${feature.eContainer.get("name")}.${feature.get("name")}`;
+  }
+}
+
+export default MetamodelRemovalPlanner;
@@ -0,0 +1,211 @@
+/**
+ * MetamodelReportDiff.js
+ * A class for computing structural differences between two metamodel reports
+ *
+ * Works on the plain structures returned by MetamodelLoader.generateMetamodelReport(),
+ * matching classes, enums and datatypes by qualified name and features, operations and
+ * literals by name. A classifier moved to another package is removed and added.
+ */
+
+import MetamodelFormat from "./MetamodelFormat.js";
+
+class MetamodelReportDiff {
+  /**
+   * Compute the structural difference between two metamodel reports
+   * @param {Object} before - Report of the original metamodel
+   * @param {Object} after - Report of the evolved metamodel
+   * @returns {Object} - Diff with added, removed and changed classes and their features
+   */
+  static diff(before, after) {
+    // Subpackages may hold classifiers of the same name
+    const qualifiedName = (entry) => MetamodelFormat.qualifiedName(entry);
+
+    const classes = this.diffNamed(
+      before.classes || [],
+      after.classes || [],
+      (oldClass, newClass) => this.diffClass(oldClass, newClass),
+      qualifiedName
+    );
+
+    const enums = this.diffNamed(
+      before.enums || [],
+      after.enums || [],
+      (oldEnum, newEnum) => this.diffEnum(oldEnum, newEnum),
+      qualifiedName
+    );
+
+    const dataTypes = this.diffNamed(
+      before.dataTypes || [],
+      after.dataTypes || [],
+      (a, b) => {
+        const dataTypeDiff = this.diffProperties(a, b);
+        return dataTypeDiff && { ...dataTypeDiff, package: b.package };
+      },
+      qualifiedName
+    );
+
+    return {
+      packageName: after.packageName,
+      addedClasses: classes.added,
+      removedClasses: classes.removed,
+      changedClasses: classes.changed,
+      addedEnums: enums.added,
+      removedEnums: enums.removed,
+      changedEnums: enums.changed,
+      addedDataTypes: dataTypes.added,
+      removedDataTypes: dataTypes.removed,
+      changedDataTypes: dataTypes.changed,
+      hasChanges: [classes, enums, dataTypes].some(
+        (section) => section.added.length > 0 || section.removed.length > 0 || section.changed.length > 0
+      ),
+    };
+  }
+
+  /**
+   * Compute the difference between two versions of the same enum
+   * @param {Object} oldEnum - Enum entry of the original report
+   * @param {Object} newEnum - Enum entry of the evolved report
+   * @returns {Object|null} - Enum diff, or null if the enum is unchanged
+   */
+  static diffEnum(oldEnum, newEnum) {
+    const oldLiterals = oldEnum.literals || [];
+    const newLiterals = newEnum.literals || [];
+    const literals = this.diffNamed(oldLiterals, newLiterals, (a, b) => this.diffProperties(a, b));
+
+    // Only literals present in both versions tell whether the order changed
+    const keptOld = oldLiterals.map((literal) => literal.name).filter((name) => newLiterals.some((l) => l.name === name));
+    const keptNew = newLiterals.map((literal) => literal.name).filter((name) => oldLiterals.some((l) => l.name === name));
+    const reordered = keptOld.some((name, index) => keptNew[index] !== name);
+
+    if (!reordered && literals.added.length === 0 && literals.removed.length === 0 && literals.changed.length === 0) {
+      return null;
+    }
+
+    return {
+      name: newEnum.name,
+      package: newEnum.package,
+      addedLiterals: literals.added,
+      removedLiterals: literals.removed,
+      changedLiterals: literals.changed,
+      literalOrder: reordered ? { before: keptOld, after: keptNew } : null,
+    };
+  }
+
+  /**
+   * Compute the difference between two versions of the same class
+   * @param {Object} oldClass - Class entry of the original report
+   * @param {Object} newClass - Class entry of the evolved report
+   * @returns {Object|null} - Class diff, or null if the class is unchanged
+   */
+  static diffClass(oldClass, newClass) {
+    const attributes = this.diffNamed(oldClass.attributes || [], newClass.attributes || [], (a, b) =>
+      this.diffProperties(a, b)
+    );
+    const references = this.diffNamed(oldClass.references || [], newClass.references || [], (a, b) =>
+      this.diffProperties(a, b)
+    );
+    const operations = this.diffNamed(oldClass.operations || [], newClass.operations || [], (a, b) =>
+      this.diffProperties(this.operationProperties(a), this.operationProperties(b))
+    );
+
+    const properties = this.diffProperties(this.classProperties(oldClass), this.classProperties(newClass));
+
+    const hasChanges = [attributes, references, operations].some(
+      (section) => section.added.length > 0 || section.removed.length > 0 || section.changed.length > 0
+    );
+    if (!hasChanges && !properties) {
+      return null;
+    }
+
+    return {
+      name: newClass.name,
+      package: newClass.package,
+      changedProperties: properties ? properties.changes : {},
+      addedAttributes: attributes.added,
+      removedAttributes: attributes.removed,
+      changedAttributes: attributes.changed,
+      addedReferences: references.added,
+      removedReferences: references.removed,
+      changedReferences: references.changed,
+      addedOperations: operations.added,
+      removedOperations: operations.removed,
+      changedOperations: operations.changed,
+    };
+  }
+
+  /**
+   * Flatten the parameters of an operation entry into a comparable signature
+   * @param {Object} operation - Operation entry of a class entry
+   * @returns {Object} - { name, returnType, lowerBound, upperBound, parameters } with parameters as text
+   */
+  static operationProperties(operation) {
+    const parameters = (operation.parameters || [])
+      .map((parameter) => `${parameter.name}: ${parameter.type} [${parameter.lowerBound}..${parameter.upperBound}]`)
+      .join(", ");
+    return { ...operation, parameters };
+  }
+
+  /**
+   * Pick the class-level properties of a class entry
+   * @param {Object} classEntry - Class entry of a report
+   * @returns {Object} - { name, abstract, interface, superTypes }
+   */
+  static classProperties(classEntry) {
+    return {
+      name: classEntry.name,
+      abstract: classEntry.abstract,
+      interface: classEntry.interface,
+      superTypes: classEntry.superTypes,
+    };
+  }
+
+  /**
+   * Match two lists of named entries and diff the entries present in both
+   * @param {Array} beforeList - Entries of the original report
+   * @param {Array} afterList - Entries of the evolved report
+   * @param {Function} diffEntry - Returns a diff for two matched entries, or null if equal
+   * @param {Function} [keyOf] - Returns the key entries are matched by (defaults to their name)
+   * @returns {Object} - { added, removed, changed }
+   */
+  static diffNamed(beforeList, afterList, diffEntry, keyOf = (entry) => entry.name) {
+    const beforeByKey = new Map(beforeList.map((entry) => [keyOf(entry), entry]));
+    const afterByKey = new Map(afterList.map((entry) => [keyOf(entry), entry]));
+
+    const added = afterList.filter((entry) => !beforeByKey.has(keyOf(entry)));
+    const removed = beforeList.filter((entry) => !afterByKey.has(keyOf(entry)));
+    const changed = [];
+
+    afterList.forEach((entry) => {
+      if (beforeByKey.has(keyOf(entry))) {
+        const entryDiff = diffEntry(beforeByKey.get(keyOf(entry)), entry);
+        if (entryDiff) {
+          changed.push(entryDiff);
+        }
+      }
+    });
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Compare the scalar properties of two feature entries
+   * @param {Object} before - Original feature entry
+   * @param {Object} after - Evolved feature entry
+   * @returns {Object|null} - { name, changes: { property: { before, after } } }, or null if equal
+   */
+  static diffProperties(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach((key) => {
+      // Ecore serializes values as strings on reload, so compare their text
+      if (String(before[key]) !== String(after[key])) {
+        changes[key] = { before: before[key], after: after[key] };
+      }
+    });
+
+    return Object.keys(changes).length > 0 ? { name: after.name, changes } : null;
+  }
+}
+
+export default MetamodelReportDiff;
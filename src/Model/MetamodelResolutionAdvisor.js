@@ -0,0 +1,349 @@
+/**
+ * MetamodelResolutionAdvisor.js
+ * A class for suggesting concrete resolutions of ambiguous metamodel operations
+ *
+ * Every option carries an id that MetamodelEvolutionManager.resolveAmbiguity accepts,
+ * a rank (1 is the preferred option) and the operation fields it sets:
+ * - Names that are already taken: a free alternative name, or merging with the existing class
+ * - Classes that are still referenced, subclassed or used in signatures: cascade-delete or retarget the references
+ * - Class renames that change operation signatures: confirm the new signatures
+ * - Classes, enums, attribute types and return types that do not exist: similarly named existing classifiers
+ * - Opposites that do not fit: unpairing, or creating a missing opposite
+ * - Proposals whose guess is in doubt (e.g. an inferred attribute type): keeping the proposal
+ * - Any ambiguity: cancel the operation
+ *
+ * Options with `parameters` need the listed fields from the caller (e.g. retargetTo);
+ * their resolution holds the suggested values, which may be null.
+ */
+
+import Ecore from "ecore/dist/ecore.xmi.js";
+import MetamodelRemovalPlanner from "./MetamodelRemovalPlanner.js";
+
+// Operation fields that name an existing class, enum or attribute type
+const CLASS_FIELDS = ["className", "sourceClassName", "targetClassName", "newTargetClassName"];
+const ENUM_FIELDS = ["enumName"];
+const TYPE_FIELDS = ["attributeType", "newType"];
+const RETURN_TYPE_FIELDS = ["returnType", "newReturnType"];
+
+class MetamodelResolutionAdvisor {
+  /**
+   * @param {MetamodelLoader} loader - Loader holding the metamodel the operation was interpreted against
+   */
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  /**
+   * Suggest resolutions for an ambiguous operation
+   * @param {Object} metamodelOp - Operation created by MetamodelEvolutionManager, or null for unknown changes
+   * @returns {Array} - Options [{ id, rank, label, description, resolution, parameters, cancel }] ordered by rank
+   */
+  suggest(metamodelOp) {
+    this.options = [];
+
+    if (metamodelOp) {
+      this._suggestForProposal(metamodelOp);
+      this._suggestForTakenName(metamodelOp);
+      this._suggestForReferencedClass(metamodelOp);
+      this._suggestForChangedSignatures(metamodelOp);
+      this._suggestForOpposite(metamodelOp);
+      this._suggestForMissingClassifier(metamodelOp);
+    }
+
+    this._addOption("cancel", "Cancel the operation", "Drop the operation without changing the metamodel", {}, { cancel: true });
+
+    return this.options.map((option, index) => ({ ...option, rank: index + 1 }));
+  }
+
+  /**
+   * Offer to keep a proposed change whose only doubt is a guess, such as an inferred type
+   */
+  _suggestForProposal(metamodelOp) {
+    if (metamodelOp.proposed) {
+      this._addOption("keep", "Keep the proposal", "Apply the change as it was proposed", {});
+    }
+  }
+
+  /**
+   * Offer a free name when the new name of an element is already taken
+   */
+  _suggestForTakenName(metamodelOp) {
+    switch (metamodelOp.action) {
+      case "addClass":
+        if (metamodelOp.className && this.loader.findClassByName(metamodelOp.className)) {
+          const newName = this._freeName(metamodelOp.className, (name) => this.loader.findClassifierByName(name));
+          this._addOption("rename", `Add as ${newName}`, `Add the class under the free name ${newName}`, { className: newName });
+          this._addOption(
+            "merge",
+            `Merge with ${metamodelOp.className}`,
+            `Add the super types and flags of the new class to the existing class ${metamodelOp.className}`,
+            { merge: true }
+          );
+        }
+        break;
+      case "addEnum":
+        this._suggestFreeClassifierName(metamodelOp.enumName, "enumName", "enum");
+        break;
+      case "addAttribute":
+        this._suggestFreeFeatureName(metamodelOp.className, metamodelOp.attributeName, "attributeName");
+        break;
+      case "addReference":
+        this._suggestFreeFeatureName(metamodelOp.sourceClassName, metamodelOp.referenceName, "referenceName");
+        break;
+      case "addLiteral":
+        this._suggestFreeLiteralName(metamodelOp.enumName, metamodelOp.literalName, "literalName");
+        break;
+      case "addOperation":
+        this._suggestFreeOperationName(metamodelOp.className, metamodelOp.operationName, "operationName");
+        break;
+      case "modifyOperation":
+        this._suggestFreeOperationName(metamodelOp.className, metamodelOp.newName, "newName");
+        break;
+      case "addPackage":
+        if (metamodelOp.packageName && this.loader.findPackageByName(metamodelOp.packageName)) {
+          const newName = this._freeName(metamodelOp.packageName, (name) => this.loader.findPackageByName(name));
+          this._addOption("rename", `Add as ${newName}`, `Add the package under the free name ${newName}`, { packageName: newName });
+        }
+        break;
+      case "modifyClass":
+        this._suggestFreeClassifierName(metamodelOp.newName, "newName", "class");
+        break;
+      case "modifyEnum":
+        this._suggestFreeClassifierName(metamodelOp.newName, "newName", "enum");
+        break;
+      case "addDataType":
+        this._suggestFreeClassifierName(metamodelOp.dataTypeName, "dataTypeName", "datatype");
+        break;
+      case "modifyDataType":
+        this._suggestFreeClassifierName(metamodelOp.newName, "newName", "datatype");
+        break;
+      case "modifyAttribute":
+        this._suggestFreeFeatureName(metamodelOp.className, metamodelOp.newName, "newName");
+        break;
+      case "modifyReference":
+        this._suggestFreeFeatureName(metamodelOp.className, metamodelOp.newName, "newName");
+        break;
+      case "modifyLiteral":
+        this._suggestFreeLiteralName(metamodelOp.enumName, metamodelOp.newName, "newName");
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Offer to remove a class together with its dependent changes, deleting or retargeting its references
+   */
+  _suggestForReferencedClass(metamodelOp) {
+    const targetClass = metamodelOp.action === "removeClass" ? this.loader.findClassByName(metamodelOp.className) : null;
+    if (!targetClass) {
+      return;
+    }
+
+    const planner = new MetamodelRemovalPlanner(this.loader);
+    const deletePlan = planner.planClassRemoval(targetClass, { cascade: "delete" });
+    if (deletePlan.length === 0) {
+      return;
+    }
+
+    const incoming = [...this.loader.getReferencesTo(targetClass), ...this.loader.getOperationsUsing(targetClass)].filter(
+      (element) => element.eContainer !== targetClass
+    );
+    const superType = targetClass.get("eSuperTypes").at(0);
+    const retargetTo = superType ? superType.get("name") : null;
+
+    this._addOption(
+      "cascade-delete",
+      incoming.length > 0 ? "Delete the references" : "Remove with dependent changes",
+      deletePlan.map((change) => change.description).join("; "),
+      { cascade: "delete" }
+    );
+    if (incoming.length > 0) {
+      const names = incoming.map((reference) => `${reference.eContainer.get("name")}.${reference.get("name")}`).join(", ");
+      const description = retargetTo
+        ? planner.planClassRemoval(targetClass, { cascade: "retarget", retargetTo }).map((change) => change.description).join("; ")
+        : `Point ${names} to another class before removing ${metamodelOp.className}`;
+      this._addOption(
+        "retarget",
+        retargetTo ? `Retarget the references to ${retargetTo}` : "Retarget the references",
+        description,
+        { cascade: "retarget", retargetTo },
+        { parameters: ["retargetTo"] }
+      );
+    }
+  }
+
+  /**
+   * Offer to confirm a class rename that changes the signatures of operations
+   */
+  _suggestForChangedSignatures(metamodelOp) {
+    const usages = metamodelOp.action === "modifyClass" && metamodelOp.newName && !metamodelOp.updateSignatures
+      ? this.loader.getOperationsUsing(metamodelOp.className)
+      : [];
+    if (usages.length > 0) {
+      const names = usages.map((operation) => `${operation.eContainer.get("name")}.${operation.get("name")}`).join(", ");
+      this._addOption(
+        "update-signatures",
+        "Update the signatures",
+        `Rename ${metamodelOp.className} to ${metamodelOp.newName} in the signatures of ${names}`,
+        { updateSignatures: true }
+      );
+    }
+  }
+
+  /**
+   * Offer to unpair a broken opposite, or to create or rename the opposite of a new reference
+   */
+  _suggestForOpposite(metamodelOp) {
+    if (metamodelOp.action === "modifyReference" && metamodelOp.newOpposite !== null) {
+      const reference = this.loader.findReference(metamodelOp.className, metamodelOp.referenceName);
+      const changesPairedEnd =
+        reference &&
+        reference.get("eOpposite") &&
+        [metamodelOp.newTargetClassName, metamodelOp.newContainment, metamodelOp.newUpperBound].some((value) => value !== undefined);
+      if (reference && (metamodelOp.newOpposite || changesPairedEnd)) {
+        this._addOption("unpair", "Remove the opposite", `Make ${metamodelOp.referenceName} unidirectional`, { newOpposite: null });
+      }
+      return;
+    }
+
+    const { opposite } = metamodelOp;
+    const targetClass = metamodelOp.action === "addReference" && opposite ? this.loader.findClassByName(metamodelOp.targetClassName) : null;
+    if (!targetClass || !opposite.name) {
+      return;
+    }
+
+    const existing = this.loader.findReference(targetClass, opposite.name);
+    if (!opposite.create && !existing) {
+      this._addOption(
+        "create-opposite",
+        `Create ${opposite.name}`,
+        `Add ${opposite.name} to ${targetClass.get("name")} as the opposite of ${metamodelOp.referenceName}`,
+        { opposite: { name: opposite.name, create: true, lowerBound: 0, upperBound: metamodelOp.containment ? 1 : -1 } }
+      );
+    } else if (opposite.create && this.loader.getAllClassFeatures(targetClass).find((feature) => feature.name === opposite.name)) {
+      const taken = new Set(this.loader.getAllClassFeatures(targetClass).map((feature) => feature.name));
+      const newName = this._freeName(opposite.name, (candidate) => taken.has(candidate));
+      this._addOption("rename-opposite", `Name the opposite ${newName}`, `Create the opposite as ${newName}, which is not taken`, {
+        opposite: { ...opposite, name: newName },
+      });
+      if (existing && !existing.get("eOpposite")) {
+        this._addOption("pair-opposite", `Pair with ${opposite.name}`, `Use the existing ${opposite.name} of ${targetClass.get("name")} as opposite`, {
+          opposite: { name: opposite.name, create: false },
+        });
+      }
+    }
+  }
+
+  /**
+   * Offer existing classes, enums and datatypes with a similar name for names that do not resolve
+   */
+  _suggestForMissingClassifier(metamodelOp) {
+    const check = (fields, candidates, find) => {
+      fields
+        .filter((field) => metamodelOp[field] && !find(metamodelOp[field]))
+        .forEach((field) => {
+          this._similarNames(metamodelOp[field], candidates).forEach((name) => {
+            this._addOption(`use-${field}-${name}`, `Use ${name}`, `Use the existing ${name} instead of ${metamodelOp[field]}`, { [field]: name });
+          });
+        });
+    };
+
+    check(CLASS_FIELDS, this.loader.getAllClasses().map((eClass) => eClass.get("name")), (name) => this.loader.findClassByName(name));
+    check(ENUM_FIELDS, this.loader.getAllEnums().map((eEnum) => eEnum.get("name")), (name) => this.loader.findEnumByName(name));
+
+    const typeNames = [
+      ...this.loader.getAllDataTypes(),
+      ...this.loader.getAllEnums(),
+      ...Ecore.EcorePackage.get("eClassifiers").filter((classifier) => classifier.isTypeOf("EDataType")),
+    ].map((dataType) => dataType.get("name"));
+    check(TYPE_FIELDS, [...new Set(typeNames)], (name) => this.loader.resolveDataType(name));
+    check(
+      RETURN_TYPE_FIELDS,
+      [...new Set([...this.loader.getAllClasses().map((eClass) => eClass.get("name")), ...typeNames])],
+      (name) => this.loader.resolveType(name)
+    );
+  }
+
+  _suggestFreeClassifierName(name, field, kind) {
+    if (name && this.loader.findClassifierByName(name)) {
+      const newName = this._freeName(name, (candidate) => this.loader.findClassifierByName(candidate));
+      this._addOption("rename", `Use ${newName}`, `Name the ${kind} ${newName}, which is not taken`, { [field]: newName });
+    }
+  }
+
+  _suggestFreeFeatureName(className, name, field) {
+    const eClass = className ? this.loader.findClassByName(className) : null;
+    if (!eClass || !name) {
+      return;
+    }
+
+    // Feature names must be free in the class, its super types and its subclasses
+    const taken = new Set([
+      ...this.loader.getAllClassFeatures(eClass).map((feature) => feature.name),
+      ...this.loader.getSubClasses(eClass).flatMap((cls) => cls.get("eStructuralFeatures").map((feature) => feature.get("name"))),
+    ]);
+    if (taken.has(name)) {
+      const newName = this._freeName(name, (candidate) => taken.has(candidate));
+      this._addOption("rename", `Use ${newName}`, `Name the feature ${newName}, which is not taken in the hierarchy of ${className}`, { [field]: newName });
+    }
+  }
+
+  _suggestFreeOperationName(className, name, field) {
+    const eClass = className ? this.loader.findClassByName(className) : null;
+    const taken = eClass ? eClass.get("eOperations").map((operation) => operation.get("name")) : [];
+    if (name && taken.includes(name)) {
+      const newName = this._freeName(name, (candidate) => taken.includes(candidate));
+      this._addOption("rename", `Use ${newName}`, `Name the operation ${newName}, which is not taken in ${className}`, { [field]: newName });
+    }
+  }
+
+  _suggestFreeLiteralName(enumName, name, field) {
+    const eEnum = enumName ? this.loader.findEnumByName(enumName) : null;
+    const taken = eEnum ? this.loader.getEnumLiterals(eEnum).map((literal) => literal.name) : [];
+    if (name && taken.includes(name)) {
+      const newName = this._freeName(name, (candidate) => taken.includes(candidate));
+      this._addOption("rename", `Use ${newName}`, `Name the literal ${newName}, which is not taken in ${enumName}`, { [field]: newName });
+    }
+  }
+
+  /**
+   * Append the lowest number that makes a name free (e.g. Person -> Person2)
+   */
+  _freeName(name, isTaken) {
+    let index = 2;
+    while (isTaken(`${name}${index}`)) {
+      index++;
+    }
+    return `${name}${index}`;
+  }
+
+  /**
+   * Get candidate names that differ from a name only in case or by at most two edits
+   */
+  _similarNames(name, candidates) {
+    const simpleName = name.split(".").pop().toLowerCase();
+    return candidates.filter((candidate) => this._editDistance(simpleName, candidate.toLowerCase()) <= 2);
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   */
+  _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  _addOption(id, label, description, resolution, extra = {}) {
+    this.options.push({ id, label, description, resolution, parameters: [], cancel: false, ...extra });
+  }
+}
+
+export default MetamodelResolutionAdvisor;
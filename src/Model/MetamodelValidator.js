@@ -0,0 +1,323 @@
+/**
+ * MetamodelValidator.js
+ * A class for checking the well-formedness of an Ecore metamodel
+ *
+ * Works on the metamodel held by a MetamodelLoader and reports diagnostics for:
+ * - Feature types and super types that no longer exist in the metamodel
+ * - Duplicate package, classifier, feature and literal names
+ * - Invalid multiplicities (e.g. lowerBound > upperBound)
+ * - Inheritance cycles and cycles of required containments
+ * - eOpposite pairs that are one-sided, mistyped or combine containment with a many-valued container
+ * - Enum-typed attribute defaults that are not literals and classes with more than one ID attribute
+ * - Operation signatures with missing types or duplicate parameter names
+ * - Packages without nsURI or nsPrefix and names that are not valid identifiers
+ */
+
+import Ecore from "ecore/dist/ecore.xmi.js";
+
+const ECORE_NS_URI = "http://www.eclipse.org/emf/2002/Ecore";
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class MetamodelValidator {
+  /**
+   * @param {MetamodelLoader} loader - Loader holding the metamodel to check
+   */
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  /**
+   * Check the metamodel
+   * @returns {Object} - { valid, errors, warnings, diagnostics: [{ severity, kind, element, message }] }
+   */
+  validate() {
+    this.diagnostics = [];
+    this.knownClassifiers = new Set(this.loader.getAllClassifiers());
+
+    this.loader.getAllPackages().forEach((ePackage) => this._validatePackage(ePackage));
+    this.loader.getAllClasses().forEach((eClass) => this._validateClass(eClass));
+    this.loader.getAllEnums().forEach((eEnum) => this._validateEnum(eEnum));
+    this.loader.getAllDataTypes().forEach((dataType) => this._validateName(dataType, this.loader.getQualifiedName(dataType)));
+    this._validateContainmentCycles();
+
+    const errors = this.diagnostics.filter((diagnostic) => diagnostic.severity === "error").length;
+    return {
+      valid: errors === 0,
+      errors,
+      warnings: this.diagnostics.length - errors,
+      diagnostics: this.diagnostics,
+    };
+  }
+
+  /**
+   * Check namespace, names and duplicate contents of a package
+   */
+  _validatePackage(ePackage) {
+    const element = this.loader.getQualifiedName(ePackage);
+
+    this._validateName(ePackage, element);
+    if (!ePackage.get("nsURI")) {
+      this._addDiagnostic("error", "missingNamespace", element, `Package ${element} has no nsURI`);
+    }
+    if (!ePackage.get("nsPrefix")) {
+      this._addDiagnostic("error", "missingNamespace", element, `Package ${element} has no nsPrefix`);
+    }
+
+    this._findDuplicates(ePackage.get("eClassifiers").map((classifier) => classifier.get("name"))).forEach((name) => {
+      this._addDiagnostic("error", "duplicateName", element, `Package ${element} contains more than one classifier named ${name}`);
+    });
+    this._findDuplicates(ePackage.get("eSubPackages").map((subpackage) => subpackage.get("name"))).forEach((name) => {
+      this._addDiagnostic("error", "duplicateName", element, `Package ${element} contains more than one subpackage named ${name}`);
+    });
+  }
+
+  /**
+   * Check super types, feature names, types and bounds of a class
+   */
+  _validateClass(eClass) {
+    const element = this.loader.getQualifiedName(eClass);
+    this._validateName(eClass, element);
+
+    eClass.get("eSuperTypes").each((superType) => {
+      if (!this.knownClassifiers.has(superType)) {
+        this._addDiagnostic("error", "danglingType", element, `Super type ${superType.get("name")} of ${element} is not part of the metamodel`);
+      }
+    });
+
+    const directSuperTypes = eClass.get("eSuperTypes").array();
+    if (directSuperTypes.some((superType) => superType === eClass || this.loader.getAllSuperTypes(superType).includes(eClass))) {
+      this._addDiagnostic("error", "inheritanceCycle", element, `Class ${element} inherits from itself`);
+    }
+
+    const ownNames = eClass.get("eStructuralFeatures").map((feature) => feature.get("name"));
+    this._findDuplicates(ownNames).forEach((name) => {
+      this._addDiagnostic("error", "duplicateName", element, `Class ${element} declares more than one feature named ${name}`);
+    });
+
+    // An own feature with the name of an inherited one hides it in generated code and instances
+    const inherited = this.loader.getAllClassFeatures(eClass).filter((feature) => feature.declaringClass !== eClass.get("name"));
+    inherited
+      .filter((feature) => ownNames.includes(feature.name))
+      .forEach((feature) => {
+        this._addDiagnostic("error", "duplicateName", `${element}.${feature.name}`, `Feature ${feature.name} of ${element} hides the feature inherited from ${feature.declaringClass}`);
+      });
+
+    // eAllStructuralFeatures recurses forever on an inheritance cycle, getAllSuperTypes does not
+    const idAttributes = [eClass, ...this.loader.getAllSuperTypes(eClass)]
+      .flatMap((declaringClass) => declaringClass.get("eStructuralFeatures").array())
+      .filter((feature) => feature.isKindOf(Ecore.EAttribute) && this.loader.getAttributeProperties(feature).iD);
+    if (idAttributes.length > 1) {
+      const names = idAttributes.map((attribute) => attribute.get("name")).join(", ");
+      this._addDiagnostic("error", "duplicateId", element, `Class ${element} has more than one ID attribute: ${names}`);
+    }
+
+    eClass.get("eStructuralFeatures").each((feature) => this._validateFeature(feature, `${element}.${feature.get("name")}`));
+    eClass.get("eOperations").each((operation) => this._validateOperation(operation, `${element}.${operation.get("name")}`));
+  }
+
+  /**
+   * Check name, return type and parameters of an operation
+   */
+  _validateOperation(operation, element) {
+    this._validateName(operation, element);
+
+    const returnType = operation.get("eType");
+    if (returnType && !this._isResolvable(returnType)) {
+      this._addDiagnostic("error", "danglingType", element, `Return type ${returnType.get("name")} of ${element} is not part of the metamodel`);
+    }
+
+    const parameters = operation.get("eParameters").array();
+    parameters.forEach((parameter) => {
+      const eType = parameter.get("eType");
+      if (!eType) {
+        this._addDiagnostic("error", "danglingType", element, `Parameter ${parameter.get("name")} of ${element} has no type`);
+      } else if (!this._isResolvable(eType)) {
+        this._addDiagnostic("error", "danglingType", element, `Type ${eType.get("name")} of parameter ${parameter.get("name")} of ${element} is not part of the metamodel`);
+      }
+    });
+    this._findDuplicates(parameters.map((parameter) => parameter.get("name"))).forEach((name) => {
+      this._addDiagnostic("error", "duplicateName", element, `Operation ${element} declares more than one parameter named ${name}`);
+    });
+  }
+
+  /**
+   * Check name, type and bounds of a structural feature
+   */
+  _validateFeature(feature, element) {
+    this._validateName(feature, element);
+
+    const eType = feature.get("eType");
+    if (!eType) {
+      this._addDiagnostic("error", "danglingType", element, `Feature ${element} has no type`);
+    } else if (!this._isResolvable(eType)) {
+      this._addDiagnostic("error", "danglingType", element, `Type ${eType.get("name")} of ${element} is not part of the metamodel`);
+    } else if (feature.isKindOf(Ecore.EReference) && !eType.isKindOf(Ecore.EClass)) {
+      this._addDiagnostic("error", "invalidType", element, `Reference ${element} must be typed by a class, not ${eType.get("name")}`);
+    } else if (feature.isKindOf(Ecore.EAttribute) && eType.isKindOf(Ecore.EClass)) {
+      this._addDiagnostic("error", "invalidType", element, `Attribute ${element} must be typed by a data type, not class ${eType.get("name")}`);
+    }
+
+    if (feature.isKindOf(Ecore.EReference) && feature.get("eOpposite")) {
+      this._validateOpposite(feature, element);
+    }
+
+    const defaultValueLiteral = feature.isKindOf(Ecore.EAttribute) ? feature.get("defaultValueLiteral") : null;
+    if (eType && eType.isTypeOf("EEnum") && defaultValueLiteral) {
+      if (!this.loader.getEnumLiterals(eType).some((literal) => literal.name === defaultValueLiteral)) {
+        this._addDiagnostic("error", "invalidDefault", element, `Default value ${defaultValueLiteral} of ${element} is not a literal of ${eType.get("name")}`);
+      }
+    }
+
+    const lowerBound = Number(feature.get("lowerBound") ?? 0);
+    const upperBound = Number(feature.get("upperBound") ?? 1);
+    if (!Number.isInteger(lowerBound) || lowerBound < 0) {
+      this._addDiagnostic("error", "invalidBounds", element, `Lower bound ${lowerBound} of ${element} must be a non-negative integer`);
+    }
+    if (!Number.isInteger(upperBound) || upperBound === 0 || upperBound < -2) {
+      this._addDiagnostic("error", "invalidBounds", element, `Upper bound ${upperBound} of ${element} must be positive, -1 (unbounded) or -2 (unspecified)`);
+    } else if (upperBound > 0 && lowerBound > upperBound) {
+      this._addDiagnostic("error", "invalidBounds", element, `Lower bound ${lowerBound} of ${element} exceeds its upper bound ${upperBound}`);
+    }
+  }
+
+  /**
+   * Check that a reference and its eOpposite form a consistent pair
+   */
+  _validateOpposite(reference, element) {
+    const opposite = reference.get("eOpposite");
+    const oppositeClass = opposite.eContainer;
+    const oppositeName = oppositeClass ? `${this.loader.getQualifiedName(oppositeClass)}.${opposite.get("name")}` : opposite.get("name");
+    const isKindOf = (eClass, target) => eClass === target || this.loader.getAllSuperTypes(eClass).includes(target);
+
+    if (!oppositeClass || !this.knownClassifiers.has(oppositeClass)) {
+      this._addDiagnostic("error", "invalidOpposite", element, `Opposite ${opposite.get("name")} of ${element} is not part of the metamodel`);
+    } else if (opposite.get("eOpposite") !== reference) {
+      this._addDiagnostic("error", "invalidOpposite", element, `Opposite ${oppositeName} of ${element} does not point back to it`);
+    } else if (!reference.get("eType") || !isKindOf(reference.get("eType"), oppositeClass)) {
+      this._addDiagnostic("error", "invalidOpposite", element, `Opposite ${oppositeName} of ${element} is not a feature of its type`);
+    } else if (this.loader.isTrue(reference.get("containment")) && this.loader.isTrue(opposite.get("containment"))) {
+      this._addDiagnostic("error", "invalidOpposite", element, `${element} and its opposite ${oppositeName} cannot both be containments`);
+    } else if (this.loader.isTrue(reference.get("containment")) && Number(opposite.get("upperBound") ?? 1) !== 1) {
+      this._addDiagnostic("error", "invalidOpposite", element, `Container reference ${oppositeName} of containment ${element} must have upper bound 1`);
+    }
+  }
+
+  /**
+   * Check names and values of the literals of an enum
+   */
+  _validateEnum(eEnum) {
+    const element = this.loader.getQualifiedName(eEnum);
+    this._validateName(eEnum, element);
+
+    const literals = this.loader.getEnumLiterals(eEnum);
+    literals.forEach((literal) => this._validateName(literal.name, `${element}.${literal.name}`));
+    this._findDuplicates(literals.map((literal) => literal.name)).forEach((name) => {
+      this._addDiagnostic("error", "duplicateName", element, `Enum ${element} contains more than one literal named ${name}`);
+    });
+    this._findDuplicates(literals.map((literal) => literal.value)).forEach((value) => {
+      this._addDiagnostic("warning", "duplicateValue", element, `Enum ${element} uses value ${value} for more than one literal`);
+    });
+  }
+
+  /**
+   * Report cycles of containment references with lowerBound >= 1
+   *
+   * Every object on such a cycle must contain another object of the cycle, so no
+   * finite instance can satisfy the metamodel.
+   */
+  _validateContainmentCycles() {
+    const classes = this.loader.getAllClasses();
+    const requiredTargets = new Map(
+      classes.map((eClass) => [
+        eClass,
+        [eClass, ...this.loader.getAllSuperTypes(eClass)]
+          .flatMap((cls) => cls.get("eStructuralFeatures").array())
+          .filter((feature) => this._isRequiredContainment(feature))
+          .map((feature) => feature.get("eType")),
+      ])
+    );
+
+    const reported = new Set();
+    classes.forEach((start) => {
+      const cycle = this._findPath(start, start, requiredTargets);
+      const key = cycle ? [...cycle].map((cls) => cls.get("name")).sort().join(",") : null;
+      if (cycle && !reported.has(key)) {
+        reported.add(key);
+        const names = [start, ...cycle].map((cls) => cls.get("name")).join(" -> ");
+        this._addDiagnostic("error", "containmentCycle", this.loader.getQualifiedName(start), `Required containments form a cycle (${names}), so no finite instance exists`);
+      }
+    });
+  }
+
+  /**
+   * Find a path of required containments from one class to another
+   * @returns {Array|null} - The classes after `from` up to and including `to`, or null
+   */
+  _findPath(from, to, requiredTargets, visited = new Set()) {
+    for (const target of requiredTargets.get(from) || []) {
+      if (target === to) {
+        return [target];
+      }
+      if (!visited.has(target)) {
+        visited.add(target);
+        const rest = this._findPath(target, to, requiredTargets, visited);
+        if (rest) {
+          return [target, ...rest];
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a feature is a containment that must hold at least one object
+   */
+  _isRequiredContainment(feature) {
+    return (
+      feature.isKindOf(Ecore.EReference) &&
+      this.loader.isTrue(feature.get("containment")) &&
+      Number(feature.get("lowerBound") || 0) >= 1 &&
+      this.knownClassifiers.has(feature.get("eType"))
+    );
+  }
+
+  /**
+   * Check whether a type is defined in this metamodel or in Ecore itself
+   */
+  _isResolvable(eType) {
+    if (this.knownClassifiers.has(eType)) {
+      return true;
+    }
+    const ePackage = eType.eContainer;
+    return Boolean(ePackage && ePackage.get && ePackage.get("nsURI") === ECORE_NS_URI);
+  }
+
+  /**
+   * Report names that are not valid identifiers
+   * @param {Object|string} namedElement - An element with a name, or the name itself
+   */
+  _validateName(namedElement, element) {
+    const name = typeof namedElement === "string" ? namedElement : namedElement.get("name");
+    if (!name) {
+      this._addDiagnostic("error", "invalidName", element, `Element ${element} has no name`);
+    } else if (!IDENTIFIER_PATTERN.test(name)) {
+      this._addDiagnostic("warning", "invalidName", element, `Name ${name} is not a valid identifier`);
+    }
+  }
+
+  /**
+   * Get the values that occur more than once in a list
+   */
+  _findDuplicates(values) {
+    return [...new Set(values.filter((value, index) => values.indexOf(value) !== index))];
+  }
+
+  /**
+   * Record a diagnostic
+   */
+  _addDiagnostic(severity, kind, element, message) {
+    this.diagnostics.push({ severity, kind, element, message });
+  }
+}
+
+export default MetamodelValidator;
@@ -4,7 +4,46 @@
  * domain expert-driven metamodel evolution.
  */
 
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
 import MetamodelEvolutionManager from "./MetamodelEvolutionManager.js";
+import MetamodelImpactClassifier from "./MetamodelImpactClassifier.js";
+import MetamodelReportDiff from "./MetamodelReportDiff.js";
+import InstanceLoader from "../Instance/InstanceLoader.js";
+
+// Inputs come from the repository, outputs go to a fresh temporary directory
+const testFilesDir = fileURLToPath(new URL("../test_files/", import.meta.url));
+const metamodelPath = path.join(testFilesDir, "People.ecore");
+const instancePath = path.join(testFilesDir, "instance.xmi");
+
+// Stop the demonstration when an outcome differs from the expected one
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(`Check failed: ${message}`);
+  }
+  console.log(`OK: ${message}`);
+}
+
+// Load People.ecore into a new evolution manager
+function loadOriginal() {
+  const manager = new MetamodelEvolutionManager();
+  manager.loadMetamodel(metamodelPath);
+  return manager;
+}
+
+// Apply the phases of a comparison one after another
+function applyPhases(manager, phases) {
+  for (const phase of phases) {
+    phase.forEach((change) => manager.interpretModelChange(change));
+    const result = manager.applyPendingChanges();
+    if (!result.success) {
+      return result;
+    }
+  }
+  return { success: true, errors: [] };
+}
 
 // Function to demonstrate the evolution process
 async function demonstrateMetamodelEvolution() {
@@ -12,10 +51,12 @@ async function demonstrateMetamodelEvolution() {
     // Initialize the evolution manager
     console.log("Initializing metamodel evolution manager...");
     const evolutionManager = new MetamodelEvolutionManager();
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "metamodel-demo-"));
+    console.log(`Writing output files to ${outputDir}`);
 
     // Load the original metamodel
     console.log("\n--- Loading the original metamodel ---");
-    evolutionManager.loadMetamodel("C:/Users/daure/code/domain_expert_metamodeling/src/test_files/People.ecore");
+    evolutionManager.loadMetamodel(metamodelPath);
 
     // Simulate a series of model-level changes from a domain expert
     // These changes represent what a domain expert might specify in your web interface
@@ -167,30 +208,412 @@ async function demonstrateMetamodelEvolution() {
       }
 
       // Save the evolved metamodel
-      const outputPath = "PeopleEvolved.ecore";
+      const outputPath = path.join(outputDir, "PeopleEvolved.ecore");
       evolutionManager.saveEvolvedMetamodel(outputPath);
       console.log(`\nEvolved metamodel saved to ${outputPath}`);
 
       // Also save as JSON for easy inspection
-      const jsonOutputPath = "PeopleEvolved.json";
+      const jsonOutputPath = path.join(outputDir, "PeopleEvolved.json");
       evolutionManager.saveEvolvedMetamodel(jsonOutputPath, "json");
       console.log(`Evolved metamodel saved as JSON to ${jsonOutputPath}`);
 
+      // Migrate an existing instance to the evolved metamodel
+      console.log("\n--- Co-evolving instance model ---");
+      const coEvolution = await evolutionManager.coEvolveModel(
+        instancePath,
+        path.join(outputDir, "instanceEvolved.xmi")
+      );
+      check(coEvolution.success, "instance co-evolved to the evolved metamodel");
+      console.log(coEvolution.message);
+      coEvolution.objects.forEach((entry) => {
+        console.log(`${entry.path} (${entry.className})`);
+        entry.changes.forEach((change) => console.log(`  changed: ${change}`));
+        entry.unmigrated.forEach((issue) => console.log(`  manual: ${issue}`));
+      });
+
       // Generate an evolution report
       const report = evolutionManager.generateEvolutionReport();
       console.log("\n--- Evolution Report ---");
       console.log(`Total operations: ${report.totalOperations}`);
       console.log(`Pending changes: ${report.pendingChanges}`);
       console.log(`Ambiguities: ${report.ambiguities}`);
+
+      const evolvedReport = evolutionManager.loader.generateMetamodelReport();
+
+      // Derive the same evolution from the saved metamodel instead of the domain expert changes
+      console.log("\n--- Comparing the original and evolved metamodels ---");
+      const comparing = loadOriginal();
+      const comparison = comparing.compareWithMetamodel(outputPath);
+      comparison.phases.forEach((phase, index) => {
+        console.log(`Phase ${index + 1}:`);
+        phase.forEach((change) => console.log(`  ${change.type} ${change.element} ${JSON.stringify(change.details)}`));
+      });
+      check(
+        comparison.changes.some((change) => change.type === "modify" && change.details.newName === "Individual"),
+        "Person -> Individual is detected as a rename"
+      );
+      check(applyPhases(comparing, comparison.phases).success, "comparison phases apply cleanly");
+      check(
+        !MetamodelReportDiff.diff(evolvedReport, comparing.loader.generateMetamodelReport()).hasChanges,
+        "applying the comparison yields the evolved metamodel"
+      );
+
+      // Replay the recorded evolution on another copy of the original metamodel
+      console.log("\n--- Exporting and replaying the changelog ---");
+      const changelogPath = path.join(outputDir, "PeopleEvolved.changelog.json");
+      const changelog = evolutionManager.saveChangelog(changelogPath);
+      console.log(`${changelog.operations.length} operations in ${changelog.batches.length} batches`);
+      const replaying = loadOriginal();
+      const replay = replaying.replayChangelog(changelogPath);
+      replay.errors.forEach((error) => console.log(`- ${error}`));
+      check(replay.success && replay.appliedBatches === changelog.batches.length, "every batch of the changelog replays");
+      check(
+        !MetamodelReportDiff.diff(evolvedReport, replaying.loader.generateMetamodelReport()).hasChanges,
+        "replaying the changelog yields the evolved metamodel"
+      );
+
+      // A failing operation rolls back its whole batch; undo and redo restore whole batches
+      console.log("\n--- Rolling back a failed batch, undo and redo ---");
+      const classCount = evolvedReport.classes.length;
+      evolutionManager.interpretModelChange({ type: "remove", element: "class", details: { name: "Customer" } });
+      evolutionManager.interpretModelChange({
+        type: "add",
+        element: "attribute",
+        details: { className: "Customer", name: "email", type: "EString" },
+      });
+      const failed = evolutionManager.applyPendingChanges();
+      failed.errors.forEach((error) => console.log(`- ${error}`));
+      check(!failed.success, "adding an attribute to the class removed before it fails");
+      check(
+        evolutionManager.loader.generateMetamodelReport().classes.length === classCount,
+        "the failed batch is rolled back"
+      );
+      check(evolutionManager.applyPendingChanges().success, "the rest of the batch applies on its own");
+      check(!evolutionManager.loader.findClassByName("Customer"), "Customer is removed");
+      evolutionManager.interpretModelChange({
+        type: "add",
+        element: "attribute",
+        details: { className: "Individual", name: "nickname", type: "EString" },
+      });
+      const undone = evolutionManager.undo();
+      check(undone.success && evolutionManager.loader.findClassByName("Customer"), "undo restores Customer");
+      check(
+        undone.requeued.length === 1 && evolutionManager.pendingChanges.length === 1,
+        "the queued change is interpreted again after undo"
+      );
+      check(evolutionManager.redo().success && !evolutionManager.loader.findClassByName("Customer"), "redo removes Customer again");
     } else {
-      console.log("\nPlease resolve all ambiguities before applying changes.");
+      throw new Error("Please resolve all ambiguities before applying changes.");
     }
 
     console.log("\n--- Demonstration completed ---");
   } catch (error) {
     console.error("Error during demonstration:", error);
+    throw error; // Fails the run, e.g. npm test
   }
 }
 
-// Run the demonstration
-demonstrateMetamodelEvolution().catch(console.error);
+// Derive metamodel changes from an instance a domain expert edited
+async function demonstrateInstanceInference() {
+  console.log("\n--- Inferring changes from an edited instance ---");
+  const manager = loadOriginal();
+  const instance = await InstanceLoader.loadFromFile(instancePath);
+  instance.employees[0].phone = "555-1234";
+  instance.employees[1].phone = "555-9876";
+  instance.employees[0].roles[0].type = "CONTRACTOR";
+
+  const inference = manager.inferChangesFromInstance(instance);
+  inference.proposals.forEach((proposal) => console.log(`  ${proposal.type} ${proposal.element} ${JSON.stringify(proposal.details)}`));
+  check(
+    inference.proposals.some(
+      (proposal) =>
+        proposal.element === "attribute" &&
+        proposal.details.className === "Person" &&
+        proposal.details.name === "phone" &&
+        proposal.details.type === "EString"
+    ),
+    "an unknown value proposes the attribute Person.phone"
+  );
+  check(
+    inference.proposals.some(
+      (proposal) => proposal.element === "literal" && proposal.details.enumName === "RoleType" && proposal.details.name === "CONTRACTOR"
+    ),
+    "an unknown enum value proposes the literal RoleType.CONTRACTOR"
+  );
+
+  const queued = manager.queueInstanceChanges(instance);
+  check(queued.operations.length === inference.phases[0].length, "the first phase of proposals is queued");
+  check(manager.queueInstanceChanges(instance).operations.length === 0, "proposals that are already queued are skipped");
+  check(manager.applyPendingChanges().success, "the inferred changes apply");
+  check(manager.inferChangesFromInstance(instance).proposals.length === 0, "the evolved metamodel describes the edited instance");
+}
+
+// Report the parts of an instance that do not conform to the metamodel
+async function demonstrateInstanceValidation() {
+  console.log("\n--- Validating an instance against the metamodel ---");
+  const manager = loadOriginal();
+  const instance = await InstanceLoader.loadFromFile(instancePath);
+  const known = new Set(manager.validateInstance(instance).violations.map((violation) => violation.message));
+  instance.employees[0].age = "forty";
+  instance.employees[1].roles[0].type = "INTERN";
+  instance.employees[2].nickname = "Bobby";
+
+  const violations = manager.validateInstance(instance).violations.filter((violation) => !known.has(violation.message));
+  violations.forEach((violation) => console.log(`  ${violation.path} ${violation.message}`));
+  const find = (kind, feature) => violations.find((violation) => violation.kind === kind && violation.feature === feature) || {};
+  check(find("datatype", "age").path === "//@employees.0", "a value that is not an EInt is reported");
+  check(find("enumLiteral", "type").path === "//@employees.1/@roles.0", "a value that is not a RoleType literal is reported");
+  check(find("unknownFeature", "nickname").className === "Person", "a feature Person does not declare is reported");
+  check(violations.length === 3, "only the edited values are reported");
+}
+
+// Diagnose inheritance cycles and types that are no longer part of the metamodel
+function demonstrateMetamodelDiagnostics() {
+  console.log("\n--- Diagnosing inheritance cycles and dangling types ---");
+  const manager = loadOriginal();
+  manager.interpretModelChange({ type: "add", element: "class", details: { name: "Party" } });
+  manager.applyPendingChanges();
+  manager.interpretModelChange({ type: "add", element: "class", details: { name: "Organization", superTypes: ["Party"] } });
+  manager.applyPendingChanges();
+
+  const cycle = manager.interpretModelChange({
+    type: "modify",
+    element: "class",
+    details: { name: "Party", newSuperTypes: ["Organization"] },
+  });
+  console.log(`Ambiguity reason: ${cycle.ambiguityReason}`);
+  check(cycle.ambiguous && /inheritance cycle/.test(cycle.ambiguityReason), "a change that closes an inheritance cycle is ambiguous");
+  manager.resolveAmbiguity(manager.evolutionOperations.indexOf(cycle), "cancel");
+  check(manager.validateMetamodel().valid, "the metamodel is valid without the cycle");
+
+  // Edits made outside the manager are only caught by the validator
+  const party = manager.loader.findClassByName("Party");
+  party.get("eSuperTypes").add(manager.loader.findClassByName("Organization"));
+  const address = manager.loader.findClassByName("Address");
+  address.eContainer.get("eClassifiers").remove(address);
+
+  const { diagnostics } = manager.validateMetamodel();
+  diagnostics.forEach((diagnostic) => console.log(`  ${diagnostic.severity} ${diagnostic.kind}: ${diagnostic.message}`));
+  check(
+    diagnostics.some((diagnostic) => diagnostic.kind === "inheritanceCycle" && diagnostic.element === "sampleDomain.Party"),
+    "the inheritance cycle through Party is diagnosed"
+  );
+  check(
+    diagnostics.some((diagnostic) => diagnostic.kind === "danglingType" && diagnostic.element === "sampleDomain.Person.address"),
+    "Person.address typed by the removed Address is diagnosed"
+  );
+}
+
+// Tag each change with its impact on existing instances
+function demonstrateImpactTags() {
+  console.log("\n--- Tagging the impact of changes ---");
+  const { IMPACT } = MetamodelImpactClassifier;
+  const manager = loadOriginal();
+  const tagged = [
+    { name: "nickname", type: "EString" },
+    { name: "taxNumber", type: "EString", lowerBound: 1 },
+  ].map((details) => manager.interpretModelChange({ type: "add", element: "attribute", details: { className: "Person", ...details } }));
+  tagged.push(
+    manager.interpretModelChange({ type: "modify", element: "attribute", details: { className: "Person", name: "email", newName: "mail" } })
+  );
+  tagged.forEach((op) => console.log(`  ${op.type} ${op.element} ${op.details.name}: ${op.impact} (${op.impactReasons.join("; ")})`));
+
+  const [optional, mandatory, renamed] = tagged;
+  check(optional.impact === IMPACT.NON_BREAKING, "an optional attribute is non-breaking");
+  check(mandatory.impact === IMPACT.UNRESOLVABLE, "a mandatory attribute without a default is breaking and unresolvable");
+  check(renamed.impact === IMPACT.RESOLVABLE, "renaming an attribute is breaking but resolvable");
+
+  const { impact } = manager.generateEvolutionReport();
+  check(impact.rating === IMPACT.UNRESOLVABLE, "the report is rated by its most severe change");
+  check(Object.values(IMPACT).every((tag) => impact.counts[tag] === 1), "the report counts one change per impact");
+}
+
+// Offer ranked options to resolve an ambiguous change
+function demonstrateResolutionOptions() {
+  console.log("\n--- Resolving an ambiguity with ranked options ---");
+  const manager = loadOriginal();
+  const op = manager.interpretModelChange({
+    type: "add",
+    element: "attribute",
+    details: { className: "Persn", name: "nickname", type: "EString" },
+  });
+  console.log(`Ambiguity reason: ${op.ambiguityReason}`);
+  op.resolutionOptions.forEach((option) => console.log(`  ${option.rank}. ${option.id}: ${option.description}`));
+
+  const [best] = op.resolutionOptions;
+  const last = op.resolutionOptions[op.resolutionOptions.length - 1];
+  check(op.resolutionOptions.every((option, index) => option.rank === index + 1), "the options are ordered by rank");
+  check(best.id === "use-className-Person", "the closest class name is the best option");
+  check(last.cancel, "cancelling is the last option");
+
+  manager.resolveAmbiguity(manager.evolutionOperations.indexOf(op), best.id);
+  check(manager.ambiguities.length === 0 && manager.applyPendingChanges().success, "the resolved change applies");
+  check(
+    manager.loader.getClassAttributes("Person").some((attribute) => attribute.name === "nickname"),
+    "nickname is added to Person"
+  );
+}
+
+// Remove a class together with the elements that depend on it
+function demonstrateCascadingRemoval() {
+  console.log("\n--- Removing a class with its dependent elements ---");
+  const manager = loadOriginal();
+  manager.interpretModelChange({ type: "add", element: "class", details: { name: "PostalAddress", superTypes: ["Address"] } });
+  manager.applyPendingChanges();
+
+  const plan = manager.planClassRemoval("Address");
+  plan.forEach((change) => console.log(`  ${change.kind}: ${change.description}`));
+  check(
+    plan.some((change) => change.kind === "removeReference" && change.element === "sampleDomain.Person.address"),
+    "the plan removes the reference Person.address"
+  );
+  check(
+    plan.some((change) => change.kind === "rewireSuperTypes" && change.element === "sampleDomain.PostalAddress"),
+    "the plan rewires the subclass PostalAddress"
+  );
+
+  const removal = manager.interpretModelChange({ type: "remove", element: "class", details: { name: "Address" } });
+  console.log(`Ambiguity reason: ${removal.ambiguityReason}`);
+  check(removal.ambiguous, "removing a referenced class asks how to cascade");
+  manager.resolveAmbiguity(manager.evolutionOperations.indexOf(removal), "cascade-delete");
+  check(manager.applyPendingChanges().success, "the cascading removal applies");
+  check(!manager.loader.findReference("Person", "address"), "Person.address is removed with Address");
+  check(
+    manager.loader.findClassByName("PostalAddress").get("eSuperTypes").size() === 0,
+    "PostalAddress no longer inherits from Address"
+  );
+  check(manager.validateMetamodel().valid, "nothing points to the removed class");
+
+  // Retargeting keeps the references and points them to another class
+  const retargeting = loadOriginal();
+  retargeting.interpretModelChange({ type: "add", element: "class", details: { name: "Location" } });
+  retargeting.applyPendingChanges();
+  const retarget = retargeting.interpretModelChange({ type: "remove", element: "class", details: { name: "Address" } });
+  retargeting.resolveAmbiguity(retargeting.evolutionOperations.indexOf(retarget), { optionId: "retarget", retargetTo: "Location" });
+  check(retargeting.applyPendingChanges().success, "the retargeting removal applies");
+  check(
+    retargeting.loader.findReference("Person", "address").get("eType").get("name") === "Location",
+    "Person.address references Location instead"
+  );
+}
+
+// Pair references as opposites of each other and unpair them again
+function demonstrateOpposites() {
+  console.log("\n--- Pairing and unpairing opposite references ---");
+  const manager = loadOriginal();
+  const opposite = (className, name) => {
+    const reference = manager.loader.findReference(className, name);
+    return reference && reference.get("eOpposite") ? reference.get("eOpposite").get("name") : null;
+  };
+
+  manager.interpretModelChange({
+    type: "add",
+    element: "reference",
+    details: { sourceClassName: "Person", targetClassName: "Department", name: "departments", upperBound: -1, opposite: "members" },
+  });
+  check(manager.applyPendingChanges().success, "Person.departments is added as the opposite of Department.members");
+  check(
+    opposite("Person", "departments") === "members" && opposite("Department", "members") === "departments",
+    "both ends point back at each other"
+  );
+
+  manager.interpretModelChange({
+    type: "modify",
+    element: "reference",
+    details: { className: "Person", name: "departments", newOpposite: null },
+  });
+  check(manager.applyPendingChanges().success, "the opposites are unpaired");
+  check(!opposite("Person", "departments") && !opposite("Department", "members"), "neither end keeps an opposite");
+
+  manager.interpretModelChange({
+    type: "modify",
+    element: "reference",
+    details: { className: "Department", name: "members", newOpposite: "departments" },
+  });
+  check(manager.applyPendingChanges().success, "existing references are paired again");
+  check(opposite("Person", "departments") === "members", "Person.departments points back at Department.members");
+
+  manager.interpretModelChange({
+    type: "add",
+    element: "reference",
+    details: { sourceClassName: "Company", targetClassName: "Department", name: "units", upperBound: -1, opposite: { name: "company" } },
+  });
+  check(manager.applyPendingChanges().success, "Company.units is added with a new opposite");
+  check(opposite("Department", "company") === "units", "the new Department.company points back at Company.units");
+  check(manager.validateMetamodel().valid, "the paired references are consistent");
+}
+
+// Type attributes by a custom datatype and evolve the datatype
+function demonstrateDataTypes() {
+  console.log("\n--- Adding and evolving a custom datatype ---");
+  const manager = loadOriginal();
+  const dataTypes = () => manager.loader.generateMetamodelReport().dataTypes;
+  const salary = () => manager.loader.getClassAttributes("Person").find((attribute) => attribute.name === "salary");
+
+  manager.interpretModelChange({ type: "add", element: "datatype", details: { name: "Money", instanceClassName: "java.math.BigDecimal" } });
+  check(manager.applyPendingChanges().success, "Money is added");
+  check(
+    dataTypes().some((dataType) => dataType.name === "Money" && dataType.instanceClassName === "java.math.BigDecimal"),
+    "Money is reported with its instance class"
+  );
+  manager.interpretModelChange({ type: "add", element: "attribute", details: { className: "Person", name: "salary", type: "Money" } });
+  check(manager.applyPendingChanges().success && salary().type === "Money", "Person.salary is typed by Money");
+
+  const removal = manager.interpretModelChange({ type: "remove", element: "datatype", details: { name: "Money" } });
+  console.log(`Ambiguity reason: ${removal.ambiguityReason}`);
+  check(removal.ambiguous, "a datatype that types an attribute cannot simply be removed");
+  manager.resolveAmbiguity(manager.evolutionOperations.indexOf(removal), "cancel");
+
+  manager.interpretModelChange({
+    type: "modify",
+    element: "datatype",
+    details: { name: "Money", newName: "Amount", newInstanceClassName: "java.lang.Double" },
+  });
+  check(manager.applyPendingChanges().success, "Money is renamed to Amount");
+  check(
+    dataTypes().some((dataType) => dataType.name === "Amount" && dataType.instanceClassName === "java.lang.Double"),
+    "Amount is reported with its new instance class"
+  );
+  check(salary().type === "Amount", "Person.salary follows the renamed datatype");
+}
+
+// Rename a class that appears in the signature of an operation
+function demonstrateOperationSignatures() {
+  console.log("\n--- Updating operation signatures on a class rename ---");
+  const manager = loadOriginal();
+  manager.interpretModelChange({
+    type: "add",
+    element: "operation",
+    details: { className: "Company", name: "hire", returnType: "Person", parameters: [{ name: "candidate", type: "Person" }] },
+  });
+  check(manager.applyPendingChanges().success, "Company.hire(candidate: Person): Person is added");
+
+  const rename = manager.interpretModelChange({ type: "modify", element: "class", details: { name: "Person", newName: "Individual" } });
+  console.log(`Ambiguity reason: ${rename.ambiguityReason}`);
+  check(rename.ambiguous, "renaming a class used in a signature must be confirmed");
+  check(rename.resolutionOptions[0].id === "update-signatures", "updating the signatures is the best option");
+  manager.resolveAmbiguity(manager.evolutionOperations.indexOf(rename), "update-signatures");
+  check(manager.applyPendingChanges().success, "Person is renamed to Individual");
+
+  const company = manager.loader.generateMetamodelReport().classes.find((eClass) => eClass.name === "Company");
+  const hire = company.operations.find((operation) => operation.name === "hire");
+  console.log(`  hire(${hire.parameters.map((parameter) => `${parameter.name}: ${parameter.type}`).join(", ")}): ${hire.returnType}`);
+  check(hire.returnType === "Individual", "the return type of hire follows the rename");
+  check(hire.parameters[0].type === "Individual", "the parameter type of hire follows the rename");
+}
+
+// Run the demonstrations; a failed check rejects, so Node exits with an error
+async function runDemonstrations() {
+  await demonstrateMetamodelEvolution();
+  await demonstrateInstanceInference();
+  await demonstrateInstanceValidation();
+  demonstrateMetamodelDiagnostics();
+  demonstrateImpactTags();
+  demonstrateResolutionOptions();
+  demonstrateCascadingRemoval();
+  demonstrateOpposites();
+  demonstrateDataTypes();
+  demonstrateOperationSignatures();
+}
+
+runDemonstrations();
@@ -0,0 +1,108 @@
+/**
+ * BrowserFileStorage.js
+ * A storage backend that keeps metamodel files in memory for use in the browser
+ *
+ * Browsers give no synchronous access to files, so files are added up front from
+ * File or Blob uploads (e.g. an <input type="file">) and are then read by name.
+ * Writing a file keeps the content and offers it as a download.
+ */
+
+class BrowserFileStorage {
+  constructor() {
+    this.files = new Map(); // Map of file name -> text content
+  }
+
+  /**
+   * Add an uploaded file
+   * @param {File|Blob} file - The uploaded file
+   * @param {string} [name] - Name to store the file under (defaults to the name of the File)
+   * @returns {Promise<string>} - The name the file was stored under
+   */
+  async addFile(file, name = null) {
+    const fileName = name || file.name;
+    if (!fileName) {
+      throw new Error("A name is required to store a Blob");
+    }
+
+    this.files.set(fileName, await file.text());
+    return fileName;
+  }
+
+  /**
+   * Add a file from text content, e.g. fetched from a server
+   * @param {string} name - Name to store the file under
+   * @param {string} content - The file content
+   */
+  addContent(name, content) {
+    this.files.set(name, content);
+  }
+
+  /**
+   * Remove a stored file
+   * @param {string} location - Name of the file
+   */
+  removeFile(location) {
+    this.files.delete(this.baseName(location));
+  }
+
+  /**
+   * Get the names of all stored files
+   * @returns {Array} - File names in the order they were added
+   */
+  listFiles() {
+    return Array.from(this.files.keys());
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} location - Name of the file; directories are ignored
+   * @returns {string} - The file content
+   */
+  readText(location) {
+    const name = this.baseName(location);
+    if (!this.files.has(name)) {
+      throw new Error(`File ${name} has not been uploaded`);
+    }
+    return this.files.get(name);
+  }
+
+  /**
+   * Store a file and offer it as a download
+   * @param {string} location - Name of the file; directories are ignored
+   * @param {string} content - The content to write
+   * @param {string} [mimeType='text/plain'] - Type of the downloaded Blob
+   */
+  writeText(location, content, mimeType = "text/plain") {
+    const name = this.baseName(location);
+    this.files.set(name, content);
+
+    if (typeof document !== "undefined") {
+      const blob = new Blob([content], { type: mimeType });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = name;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }
+  }
+
+  /**
+   * Check whether a file has been stored
+   * @param {string} location - Name of the file
+   * @returns {boolean} - True if the file is stored
+   */
+  exists(location) {
+    return this.files.has(this.baseName(location));
+  }
+
+  /**
+   * Get the file name of a location
+   * @param {string} location - Name or path of the file
+   * @returns {string} - The file name without directories (e.g. People.ecore)
+   */
+  baseName(location) {
+    return location.split(/[\\/]/).pop();
+  }
+}
+
+export default BrowserFileStorage;
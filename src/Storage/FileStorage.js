@@ -0,0 +1,42 @@
+/**
+ * FileStorage.js
+ * Access to the storage backend used for metamodel and changelog files
+ *
+ * A storage backend provides synchronous text access to named files:
+ * - readText(location) returns the content of a file
+ * - writeText(location, content, mimeType) writes a file
+ * - exists(location) tells whether a file is available
+ * - baseName(location) returns the file name of a location
+ *
+ * NodeFileStorage works on the filesystem, BrowserFileStorage on uploaded files.
+ * The package.json import "#platform-storage" resolves to the backend of the current
+ * environment, so MetamodelLoader and MetamodelEvolutionManager run unchanged in both.
+ */
+
+import PlatformStorage from "#platform-storage";
+
+let defaultStorage = null;
+
+class FileStorage {
+  /**
+   * Get the storage backend shared by all loaders that are not given one
+   * @returns {Object} - NodeFileStorage in Node.js, BrowserFileStorage in the browser,
+   *   unless replaced with setDefault
+   */
+  static getDefault() {
+    if (!defaultStorage) {
+      defaultStorage = new PlatformStorage();
+    }
+    return defaultStorage;
+  }
+
+  /**
+   * Replace the shared storage backend
+   * @param {Object} storage - A storage backend, or null to return to the one of the environment
+   */
+  static setDefault(storage) {
+    defaultStorage = storage;
+  }
+}
+
+export default FileStorage;
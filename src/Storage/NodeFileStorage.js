@@ -0,0 +1,49 @@
+/**
+ * NodeFileStorage.js
+ * A storage backend that reads and writes metamodel files on the Node.js filesystem
+ *
+ * Locations are file paths. Used by default outside the browser, see FileStorage.
+ */
+
+import fs from "fs";
+import path from "path";
+
+class NodeFileStorage {
+  /**
+   * Read a text file
+   * @param {string} location - Path of the file
+   * @returns {string} - The file content
+   */
+  readText(location) {
+    return fs.readFileSync(location, "utf-8");
+  }
+
+  /**
+   * Write a text file, replacing an existing one
+   * @param {string} location - Path of the file
+   * @param {string} content - The content to write
+   */
+  writeText(location, content) {
+    fs.writeFileSync(location, content, "utf-8");
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} location - Path of the file
+   * @returns {boolean} - True if the file exists
+   */
+  exists(location) {
+    return fs.existsSync(location);
+  }
+
+  /**
+   * Get the file name of a location
+   * @param {string} location - Path of the file
+   * @returns {string} - The file name without directories (e.g. People.ecore)
+   */
+  baseName(location) {
+    return path.basename(location);
+  }
+}
+
+export default NodeFileStorage;